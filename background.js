@@ -2,35 +2,81 @@
  * Debug Buddy - Background Service Worker
  * 
  * This service worker handles:
- * 1. Receiving error messages from content scripts
+ * 1. Receiving error messages from content scripts and grouping repeats
  * 2. Rate limiting API requests (max 1 per second)
- * 3. Calling Claude API for error analysis
+ * 3. Calling the configured LLM provider (Claude by default) for error analysis
  * 4. Sending results to the side panel
  * 5. Managing extension state and storage
  */
 
+// Publishes globalThis.DebugBuddyRedaction (shared with content.js)
+import './redaction.js';
+// Publishes globalThis.DebugBuddyCaptureSettings (shared with options.js)
+import './capture-settings.js';
+// Publishes globalThis.DebugBuddyIgnoreRules (shared with the side panel and options)
+import './ignore-rules.js';
+// Publishes globalThis.DebugBuddyErrorTypes (shared with the side panel)
+import './error-types.js';
+
 // ============================================
 // CONFIGURATION & STATE
 // ============================================
 
 const CONFIG = {
-  API_ENDPOINT: 'https://api.anthropic.com/v1/messages',
-  MODEL: 'claude-sonnet-4-20250514',
-  MAX_TOKENS: 1024,
+  MODEL: 'claude-sonnet-4-20250514', // Default model for the Anthropic provider
+  MAX_TOKENS: 1024, // Default max tokens for every provider
   RATE_LIMIT_MS: 1000, // 1 request per second
+  ANALYSIS_REPAIR_ATTEMPTS: 1, // Follow-up requests asking to fix malformed output
+  MAX_ANALYSIS_RETRIES: 4, // Retries for rate-limited or overloaded providers
+  RETRY_BASE_MS: 2000, // First backoff delay, doubled per attempt
+  RETRY_MAX_MS: 5 * 60 * 1000,
+  PROGRESS_THROTTLE_MS: 150, // Minimum gap between streamed progress messages
+  FINGERPRINT_FRAMES: 3, // Top app stack frames used for grouping
+  MAX_OCCURRENCES: 100, // Occurrence timestamps kept per group (sparkline)
+  MAX_AFFECTED_URLS: 20,
+  MAX_RESOLVED_FRAMES: 10, // Stack frames rewritten through source maps
+  SOURCE_CONTEXT_FRAMES: 3, // App frames that keep original source lines
+  SOURCE_CONTEXT_LINES: 3, // Lines of context above/below the error line
+  MAX_CACHED_SOURCE_MAPS: 20,
+  MAX_SOURCE_MAP_BYTES: 20 * 1024 * 1024,
+  CODE_CONTEXT_FRAMES: 3, // Default number of app frames to attach code for
+  CODE_CONTEXT_LINES: 5, // Default lines of code above/below each frame
+  CODE_CONTEXT_MAX_LINE: 240, // Long (minified) lines are cut to a column window
+  MAX_CACHED_SCRIPTS: 20,
+  NETWORK_BODY_MAX_BYTES: 4096, // Default cap per captured request/response body
+  DB_NAME: 'debug-buddy',
+  DB_VERSION: 3,
+  ERRORS_PAGE_SIZE: 50, // Default page size for GET_ERRORS
+  RETENTION_INTERVAL_MS: 60000, // Minimum gap between retention passes
+  RETENTION_DAYS: 30, // Defaults for the retention settings
+  RETENTION_MAX_COUNT: 5000,
+  RETENTION_MAX_MB: 50,
+  DEEP_CAPTURE_DEDUP_MS: 5000, // Window in which deep capture and page hooks report the same event
+  DEEP_CAPTURE_MAX_REQUESTS: 500, // In-flight requests remembered per debugged tab
+  USAGE_HISTORY_DAYS: 62, // Daily usage kept for the dashboard and monthly totals
+  ANALYSIS_CACHE_DAYS: 7, // Default lifetime of reusable analyses
+  VITALS_MAX_PAGES: 50, // Pages with Web Vitals history, least recently updated dropped first
+  VITALS_HISTORY: 20, // Page loads kept per page
   DEFAULT_DOMAINS: ['localhost', '127.0.0.1', '*.local', 'staging.*', '*.staging.*']
 };
 
 // Track last API call time for rate limiting
 let lastApiCallTime = 0;
 
-// Queue for pending error analyses
+// Queue for pending error analyses, mirrored to chrome.storage.local so it
+// survives service worker restarts:
+//   [{ id, priority, manual, bypassCache, attempts, retryAt, queuedAt }]
 const analysisQueue = [];
 let isProcessingQueue = false;
+let queueRestored = null;
+let queueTimer = null;
 
 // Store for errors and their analyses (in-memory cache)
 const errorCache = new Map();
 
+// Abort controllers for in-flight analyses, keyed by error ID
+const activeAnalyses = new Map();
+
 // ============================================
 // INITIALIZATION
 // ============================================
@@ -51,12 +97,71 @@ chrome.runtime.onInstalled.addListener(async () => {
     });
   }
   
+  await migrateSyncedIgnoreRules();
+  
   // Enable side panel
   await chrome.sidePanel.setOptions({
     enabled: true
   });
 });
 
+/**
+ * Trim old history when the browser starts
+ */
+chrome.runtime.onStartup.addListener(() => {
+  scheduleRetention();
+});
+
+/**
+ * Pick the analysis queue back up whenever the service worker starts
+ */
+restoreAnalysisQueue().then(() => processQueue());
+
+/**
+ * Wake up for queued retries the worker was stopped before running
+ */
+chrome.alarms.onAlarm.addListener((alarm) => {
+  if (alarm.name === QUEUE_ALARM) {
+    processQueue();
+  }
+});
+
+/**
+ * Re-flag stored errors when ignore rules are edited
+ */
+chrome.storage.onChanged.addListener((changes, areaName) => {
+  if (areaName === 'local' && changes.ignoreRules) {
+    ignoreMatcher = null;
+    applyIgnoreRules().catch(error => console.error('[Debug Buddy] Failed to apply ignore rules:', error));
+  }
+  if (areaName === 'sync' && DOMAIN_SETTINGS.some(key => changes[key])) {
+    chrome.storage.local.remove(DOMAIN_DECISION_CACHE_KEY).catch(() => {});
+  }
+  if (areaName === 'sync' && DEEP_CAPTURE_SETTINGS.some(key => changes[key])) {
+    refreshDeepCapture({ resetDeclined: Boolean(changes.deepCapture) }).catch(error => console.error('[Debug Buddy] Failed to update deep capture:', error));
+  }
+});
+
+/**
+ * Attach or detach deep capture as tabs navigate
+ */
+chrome.tabs.onUpdated.addListener((tabId, changeInfo, tab) => {
+  if (changeInfo.url || changeInfo.status === 'loading') {
+    syncDeepCapture(tab).catch(error => console.warn('[Debug Buddy] Deep capture unavailable:', error.message));
+  }
+});
+
+chrome.tabs.onRemoved.addListener((tabId) => {
+  deepCaptureTabs.delete(tabId);
+  declinedDeepCaptureTabs.delete(tabId);
+});
+
+/**
+ * chrome.debugger only exists once the optional permission is granted
+ */
+addDebuggerListeners();
+chrome.permissions.onAdded.addListener(addDebuggerListeners);
+
 /**
  * Open side panel when extension icon is clicked
  */
@@ -86,10 +191,55 @@ async function handleMessage(message, sender) {
       return await handleErrorCaptured(message.payload, sender);
     
     case 'GET_ERRORS':
-      return await getStoredErrors();
+      return await getStoredErrors(message);
+    
+    case 'GET_ERROR_STATS':
+      return await getErrorStats();
+    
+    case 'ADD_IGNORE_RULE':
+      return await addIgnoreRule(message.rule);
     
     case 'ANALYZE_ERROR':
-      return await queueErrorAnalysis(message.payload);
+      return await queueErrorAnalysis(await findErrorRecord(message.payload.id) || message.payload, {
+        manual: true,
+        bypassCache: Boolean(message.bypassCache)
+      });
+    
+    case 'CLEAR_ANALYSIS_CACHE':
+      await clearAnalysisCache();
+      return { success: true };
+    
+    case 'GET_USAGE':
+      return await getUsageSummary();
+    
+    case 'RESET_USAGE':
+      await chrome.storage.local.remove('usage');
+      return { success: true };
+    
+    case 'CANCEL_ANALYSIS':
+      return await cancelAnalysis(message.id);
+    
+    case 'VITALS_CAPTURED':
+      return await recordVitals(message.payload);
+    
+    case 'GET_VITALS':
+      return await getVitals(message.url);
+    
+    case 'GET_QUEUE_STATUS':
+      await restoreAnalysisQueue();
+      return getQueueStatus();
+    
+    case 'SEND_FOLLOW_UP':
+      return await sendFollowUp(message.id, message.message);
+    
+    case 'PREVIEW_ANALYSIS_REQUEST':
+      return await previewAnalysisRequest(message.id);
+    
+    case 'FILE_ISSUE':
+      return await fileIssue(message.payload);
+    
+    case 'CLEAR_CONVERSATION':
+      return await clearConversation(message.id);
     
     case 'CLEAR_ERRORS':
       return await clearErrors();
@@ -100,6 +250,15 @@ async function handleMessage(message, sender) {
     case 'CHECK_DOMAIN':
       return await checkDomainAllowed(message.domain);
     
+    case 'UPLOAD_SOURCE_MAP':
+      return await uploadSourceMap(message.payload);
+    
+    case 'GET_SOURCE_MAPS':
+      return await getSourceMaps();
+    
+    case 'DELETE_SOURCE_MAP':
+      return await deleteSourceMap(message.name);
+    
     default:
       console.warn('[Debug Buddy] Unknown message type:', message.type);
       return { success: false, error: 'Unknown message type' };
@@ -116,29 +275,66 @@ async function handleMessage(message, sender) {
 async function handleErrorCaptured(errorData, sender) {
   const tabId = sender.tab?.id;
   const tabUrl = sender.tab?.url || '';
+  const now = Date.now();
   
-  // Generate unique ID for this error
-  const errorId = generateErrorId(errorData);
-  
-  // Check if we've already processed this error
-  if (errorCache.has(errorId)) {
-    console.log('[Debug Buddy] Duplicate error ignored:', errorId);
+  // Deep capture sees many of the same events as the page hooks
+  if (isEchoedCapture(tabId, errorData, now)) {
     return { success: true, duplicate: true };
   }
   
+  const mutedBy = (await getIgnoreMatcher())(errorData)?.id;
+  
+  // Group repeats of the same bug under one stable fingerprint
+  const errorId = generateErrorFingerprint(errorData);
+  const { record: existingRecord, settleClaim } = await claimErrorGroup(errorId);
+  
+  if (existingRecord) {
+    recordOccurrence(existingRecord, { tabId, tabUrl, now });
+    if (errorData.network) {
+      existingRecord.network = errorData.network;  // Keep the latest exchange
+    }
+    if (errorData.scripts) {
+      existingRecord.scripts = errorData.scripts;  // Latest running totals per script
+      existingRecord.metadata = errorData.metadata;
+    }
+    errorCache.set(errorId, existingRecord);
+    await saveErrorToStorage(existingRecord);
+    
+    broadcastToSidePanel({
+      type: 'ERROR_UPDATED',
+      payload: existingRecord
+    });
+    
+    console.log('[Debug Buddy] Repeat of known error:', errorId, `(x${existingRecord.count})`);
+    return { success: true, duplicate: true, errorId };
+  }
+  
   // Create error record
   const errorRecord = {
     id: errorId,
+    fingerprint: errorId,
     ...errorData,
+    frameId: errorData.frameId ?? sender.frameId,
     tabId,
     tabUrl,
-    timestamp: Date.now(),
+    domain: getDomain(tabUrl || errorData.url),
+    timestamp: now,
+    count: 1,
+    firstSeen: now,
+    lastSeen: now,
+    occurrences: [now],
+    affectedUrls: tabUrl ? [tabUrl] : [],
     status: 'pending', // pending, analyzing, completed, failed
     analysis: null
   };
   
+  if (mutedBy) {
+    errorRecord.mutedBy = mutedBy;
+  }
+  
   // Store error
   errorCache.set(errorId, errorRecord);
+  settleClaim(errorRecord);
   await saveErrorToStorage(errorRecord);
   
   // Notify side panel of new error
@@ -147,285 +343,3504 @@ async function handleErrorCaptured(errorData, sender) {
     payload: errorRecord
   });
   
-  // Queue for analysis
-  queueErrorAnalysis(errorRecord);
+  // Muted noise is kept for "Show muted" but never enriched or analyzed
+  if (mutedBy) {
+    console.log('[Debug Buddy] Error muted by rule', mutedBy);
+    return { success: true, errorId, muted: true };
+  }
+  
+  // Resolve minified frames and attach code before the error is analyzed
+  await enrichErrorRecord(errorRecord);
+  
+  // Queue for analysis (only the first occurrence of a group) unless the
+  // policy leaves this kind of error for on-demand analysis
+  const policyReason = await getPolicyDeferral(errorRecord);
+  if (policyReason) {
+    await deferAnalysis(errorRecord, policyReason);
+  } else {
+    queueErrorAnalysis(errorRecord);
+  }
   
   console.log('[Debug Buddy] Error captured:', errorData.message);
   return { success: true, errorId };
 }
 
 /**
- * Generate unique ID for an error based on its content
+ * Add original source locations and surrounding code to a new error record
  */
-function generateErrorId(errorData) {
-  const content = `${errorData.type}-${errorData.message}-${errorData.filename}-${errorData.lineno}`;
-  let hash = 0;
-  for (let i = 0; i < content.length; i++) {
-    const char = content.charCodeAt(i);
-    hash = ((hash << 5) - hash) + char;
-    hash = hash & hash;
+async function enrichErrorRecord(errorRecord) {
+  let changed = false;
+  
+  try {
+    changed = await symbolicateErrorRecord(errorRecord) || changed;
+  } catch (error) {
+    console.warn('[Debug Buddy] Source map resolution failed:', error.message);
+  }
+  
+  try {
+    changed = await attachCodeContext(errorRecord) || changed;
+  } catch (error) {
+    console.warn('[Debug Buddy] Code context unavailable:', error.message);
+  }
+  
+  if (changed) {
+    await updateErrorInStorage(errorRecord);
+    broadcastToSidePanel({
+      type: 'ERROR_UPDATED',
+      payload: errorRecord
+    });
   }
-  return `error_${Math.abs(hash)}_${Date.now()}`;
 }
 
 /**
- * Save error to Chrome storage
+ * Look up an existing error group, falling back to storage when the
+ * service worker has been restarted and the in-memory cache is empty
  */
-async function saveErrorToStorage(errorRecord) {
-  const { errors = [] } = await chrome.storage.local.get(['errors']);
-  
-  // Keep only last 100 errors
-  const updatedErrors = [errorRecord, ...errors].slice(0, 100);
+async function findErrorRecord(errorId) {
+  if (errorCache.has(errorId)) {
+    return errorCache.get(errorId);
+  }
   
-  await chrome.storage.local.set({ errors: updatedErrors });
+  return await getErrorRecord(errorId);
 }
 
 /**
- * Get stored errors from Chrome storage
+ * Find the group for a fingerprint, or claim the fingerprint for a new
+ * record. The claim is a promise put in errorCache before anything is
+ * awaited, so a concurrent first occurrence waits for the new record and
+ * is folded into it instead of creating a second one. The caller settles
+ * the claim with the record it creates.
  */
-async function getStoredErrors() {
-  const { errors = [] } = await chrome.storage.local.get(['errors']);
-  return { success: true, errors };
+async function claimErrorGroup(errorId) {
+  const cached = errorCache.get(errorId);
+  if (cached) {
+    const record = await cached;
+    // A failed claim is dropped from the cache, so claim it again
+    return record ? { record } : claimErrorGroup(errorId);
+  }
+  
+  let settleClaim;
+  errorCache.set(errorId, new Promise(resolve => { settleClaim = resolve; }));
+  
+  try {
+    const record = await getErrorRecord(errorId);
+    if (record) {
+      errorCache.set(errorId, record);
+      settleClaim(record);
+      return { record };
+    }
+  } catch (error) {
+    errorCache.delete(errorId);
+    settleClaim(null);
+    throw error;
+  }
+  
+  return { record: null, settleClaim };
 }
 
 /**
- * Clear all stored errors
+ * Fold a repeat occurrence into an existing error group
  */
-async function clearErrors() {
-  errorCache.clear();
-  await chrome.storage.local.set({ errors: [] });
+function recordOccurrence(errorRecord, { tabId, tabUrl, now }) {
+  errorRecord.count = (errorRecord.count || 1) + 1;
+  errorRecord.firstSeen = errorRecord.firstSeen || errorRecord.timestamp;
+  errorRecord.lastSeen = now;
+  errorRecord.timestamp = now;
+  errorRecord.tabId = tabId;
   
-  broadcastToSidePanel({
-    type: 'ERRORS_CLEARED'
-  });
+  errorRecord.occurrences = [...(errorRecord.occurrences || []), now].slice(-CONFIG.MAX_OCCURRENCES);
   
-  return { success: true };
+  const affectedUrls = errorRecord.affectedUrls || [];
+  if (tabUrl && !affectedUrls.includes(tabUrl)) {
+    errorRecord.affectedUrls = [...affectedUrls, tabUrl].slice(-CONFIG.MAX_AFFECTED_URLS);
+  }
 }
 
-// ============================================
-// API ANALYSIS QUEUE
-// ============================================
-
 /**
- * Add error to analysis queue
+ * Generate a stable fingerprint for an error. Volatile parts of the
+ * message (numbers, UUIDs, URLs) are stripped and the top application
+ * stack frames are used instead of exact line/column positions.
  */
-async function queueErrorAnalysis(errorRecord) {
-  analysisQueue.push(errorRecord);
+function generateErrorFingerprint(errorData) {
+  const appFrames = parseStackFrames(errorData.stack)
+    .filter(frame => !isVendorFrame(frame.file))
+    .slice(0, CONFIG.FINGERPRINT_FRAMES)
+    .map(frame => `${frame.functionName}@${normalizeUrl(frame.file)}`);
   
-  if (!isProcessingQueue) {
-    processQueue();
-  }
+  const content = [
+    errorData.type,
+    normalizeErrorMessage(errorData.message || ''),
+    normalizeUrl(errorData.filename || ''),
+    errorData.metadata?.status || '',
+    ...appFrames
+  ].join('|');
   
-  return { success: true, queued: true };
+  return `error_${hashString(content)}`;
 }
 
 /**
- * Process the analysis queue with rate limiting
+ * Signature used to share analyses across tabs and sessions. Like the
+ * fingerprint, but URLs are reduced to their path so the same bug on
+ * localhost and on staging gets the same answer.
  */
-async function processQueue() {
-  if (isProcessingQueue || analysisQueue.length === 0) {
-    return;
-  }
+function generateAnalysisSignature(errorRecord) {
+  const appFrames = parseStackFrames(errorRecord.stack)
+    .filter(frame => !isVendorFrame(frame.file))
+    .slice(0, CONFIG.FINGERPRINT_FRAMES)
+    .map(frame => `${frame.functionName}@${getUrlPath(frame.file)}`);
   
-  isProcessingQueue = true;
-  
-  while (analysisQueue.length > 0) {
-    const errorRecord = analysisQueue.shift();
-    
-    // Enforce rate limiting
-    const now = Date.now();
-    const timeSinceLastCall = now - lastApiCallTime;
-    
-    if (timeSinceLastCall < CONFIG.RATE_LIMIT_MS) {
-      const waitTime = CONFIG.RATE_LIMIT_MS - timeSinceLastCall;
-      await sleep(waitTime);
-    }
-    
-    // Perform analysis
-    await analyzeError(errorRecord);
-    lastApiCallTime = Date.now();
-  }
+  const content = [
+    errorRecord.type,
+    normalizeErrorMessage(errorRecord.message || ''),
+    getUrlPath(errorRecord.filename || ''),
+    errorRecord.metadata?.status || '',
+    ...appFrames
+  ].join('|');
   
-  isProcessingQueue = false;
+  return `sig_${hashString(content)}`;
+}
+
+function getUrlPath(url) {
+  return normalizeUrl(url).replace(/^[a-z][a-z0-9+.-]*:\/\/[^/]+/i, '');
 }
 
 /**
- * Analyze error using Claude API
+ * Strip volatile tokens from an error message so repeats compare equal
  */
-async function analyzeError(errorRecord) {
-  // Update status to analyzing
-  errorRecord.status = 'analyzing';
-  await updateErrorInStorage(errorRecord);
-  
-  broadcastToSidePanel({
-    type: 'ERROR_STATUS_UPDATED',
-    payload: { id: errorRecord.id, status: 'analyzing' }
-  });
+function normalizeErrorMessage(message) {
+  return message
+    .replace(/\b[a-z][a-z0-9+.-]*:\/\/[^\s'"`)]+/gi, '<url>')
+    .replace(/\b[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}\b/gi, '<uuid>')
+    .replace(/\b0x[0-9a-f]+\b/gi, '<hex>')
+    .replace(/\b[0-9a-f]{16,}\b/gi, '<hash>')
+    .replace(/\d+(\.\d+)?/g, '<n>')
+    .replace(/\s+/g, ' ')
+    .trim()
+    .slice(0, 500);
+}
+
+/**
+ * Drop query string and hash, and collapse numeric/UUID path segments
+ */
+function normalizeUrl(url) {
+  return url
+    .split(/[?#]/)[0]
+    .replace(/\/[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}(?=\/|$)/gi, '/:uuid')
+    .replace(/\/\d+(?=\/|$)/g, '/:n');
+}
+
+/**
+ * Parse a V8 or Firefox/Safari stack trace into frames
+ */
+function parseStackFrames(stack) {
+  const frames = [];
   
-  try {
-    // Get API key from storage
-    const { apiKey } = await chrome.storage.sync.get(['apiKey']);
-    
-    if (!apiKey || apiKey === 'YOUR_API_KEY_HERE') {
-      throw new Error('API key not configured. Please add your Anthropic API key in settings.');
+  for (const line of (stack || '').split('\n')) {
+    const match = line.match(/^\s*at\s+(?:(.*?)\s+\()?(.+?):(\d+):(\d+)\)?\s*$/) ||
+                  line.match(/^\s*(.*?)@(.+?):(\d+):(\d+)\s*$/);
+    if (match) {
+      frames.push({
+        functionName: match[1] || '<anonymous>',
+        file: match[2],
+        lineno: parseInt(match[3], 10),
+        colno: parseInt(match[4], 10)
+      });
     }
-    
-    // Build the prompt
-    const prompt = buildAnalysisPrompt(errorRecord);
-    
-    // Call Claude API
-    const response = await fetch(CONFIG.API_ENDPOINT, {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-        'x-api-key': apiKey,
-        'anthropic-version': '2023-06-01'
-      },
-      body: JSON.stringify({
-        model: CONFIG.MODEL,
-        max_tokens: CONFIG.MAX_TOKENS,
-        messages: [
-          {
-            role: 'user',
-            content: prompt
-          }
-        ]
-      })
-    });
-    
-    if (!response.ok) {
-      const errorData = await response.json().catch(() => ({}));
-      throw new Error(errorData.error?.message || `API request failed: ${response.status}`);
-    }
-    
-    const data = await response.json();
-    const analysisText = data.content[0]?.text || 'No analysis available';
-    
-    // Parse the analysis response
-    const analysis = parseAnalysisResponse(analysisText);
-    
-    // Update error record with analysis
-    errorRecord.status = 'completed';
-    errorRecord.analysis = analysis;
-    errorCache.set(errorRecord.id, errorRecord);
-    await updateErrorInStorage(errorRecord);
-    
-    // Notify side panel
-    broadcastToSidePanel({
-      type: 'ANALYSIS_COMPLETED',
-      payload: errorRecord
-    });
-    
-    console.log('[Debug Buddy] Analysis completed for:', errorRecord.id);
-    
-  } catch (error) {
-    console.error('[Debug Buddy] Analysis failed:', error);
-    
-    errorRecord.status = 'failed';
-    errorRecord.analysis = {
-      error: error.message,
-      explanation: 'Failed to analyze error. Please check your API key and try again.',
-      fix: null,
-      severity: 'unknown'
-    };
-    
-    errorCache.set(errorRecord.id, errorRecord);
-    await updateErrorInStorage(errorRecord);
-    
-    broadcastToSidePanel({
-      type: 'ANALYSIS_FAILED',
-      payload: { id: errorRecord.id, error: error.message }
-    });
   }
+  
+  return frames;
 }
 
 /**
- * Build the prompt for Claude API
+ * Whether a stack frame belongs to a library or the browser rather than app code
  */
-function buildAnalysisPrompt(errorRecord) {
-  return `You are an expert JavaScript debugging assistant. Analyze the following browser console error and provide a helpful explanation and fix.
-
-ERROR DETAILS:
-- Type: ${errorRecord.type}
-- Message: ${errorRecord.message}
-- File: ${errorRecord.filename || 'Unknown'}
-- Line: ${errorRecord.lineno || 'Unknown'}
-- Column: ${errorRecord.colno || 'Unknown'}
-- URL: ${errorRecord.tabUrl || 'Unknown'}
-
-STACK TRACE:
-${errorRecord.stack || 'No stack trace available'}
+function isVendorFrame(file) {
+  return /node_modules|\/vendors?[\/.~-]|chrome-extension:|^native|^<anonymous>|webpack\/bootstrap/i.test(file || '');
+}
 
-Please respond in the following JSON format:
-{
-  "severity": "low|medium|high|critical",
-  "explanation": "Clear explanation of what caused this error",
-  "cause": "The specific reason this error occurred",
-  "fix": "Code snippet or solution to fix this error",
-  "prevention": "How to prevent this error in the future"
+/**
+ * Simple 32-bit string hash
+ */
+function hashString(content) {
+  let hash = 0;
+  for (let i = 0; i < content.length; i++) {
+    const char = content.charCodeAt(i);
+    hash = ((hash << 5) - hash) + char;
+    hash = hash & hash;
+  }
+  return Math.abs(hash).toString(36);
 }
 
-Keep explanations concise but helpful. If you include code in the "fix" field, make it copy-paste ready.`;
+/**
+ * Save a new or repeated error and apply retention limits
+ */
+async function saveErrorToStorage(errorRecord) {
+  await putErrorRecord(errorRecord);
+  scheduleRetention();
 }
 
 /**
- * Parse the analysis response from Claude
+ * Get one page of stored errors, most recently seen first
  */
-function parseAnalysisResponse(responseText) {
+async function getStoredErrors({ cursor = null, limit = CONFIG.ERRORS_PAGE_SIZE, index = null, value } = {}) {
   try {
-    // Try to extract JSON from the response
-    const jsonMatch = responseText.match(/\{[\s\S]*\}/);
-    if (jsonMatch) {
-      return JSON.parse(jsonMatch[0]);
-    }
-  } catch (e) {
-    console.warn('[Debug Buddy] Failed to parse JSON response, using raw text');
+    const page = await queryErrors({ cursor, limit, index, value });
+    return { success: true, ...page };
+  } catch (error) {
+    console.error('[Debug Buddy] Failed to read errors:', error);
+    return { success: false, error: error.message, errors: [] };
   }
-  
-  // Fallback to raw text
-  return {
-    severity: 'medium',
-    explanation: responseText,
-    cause: '',
-    fix: '',
-    prevention: ''
-  };
 }
 
 /**
- * Update error in Chrome storage
+ * Clear all stored errors
  */
-async function updateErrorInStorage(errorRecord) {
-  const { errors = [] } = await chrome.storage.local.get(['errors']);
+async function clearErrors() {
+  errorCache.clear();
+  await clearErrorRecords();
+  analysisQueue.length = 0;
+  await saveAnalysisQueue();
   
-  const updatedErrors = errors.map(e => 
-    e.id === errorRecord.id ? errorRecord : e
-  );
+  broadcastToSidePanel({
+    type: 'ERRORS_CLEARED'
+  });
   
-  await chrome.storage.local.set({ errors: updatedErrors });
+  return { success: true };
+}
+
+function getDomain(url) {
+  try {
+    return new URL(url).hostname;
+  } catch (e) {
+    return '';
+  }
 }
 
 // ============================================
-// DOMAIN CHECKING
+// ERROR STORE (IndexedDB)
 // ============================================
 
+// Secondary indexes end in [lastSeen, id] so every query pages newest-first.
+// Records without mutedBy are left out of the "muted" index.
+const ERROR_INDEXES = {
+  time: ['lastSeen', 'id'],
+  type: ['type', 'lastSeen', 'id'],
+  status: ['status', 'lastSeen', 'id'],
+  domain: ['domain', 'lastSeen', 'id'],
+  muted: ['mutedBy', 'lastSeen', 'id']
+};
+
+let dbPromise = null;
+let lastRetentionRun = 0;
+let retentionTimer = null;
+
 /**
- * Check if a domain is in the whitelist
+ * Open (and on first use, create or migrate) the error database
  */
-async function checkDomainAllowed(domain) {
-  const { domains = CONFIG.DEFAULT_DOMAINS, enabled = true } = await chrome.storage.sync.get(['domains', 'enabled']);
-  
-  if (!enabled) {
-    return { allowed: false, reason: 'Extension disabled' };
+function openDatabase() {
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve, reject) => {
+      const request = indexedDB.open(CONFIG.DB_NAME, CONFIG.DB_VERSION);
+      
+      request.onupgradeneeded = () => {
+        const db = request.result;
+        const store = db.objectStoreNames.contains('errors')
+          ? request.transaction.objectStore('errors')
+          : db.createObjectStore('errors', { keyPath: 'id' });
+        
+        if (!store.indexNames.contains('fingerprint')) {
+          store.createIndex('fingerprint', 'fingerprint');
+        }
+        for (const [name, keyPath] of Object.entries(ERROR_INDEXES)) {
+          if (!store.indexNames.contains(name)) {
+            store.createIndex(name, keyPath);
+          }
+        }
+        
+        if (!db.objectStoreNames.contains('analyses')) {
+          db.createObjectStore('analyses', { keyPath: 'key' });
+        }
+      };
+      
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    }).then(async (db) => {
+      await migrateLegacyErrors(db);
+      return db;
+    }).catch((error) => {
+      dbPromise = null;
+      throw error;
+    });
   }
-  
-  const isAllowed = domains.some(pattern => matchDomainPattern(domain, pattern));
-  
-  return { allowed: isAllowed };
+  return dbPromise;
 }
 
 /**
- * Match domain against a pattern (supports wildcards)
+ * Move errors saved by older versions from chrome.storage.local
+ */
+async function migrateLegacyErrors(db) {
+  const { errors } = await chrome.storage.local.get(['errors']);
+  if (!Array.isArray(errors)) return;
+  
+  const tx = db.transaction('errors', 'readwrite');
+  for (const record of errors) {
+    tx.objectStore('errors').put(toStoredRecord(record));
+  }
+  await transactionDone(tx);
+  await chrome.storage.local.remove('errors');
+  
+  console.log('[Debug Buddy] Migrated', errors.length, 'errors to IndexedDB');
+}
+
+/**
+ * Fill in the fields the indexes rely on
+ */
+function toStoredRecord(record) {
+  return {
+    ...record,
+    fingerprint: record.fingerprint || record.id,
+    domain: record.domain ?? getDomain(record.tabUrl || record.url),
+    lastSeen: record.lastSeen || record.timestamp || 0
+  };
+}
+
+function requestResult(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+function transactionDone(tx) {
+  return new Promise((resolve, reject) => {
+    tx.oncomplete = () => resolve();
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error || new Error('Transaction aborted'));
+  });
+}
+
+async function getErrorRecord(errorId) {
+  const db = await openDatabase();
+  const record = await requestResult(db.transaction('errors').objectStore('errors').get(errorId));
+  return record || null;
+}
+
+/**
+ * Write a single record; used for both inserts and updates
+ */
+async function putErrorRecord(errorRecord) {
+  const db = await openDatabase();
+  const tx = db.transaction('errors', 'readwrite');
+  tx.objectStore('errors').put(toStoredRecord(errorRecord));
+  await transactionDone(tx);
+}
+
+async function clearErrorRecords() {
+  const db = await openDatabase();
+  const tx = db.transaction('errors', 'readwrite');
+  tx.objectStore('errors').clear();
+  await transactionDone(tx);
+}
+
+/**
+ * Page through errors newest-first. `cursor` is the [lastSeen, id] of the
+ * last record on the previous page; `index`/`value` optionally restrict
+ * the query to one type, status or domain.
+ */
+async function queryErrors({ cursor = null, limit = CONFIG.ERRORS_PAGE_SIZE, index = null, value } = {}) {
+  if (index && !ERROR_INDEXES[index]) {
+    throw new Error(`Unknown index: ${index}`);
+  }
+  
+  const indexName = index || 'time';
+  const prefix = index ? [value] : [];
+  const upper = cursor ? [...prefix, ...cursor] : [...prefix, Infinity];
+  const range = index
+    ? IDBKeyRange.bound(prefix, upper, false, Boolean(cursor))
+    : IDBKeyRange.upperBound(upper, Boolean(cursor));
+  
+  const db = await openDatabase();
+  const source = db.transaction('errors').objectStore('errors').index(indexName);
+  const errors = [];
+  
+  await new Promise((resolve, reject) => {
+    const request = source.openCursor(range, 'prev');
+    request.onsuccess = () => {
+      const dbCursor = request.result;
+      if (!dbCursor || errors.length >= limit) {
+        resolve();
+        return;
+      }
+      errors.push(dbCursor.value);
+      dbCursor.continue();
+    };
+    request.onerror = () => reject(request.error);
+  });
+  
+  const last = errors[errors.length - 1];
+  return {
+    errors,
+    nextCursor: errors.length === limit && last ? [last.lastSeen, last.id] : null
+  };
+}
+
+/**
+ * Totals for the side panel stats bar, counted from index keys only
+ */
+async function getErrorStats() {
+  const db = await openDatabase();
+  const store = db.transaction('errors').objectStore('errors');
+  const types = {};
+  const statuses = {};
+  
+  const tally = (indexName, counts) => new Promise((resolve, reject) => {
+    const request = store.index(indexName).openKeyCursor();
+    request.onsuccess = () => {
+      const dbCursor = request.result;
+      if (!dbCursor) {
+        resolve();
+        return;
+      }
+      const key = dbCursor.key[0];
+      counts[key] = (counts[key] || 0) + 1;
+      dbCursor.continue();
+    };
+    request.onerror = () => reject(request.error);
+  });
+  
+  await tally('type', types);
+  await tally('status', statuses);
+  
+  // Muted records don't count towards the totals; their occurrences are
+  // reported as suppressed events instead
+  const mutedRecords = await requestResult(store.index('muted').getAll());
+  let suppressed = 0;
+  for (const record of mutedRecords) {
+    types[record.type]--;
+    statuses[record.status]--;
+    suppressed += record.count || 1;
+  }
+  
+  const total = await requestResult(store.count()) - mutedRecords.length;
+  return { success: true, stats: { total, types, statuses, muted: mutedRecords.length, suppressed } };
+}
+
+/**
+ * Run the retention pass soon, at most once per RETENTION_INTERVAL_MS
+ */
+function scheduleRetention() {
+  if (retentionTimer) return;
+  
+  const delay = Math.max(0, lastRetentionRun + CONFIG.RETENTION_INTERVAL_MS - Date.now());
+  retentionTimer = setTimeout(async () => {
+    retentionTimer = null;
+    lastRetentionRun = Date.now();
+    try {
+      await applyRetention();
+      await pruneAnalysisCache();
+    } catch (error) {
+      console.warn('[Debug Buddy] Retention pass failed:', error.message);
+    }
+  }, delay);
+}
+
+/**
+ * Delete errors older than the configured age, then trim the oldest
+ * until the count and approximate size limits are met
+ */
+async function applyRetention() {
+  const {
+    retentionDays = CONFIG.RETENTION_DAYS,
+    retentionMaxCount = CONFIG.RETENTION_MAX_COUNT,
+    retentionMaxMb = CONFIG.RETENTION_MAX_MB
+  } = await chrome.storage.sync.get(['retentionDays', 'retentionMaxCount', 'retentionMaxMb']);
+  
+  const cutoff = retentionDays > 0 ? Date.now() - retentionDays * 24 * 60 * 60 * 1000 : 0;
+  const maxCount = retentionMaxCount > 0 ? retentionMaxCount : Infinity;
+  const maxBytes = retentionMaxMb > 0 ? retentionMaxMb * 1024 * 1024 : Infinity;
+  
+  const db = await openDatabase();
+  const tx = db.transaction('errors', 'readwrite');
+  const request = tx.objectStore('errors').index('time').openCursor(null, 'prev');
+  const removed = [];
+  let kept = 0;
+  let bytes = 0;
+  
+  // Walk newest-first so everything past a limit is the oldest data
+  request.onsuccess = () => {
+    const dbCursor = request.result;
+    if (!dbCursor) return;
+    
+    const record = dbCursor.value;
+    bytes += JSON.stringify(record).length;
+    
+    if (record.lastSeen < cutoff || kept >= maxCount || bytes > maxBytes) {
+      removed.push(record.id);
+      dbCursor.delete();
+    } else {
+      kept++;
+    }
+    dbCursor.continue();
+  };
+  
+  await transactionDone(tx);
+  
+  if (removed.length > 0) {
+    removed.forEach(id => errorCache.delete(id));
+    broadcastToSidePanel({
+      type: 'ERRORS_REMOVED',
+      payload: { ids: removed }
+    });
+    console.log('[Debug Buddy] Retention removed', removed.length, 'errors');
+  }
+}
+
+// ============================================
+// IGNORE RULES
+// ============================================
+
+let ignoreMatcher = null;
+
+/**
+ * Matcher for the stored rules, rebuilt after settings change
+ */
+async function getIgnoreMatcher() {
+  if (!ignoreMatcher) {
+    const { ignoreRules = [] } = await chrome.storage.local.get(['ignoreRules']);
+    ignoreMatcher = DebugBuddyIgnoreRules.compileRules(ignoreRules);
+  }
+  return ignoreMatcher;
+}
+
+/**
+ * Save a rule from the side panel ("Mute similar"); the storage listener
+ * then flags matching errors that are already stored
+ */
+async function addIgnoreRule(rule) {
+  try {
+    DebugBuddyIgnoreRules.validateRule(rule || {});
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+  
+  const { ignoreRules = [] } = await chrome.storage.local.get(['ignoreRules']);
+  await chrome.storage.local.set({ ignoreRules: [...ignoreRules, rule] });
+  return { success: true, rule };
+}
+
+/**
+ * Move rules saved by older versions out of chrome.storage.sync, whose
+ * 8 KB per-key quota only fits a few dozen rules
+ */
+async function migrateSyncedIgnoreRules() {
+  const { ignoreRules: synced } = await chrome.storage.sync.get(['ignoreRules']);
+  if (!Array.isArray(synced)) return;
+  
+  const { ignoreRules = [] } = await chrome.storage.local.get(['ignoreRules']);
+  const ids = new Set(ignoreRules.map(rule => rule.id));
+  await chrome.storage.local.set({ ignoreRules: [...ignoreRules, ...synced.filter(rule => !ids.has(rule.id))] });
+  await chrome.storage.sync.remove('ignoreRules');
+  
+  console.log('[Debug Buddy] Moved', synced.length, 'ignore rules to local storage');
+}
+
+/**
+ * Set or clear mutedBy on every stored error to match the current rules,
+ * dropping newly muted errors from the analysis queue
+ */
+async function applyIgnoreRules() {
+  const findRule = await getIgnoreMatcher();
+  const db = await openDatabase();
+  const tx = db.transaction('errors', 'readwrite');
+  const request = tx.objectStore('errors').openCursor();
+  const changed = [];
+  
+  request.onsuccess = () => {
+    const dbCursor = request.result;
+    if (!dbCursor) return;
+    
+    const record = dbCursor.value;
+    const mutedBy = findRule(record)?.id;
+    if (mutedBy !== record.mutedBy) {
+      if (mutedBy) {
+        record.mutedBy = mutedBy;
+      } else {
+        delete record.mutedBy;
+      }
+      dbCursor.update(record);
+      changed.push(record);
+    }
+    dbCursor.continue();
+  };
+  
+  await transactionDone(tx);
+  
+  let dequeued = false;
+  for (const record of changed) {
+    if (errorCache.has(record.id)) {
+      errorCache.set(record.id, record);
+    }
+    const queued = analysisQueue.findIndex(e => e.id === record.id);
+    if (record.mutedBy && queued !== -1) {
+      analysisQueue.splice(queued, 1);
+      dequeued = true;
+    }
+  }
+  if (dequeued) {
+    await saveAnalysisQueue();
+  }
+  
+  if (changed.length > 0) {
+    broadcastToSidePanel({
+      type: 'ERRORS_MUTED',
+      payload: { changes: changed.map(r => ({ id: r.id, mutedBy: r.mutedBy || null })) }
+    });
+    console.log('[Debug Buddy] Ignore rules updated', changed.length, 'errors');
+  }
+}
+
+// ============================================
+// SOURCE MAPS
+// ============================================
+
+const BASE64_VALUES = Object.fromEntries(
+  [...'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789+/'].map((char, i) => [char, i])
+);
+
+// Parsed source maps keyed by script URL (null when a script has none)
+const sourceMapCache = new Map();
+
+/**
+ * Rewrite the stack frames of an error record to their original
+ * file/line/column/function using the scripts' source maps.
+ * Returns true when at least one frame was resolved.
+ */
+async function symbolicateErrorRecord(errorRecord) {
+  const frames = parseStackFrames(errorRecord.stack);
+  
+  if (frames.length === 0 && errorRecord.filename && errorRecord.lineno) {
+    frames.push({
+      functionName: '<anonymous>',
+      file: errorRecord.filename,
+      lineno: errorRecord.lineno,
+      colno: errorRecord.colno || 1
+    });
+  }
+  
+  let contextFrames = 0;
+  let resolvedAny = false;
+  const resolvedFrames = [];
+  
+  for (const frame of frames.slice(0, CONFIG.MAX_RESOLVED_FRAMES)) {
+    const resolvedFrame = { ...frame };
+    const sourceMap = await loadSourceMapForScript(frame.file, errorRecord.tabId, errorRecord.tabUrl);
+    const original = sourceMap ? lookupOriginalPosition(sourceMap, frame.lineno, frame.colno) : null;
+    
+    if (original) {
+      resolvedAny = true;
+      
+      // Only keep source context for the top application frames
+      if (original.context && !isVendorFrame(original.source) && contextFrames < CONFIG.SOURCE_CONTEXT_FRAMES) {
+        contextFrames++;
+      } else {
+        delete original.context;
+      }
+      resolvedFrame.original = original;
+    }
+    
+    resolvedFrames.push(resolvedFrame);
+  }
+  
+  if (!resolvedAny) {
+    return false;
+  }
+  
+  const topFrame = resolvedFrames.find(f => f.original && !isVendorFrame(f.original.source)) ||
+                   resolvedFrames.find(f => f.original);
+  
+  errorRecord.resolvedFrames = resolvedFrames;
+  errorRecord.symbolicatedStack = formatResolvedStack(errorRecord.stack, resolvedFrames);
+  errorRecord.originalLocation = {
+    filename: topFrame.original.source,
+    lineno: topFrame.original.line,
+    colno: topFrame.original.column,
+    functionName: topFrame.original.name || topFrame.functionName
+  };
+  
+  return true;
+}
+
+/**
+ * Rebuild a V8-style stack string from resolved frames, keeping the
+ * leading message line(s) of the original stack
+ */
+function formatResolvedStack(stack, resolvedFrames) {
+  const headerLines = (stack || '').split('\n').filter(line => !/^\s*at\s|@.+:\d+:\d+/.test(line));
+  
+  const frameLines = resolvedFrames.map(frame => {
+    if (!frame.original) {
+      return `    at ${frame.functionName} (${frame.file}:${frame.lineno}:${frame.colno})`;
+    }
+    const name = frame.original.name || frame.functionName;
+    return `    at ${name} (${frame.original.source}:${frame.original.line}:${frame.original.column})`;
+  });
+  
+  return [...headerLines, ...frameLines].join('\n');
+}
+
+/**
+ * Get the parsed source map for a script, fetching it once per worker lifetime
+ */
+function loadSourceMapForScript(scriptUrl, tabId, tabUrl) {
+  if (!/^https?:\/\//.test(scriptUrl || '')) {
+    return Promise.resolve(null);
+  }
+  
+  if (!sourceMapCache.has(scriptUrl)) {
+    if (sourceMapCache.size >= CONFIG.MAX_CACHED_SOURCE_MAPS) {
+      sourceMapCache.delete(sourceMapCache.keys().next().value);
+    }
+    
+    const pending = fetchSourceMap(scriptUrl, tabId, tabUrl).catch(error => {
+      console.warn('[Debug Buddy] Source map unavailable for', scriptUrl, error.message);
+      return null;
+    });
+    sourceMapCache.set(scriptUrl, pending);
+  }
+  
+  return sourceMapCache.get(scriptUrl);
+}
+
+/**
+ * Locate and parse the source map for a script: uploaded maps first, then
+ * the SourceMap header, then the trailing sourceMappingURL comment
+ */
+async function fetchSourceMap(scriptUrl, tabId, tabUrl) {
+  const uploaded = await findUploadedSourceMap(scriptUrl);
+  if (uploaded) {
+    return parseSourceMap(uploaded.content, scriptUrl);
+  }
+  
+  const script = await loadScript(scriptUrl, tabId, tabUrl);
+  if (!script) {
+    return null;
+  }
+  
+  const mapRef = script.sourceMapHeader || extractSourceMappingUrl(script.text);
+  
+  if (!mapRef) {
+    return null;
+  }
+  
+  if (mapRef.startsWith('data:')) {
+    return parseSourceMap(decodeDataUrl(mapRef), scriptUrl);
+  }
+  
+  const mapUrl = new URL(mapRef, scriptUrl).href;
+  if (!(await isFetchableUrl(mapUrl, tabUrl))) {
+    return null;
+  }
+  
+  const mapResponse = await fetch(mapUrl);
+  if (!mapResponse.ok) {
+    return null;
+  }
+  
+  const mapText = await readCappedText(mapResponse, CONFIG.MAX_SOURCE_MAP_BYTES);
+  return parseSourceMap(mapText, mapUrl);
+}
+
+/**
+ * Read a response body as text, giving up as soon as it is known to exceed
+ * maxBytes: up front from Content-Length, otherwise while streaming
+ */
+async function readCappedText(response, maxBytes) {
+  const declaredLength = Number(response.headers.get('Content-Length'));
+  if (declaredLength > maxBytes) {
+    throw new Error(`Source map too large (${declaredLength} bytes)`);
+  }
+  
+  if (!response.body) {
+    const text = await response.text();
+    if (text.length > maxBytes) {
+      throw new Error(`Source map too large (${text.length} bytes)`);
+    }
+    return text;
+  }
+  
+  const reader = response.body.getReader();
+  const decoder = new TextDecoder();
+  let received = 0;
+  let text = '';
+  
+  while (true) {
+    const { done, value } = await reader.read();
+    if (done) break;
+    
+    received += value.byteLength;
+    if (received > maxBytes) {
+      reader.cancel();
+      throw new Error(`Source map too large (over ${maxBytes} bytes)`);
+    }
+    text += decoder.decode(value, { stream: true });
+  }
+  
+  return text + decoder.decode();
+}
+
+/**
+ * Find the last sourceMappingURL comment in a script
+ */
+function extractSourceMappingUrl(scriptText) {
+  const matches = [...scriptText.matchAll(/\/\/[#@]\s*sourceMappingURL=\s*(\S+)/g)];
+  return matches.length > 0 ? matches[matches.length - 1][1] : null;
+}
+
+/**
+ * Decode an inline data: URL source map
+ */
+function decodeDataUrl(dataUrl) {
+  const commaIndex = dataUrl.indexOf(',');
+  const header = dataUrl.slice(0, commaIndex);
+  const body = dataUrl.slice(commaIndex + 1);
+  
+  if (header.endsWith(';base64')) {
+    const bytes = Uint8Array.from(atob(body), char => char.charCodeAt(0));
+    return new TextDecoder().decode(bytes);
+  }
+  
+  return decodeURIComponent(body);
+}
+
+/**
+ * Parse a source map (v3, including indexed maps with sections)
+ */
+function parseSourceMap(mapSource, mapUrl) {
+  const raw = typeof mapSource === 'string'
+    ? JSON.parse(mapSource.replace(/^\)\]\}'[^\n]*\n/, ''))
+    : mapSource;
+  
+  if (Array.isArray(raw.sections)) {
+    return {
+      sections: raw.sections.map(section => ({
+        offset: section.offset,
+        map: parseSourceMap(section.map, mapUrl)
+      }))
+    };
+  }
+  
+  const sourceRoot = raw.sourceRoot || '';
+  
+  return {
+    sources: (raw.sources || []).map(source => resolveSourceUrl(sourceRoot, source, mapUrl)),
+    sourcesContent: raw.sourcesContent || [],
+    names: raw.names || [],
+    lines: decodeMappings(raw.mappings || '')
+  };
+}
+
+/**
+ * Resolve a map's source entry against sourceRoot and the map's own URL
+ */
+function resolveSourceUrl(sourceRoot, source, mapUrl) {
+  const root = sourceRoot && !sourceRoot.endsWith('/') ? `${sourceRoot}/` : sourceRoot;
+  const joined = `${root}${source || ''}`;
+  
+  if (/^[a-z][a-z0-9+.-]*:/i.test(joined)) {
+    return joined;
+  }
+  
+  try {
+    return new URL(joined, mapUrl).href;
+  } catch (e) {
+    return joined;
+  }
+}
+
+/**
+ * Decode the VLQ "mappings" field into per-generated-line segment arrays:
+ * [generatedColumn, sourceIndex, originalLine, originalColumn, nameIndex]
+ */
+function decodeMappings(mappings) {
+  const lines = [];
+  let sourceIndex = 0;
+  let originalLine = 0;
+  let originalColumn = 0;
+  let nameIndex = 0;
+  
+  for (const lineText of mappings.split(';')) {
+    const segments = [];
+    let generatedColumn = 0;
+    
+    for (const segmentText of lineText.split(',')) {
+      if (!segmentText) continue;
+      
+      const values = decodeVlq(segmentText);
+      generatedColumn += values[0];
+      const segment = [generatedColumn];
+      
+      if (values.length >= 4) {
+        sourceIndex += values[1];
+        originalLine += values[2];
+        originalColumn += values[3];
+        segment.push(sourceIndex, originalLine, originalColumn);
+        
+        if (values.length >= 5) {
+          nameIndex += values[4];
+          segment.push(nameIndex);
+        }
+      }
+      
+      segments.push(segment);
+    }
+    
+    segments.sort((a, b) => a[0] - b[0]);
+    lines.push(segments);
+  }
+  
+  return lines;
+}
+
+/**
+ * Decode one base64 VLQ segment into its signed integer values
+ */
+function decodeVlq(text) {
+  const values = [];
+  let value = 0;
+  let shift = 0;
+  
+  for (const char of text) {
+    const digit = BASE64_VALUES[char];
+    if (digit === undefined) {
+      throw new Error(`Invalid VLQ character: ${char}`);
+    }
+    
+    value += (digit & 31) * Math.pow(2, shift);
+    
+    if (digit & 32) {
+      shift += 5;
+    } else {
+      const negative = value % 2 === 1;
+      value = Math.floor(value / 2);
+      values.push(negative ? -value : value);
+      value = 0;
+      shift = 0;
+    }
+  }
+  
+  return values;
+}
+
+/**
+ * Map a generated 1-based line/column to its original position
+ */
+function lookupOriginalPosition(sourceMap, line, column) {
+  if (sourceMap.sections) {
+    let match = null;
+    for (const section of sourceMap.sections) {
+      const { line: offsetLine, column: offsetColumn } = section.offset;
+      if (offsetLine < line - 1 || (offsetLine === line - 1 && offsetColumn <= column - 1)) {
+        match = section;
+      } else {
+        break;
+      }
+    }
+    if (!match) return null;
+    
+    const relativeColumn = match.offset.line === line - 1 ? column - match.offset.column : column;
+    return lookupOriginalPosition(match.map, line - match.offset.line, relativeColumn);
+  }
+  
+  const segments = sourceMap.lines[line - 1];
+  if (!segments || segments.length === 0) return null;
+  
+  // Binary search for the last segment starting at or before the column
+  let low = 0;
+  let high = segments.length - 1;
+  let found = null;
+  while (low <= high) {
+    const mid = (low + high) >> 1;
+    if (segments[mid][0] <= column - 1) {
+      found = segments[mid];
+      low = mid + 1;
+    } else {
+      high = mid - 1;
+    }
+  }
+  
+  if (!found || found.length < 4) return null;
+  
+  const [, sourceIndex, originalLine, originalColumn, nameIndex] = found;
+  
+  return {
+    source: sourceMap.sources[sourceIndex] || 'unknown',
+    line: originalLine + 1,
+    column: originalColumn + 1,
+    name: nameIndex !== undefined ? sourceMap.names[nameIndex] || null : null,
+    context: extractSourceContext(sourceMap.sourcesContent[sourceIndex], originalLine + 1)
+  };
+}
+
+/**
+ * Pull the lines around an original position out of sourcesContent
+ */
+function extractSourceContext(content, line) {
+  if (typeof content !== 'string') return null;
+  
+  const lines = content.split('\n');
+  const startLine = Math.max(1, line - CONFIG.SOURCE_CONTEXT_LINES);
+  const endLine = Math.min(lines.length, line + CONFIG.SOURCE_CONTEXT_LINES);
+  
+  return {
+    startLine,
+    highlightLine: line,
+    lines: lines.slice(startLine - 1, endLine).map(text => text.slice(0, 300))
+  };
+}
+
+// ============================================
+// UPLOADED SOURCE MAPS
+// ============================================
+
+/**
+ * Store a user-uploaded .map file for scripts whose maps are not deployed
+ */
+async function uploadSourceMap({ name, content }) {
+  let parsed;
+  try {
+    parsed = JSON.parse(content);
+  } catch (e) {
+    return { success: false, error: 'File is not a valid source map (JSON parse failed)' };
+  }
+  
+  if (!parsed.mappings && !parsed.sections) {
+    return { success: false, error: 'File is not a valid source map (no mappings)' };
+  }
+  
+  const { sourceMaps = [] } = await chrome.storage.local.get(['sourceMaps']);
+  const entry = {
+    name,
+    file: parsed.file || name.replace(/\.map$/, ''),
+    size: content.length,
+    uploadedAt: Date.now(),
+    content
+  };
+  
+  await chrome.storage.local.set({
+    sourceMaps: [entry, ...sourceMaps.filter(m => m.name !== name)]
+  });
+  sourceMapCache.clear();
+  
+  return { success: true };
+}
+
+/**
+ * List uploaded source maps (without their contents)
+ */
+async function getSourceMaps() {
+  const { sourceMaps = [] } = await chrome.storage.local.get(['sourceMaps']);
+  return {
+    success: true,
+    sourceMaps: sourceMaps.map(({ name, file, size, uploadedAt }) => ({ name, file, size, uploadedAt }))
+  };
+}
+
+/**
+ * Remove an uploaded source map
+ */
+async function deleteSourceMap(name) {
+  const { sourceMaps = [] } = await chrome.storage.local.get(['sourceMaps']);
+  await chrome.storage.local.set({ sourceMaps: sourceMaps.filter(m => m.name !== name) });
+  sourceMapCache.clear();
+  return { success: true };
+}
+
+/**
+ * Match an uploaded map to a script by file name
+ */
+async function findUploadedSourceMap(scriptUrl) {
+  const { sourceMaps = [] } = await chrome.storage.local.get(['sourceMaps']);
+  const scriptName = new URL(scriptUrl).pathname.split('/').pop();
+  
+  return sourceMaps.find(m => m.file.split('/').pop() === scriptName || m.name === `${scriptName}.map`) || null;
+}
+
+// ============================================
+// CODE CONTEXT
+// ============================================
+
+// Script sources keyed by URL: { text, sourceMapHeader } or null
+const scriptCache = new Map();
+
+/**
+ * Whether the worker may fetch a page-supplied URL: only http(s) URLs on
+ * the tab's own origin or on a whitelisted domain
+ */
+async function isFetchableUrl(url, tabUrl) {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch (e) {
+    return false;
+  }
+  
+  if (parsed.protocol !== 'http:' && parsed.protocol !== 'https:') {
+    return false;
+  }
+  
+  try {
+    if (tabUrl && new URL(tabUrl).origin === parsed.origin) {
+      return true;
+    }
+  } catch (e) {
+    // Fall through to the whitelist
+  }
+  
+  const { domains = CONFIG.DEFAULT_DOMAINS } = await chrome.storage.sync.get('domains');
+  return domains.some(pattern => matchDomainPattern(parsed.hostname, pattern));
+}
+
+/**
+ * Fetch a script's source once per worker lifetime. The worker's own
+ * (uncredentialed) fetch is tried first; scripts that need the page's
+ * cookies or are only reachable from the page are fetched from inside the
+ * tab instead. Scripts outside the tab's origin and the whitelist are
+ * never fetched.
+ */
+async function loadScript(scriptUrl, tabId, tabUrl) {
+  if (!(await isFetchableUrl(scriptUrl, tabUrl))) {
+    return null;
+  }
+  
+  if (!scriptCache.has(scriptUrl)) {
+    if (scriptCache.size >= CONFIG.MAX_CACHED_SCRIPTS) {
+      scriptCache.delete(scriptCache.keys().next().value);
+    }
+    
+    const pending = fetchScriptFromWorker(scriptUrl)
+      .catch(() => null)
+      .then(script => script || fetchScriptFromTab(scriptUrl, tabId))
+      .catch(error => {
+        console.warn('[Debug Buddy] Could not load script', scriptUrl, error.message);
+        return null;
+      });
+    scriptCache.set(scriptUrl, pending);
+  }
+  
+  return scriptCache.get(scriptUrl);
+}
+
+async function fetchScriptFromWorker(scriptUrl) {
+  const response = await fetch(scriptUrl);
+  if (!response.ok) {
+    return null;
+  }
+  
+  return {
+    text: await response.text(),
+    sourceMapHeader: response.headers.get('SourceMap') || response.headers.get('X-SourceMap')
+  };
+}
+
+async function fetchScriptFromTab(scriptUrl, tabId) {
+  if (tabId === undefined || tabId === null) {
+    return null;
+  }
+  
+  const [injection] = await chrome.scripting.executeScript({
+    target: { tabId },
+    func: async (url) => {
+      try {
+        const response = await fetch(url, { credentials: 'same-origin' });
+        if (!response.ok) return null;
+        return {
+          text: await response.text(),
+          sourceMapHeader: response.headers.get('SourceMap') || response.headers.get('X-SourceMap')
+        };
+      } catch (e) {
+        return null;
+      }
+    },
+    args: [scriptUrl]
+  });
+  
+  return injection?.result || null;
+}
+
+/**
+ * Attach the lines around each of the top application frames. Frames
+ * already resolved through a source map with original source are skipped.
+ * Returns true when any context was attached.
+ */
+async function attachCodeContext(errorRecord) {
+  const { codeContextLines = CONFIG.CODE_CONTEXT_LINES, codeContextFrames = CONFIG.CODE_CONTEXT_FRAMES } =
+    await chrome.storage.sync.get(['codeContextLines', 'codeContextFrames']);
+  
+  if (codeContextFrames <= 0) {
+    return false;
+  }
+  
+  let frames = parseStackFrames(errorRecord.stack);
+  if (frames.length === 0 && errorRecord.filename && errorRecord.lineno) {
+    frames = [{ functionName: '<anonymous>', file: errorRecord.filename, lineno: errorRecord.lineno, colno: errorRecord.colno || 1 }];
+  }
+  
+  const resolvedWithSource = new Set(
+    (errorRecord.resolvedFrames || [])
+      .filter(f => f.original?.context)
+      .map(f => `${f.file}:${f.lineno}:${f.colno}`)
+  );
+  
+  const appFrames = frames
+    .filter(frame => !isVendorFrame(frame.file))
+    .slice(0, codeContextFrames)
+    .filter(frame => !resolvedWithSource.has(`${frame.file}:${frame.lineno}:${frame.colno}`));
+  
+  const codeContext = [];
+  
+  for (const frame of appFrames) {
+    const script = await loadScript(frame.file, errorRecord.tabId, errorRecord.tabUrl);
+    if (!script) continue;
+    
+    const context = extractCodeWindow(script.text, frame.lineno, frame.colno, codeContextLines);
+    if (context) {
+      codeContext.push({ file: frame.file, functionName: frame.functionName, colno: frame.colno, ...context });
+    }
+  }
+  
+  if (codeContext.length === 0) {
+    return false;
+  }
+  
+  errorRecord.codeContext = codeContext;
+  return true;
+}
+
+/**
+ * Cut a window of lines around a position. Long (minified) lines are
+ * narrowed to a column window around the error position.
+ */
+function extractCodeWindow(text, lineno, colno, contextLines) {
+  const lines = text.split('\n');
+  if (!lineno || lineno > lines.length) {
+    return null;
+  }
+  
+  const startLine = Math.max(1, lineno - contextLines);
+  const endLine = Math.min(lines.length, lineno + contextLines);
+  const column = Math.max(0, (colno || 1) - 1);
+  
+  return {
+    startLine,
+    highlightLine: lineno,
+    lines: lines.slice(startLine - 1, endLine).map(line => {
+      if (line.length <= CONFIG.CODE_CONTEXT_MAX_LINE) {
+        return line;
+      }
+      const half = Math.floor(CONFIG.CODE_CONTEXT_MAX_LINE / 2);
+      const from = Math.max(0, Math.min(column - half, line.length - CONFIG.CODE_CONTEXT_MAX_LINE));
+      const to = from + CONFIG.CODE_CONTEXT_MAX_LINE;
+      return `${from > 0 ? '…' : ''}${line.slice(from, to)}${to < line.length ? '…' : ''}`;
+    })
+  };
+}
+
+/**
+ * Format the fetched code windows for the analysis prompt
+ */
+function buildCodeContextSection(errorRecord) {
+  if (!errorRecord.codeContext?.length) {
+    return '';
+  }
+  
+  const blocks = errorRecord.codeContext.map(context => {
+    const numbered = context.lines.map((text, i) => {
+      const lineNumber = context.startLine + i;
+      return `${lineNumber === context.highlightLine ? '>' : ' '} ${lineNumber} | ${text}`;
+    });
+    return `// ${context.file}:${context.highlightLine}:${context.colno} (${context.functionName})\n${numbered.join('\n')}`;
+  });
+  
+  return `\nCODE CONTEXT:\n${blocks.join('\n\n')}\n`;
+}
+
+// ============================================
+// API ANALYSIS QUEUE
+// ============================================
+
+const QUEUE_ALARM = 'analysis-queue';
+
+// Lower runs first: "Analyze now" and "Re-analyze", then uncaught
+// exceptions, console errors, failed requests, and everything else
+const ANALYSIS_PRIORITY = {
+  exception: 1,
+  promise_rejection: 1,
+  worker_error: 1,
+  error: 2,
+  network_error: 3
+};
+
+// Worth retrying after a wait: rate limits, timeouts and overloaded servers
+const RETRYABLE_STATUSES = [408, 429, 500, 502, 503, 504, 529];
+
+function getAnalysisPriority(errorRecord, manual) {
+  return manual ? 0 : ANALYSIS_PRIORITY[errorRecord.type] ?? 4;
+}
+
+/**
+ * Add error to analysis queue. An error that is already queued keeps a
+ * single entry, upgraded by an explicit "Analyze now" or "Re-analyze".
+ */
+async function queueErrorAnalysis(errorRecord, { manual = false, bypassCache = false } = {}) {
+  await restoreAnalysisQueue();
+  
+  const existing = analysisQueue.find(entry => entry.id === errorRecord.id);
+  if (existing) {
+    if (manual) {
+      existing.priority = 0;
+      existing.manual = true;
+      existing.bypassCache = existing.bypassCache || bypassCache;
+      existing.retryAt = 0;
+      await saveAnalysisQueue();
+      processQueue();
+    }
+    return { success: true, queued: false };
+  }
+  
+  if (activeAnalyses.has(errorRecord.id)) {
+    return { success: true, queued: false };
+  }
+  
+  analysisQueue.push({
+    id: errorRecord.id,
+    priority: getAnalysisPriority(errorRecord, manual),
+    manual,
+    bypassCache,
+    attempts: 0,
+    retryAt: 0,
+    queuedAt: Date.now()
+  });
+  await saveAnalysisQueue();
+  
+  processQueue();
+  
+  return { success: true, queued: true };
+}
+
+/**
+ * Process the analysis queue with rate limiting
+ */
+async function processQueue() {
+  if (isProcessingQueue) {
+    return;
+  }
+  
+  isProcessingQueue = true;
+  
+  try {
+    await restoreAnalysisQueue();
+    clearTimeout(queueTimer);
+    queueTimer = null;
+    
+    let entry;
+    while ((entry = takeNextQueueEntry())) {
+      await saveAnalysisQueue();
+      
+      // Skip errors removed, muted or answered while they waited
+      const errorRecord = await findErrorRecord(entry.id);
+      if (!errorRecord || errorRecord.mutedBy || (errorRecord.status === 'completed' && !entry.bypassCache)) {
+        continue;
+      }
+      
+      // A cached answer costs nothing, so it skips the budget and rate limit
+      if (!entry.bypassCache && await applyCachedAnalysis(errorRecord)) {
+        continue;
+      }
+      
+      // Auto-analysis pauses once a budget is used up; "Analyze now" still works
+      if (!entry.manual) {
+        const budget = await getBudgetStatus();
+        if (budget.exceeded) {
+          await deferAnalysis(errorRecord, budget.reason);
+          continue;
+        }
+      }
+      
+      // Enforce rate limiting
+      const now = Date.now();
+      const timeSinceLastCall = now - lastApiCallTime;
+      
+      if (timeSinceLastCall < CONFIG.RATE_LIMIT_MS) {
+        const waitTime = CONFIG.RATE_LIMIT_MS - timeSinceLastCall;
+        await sleep(waitTime);
+      }
+      
+      // Perform analysis
+      await analyzeError(errorRecord, entry);
+      lastApiCallTime = Date.now();
+    }
+    
+    scheduleQueueWakeup();
+  } catch (error) {
+    console.error('[Debug Buddy] Analysis queue failed:', error);
+  } finally {
+    isProcessingQueue = false;
+  }
+}
+
+/**
+ * Remove and return the most urgent entry that isn't waiting on a retry
+ */
+function takeNextQueueEntry() {
+  const now = Date.now();
+  let next = -1;
+  
+  analysisQueue.forEach((entry, index) => {
+    if (entry.retryAt > now) return;
+    const best = analysisQueue[next];
+    if (!best || entry.priority < best.priority ||
+        (entry.priority === best.priority && entry.queuedAt < best.queuedAt)) {
+      next = index;
+    }
+  });
+  
+  return next === -1 ? null : analysisQueue.splice(next, 1)[0];
+}
+
+/**
+ * Run the queue again when the earliest retry is due. The alarm covers
+ * waits the service worker is stopped during.
+ */
+function scheduleQueueWakeup() {
+  const retryAt = Math.min(...analysisQueue.map(entry => entry.retryAt));
+  if (!Number.isFinite(retryAt)) return;
+  
+  clearTimeout(queueTimer);
+  queueTimer = setTimeout(processQueue, Math.max(0, retryAt - Date.now()));
+  chrome.alarms.create(QUEUE_ALARM, { when: retryAt });
+}
+
+/**
+ * Load the saved queue once per service worker. Nothing is running in a
+ * fresh worker, so records left "analyzing" were interrupted and go back
+ * to the queue, and follow-ups left pending are marked failed.
+ */
+function restoreAnalysisQueue() {
+  if (!queueRestored) {
+    queueRestored = (async () => {
+      const { analysisQueue: saved = [] } = await chrome.storage.local.get(['analysisQueue']);
+      for (const entry of saved) {
+        if (!analysisQueue.some(e => e.id === entry.id)) {
+          analysisQueue.push(entry);
+        }
+      }
+      
+      const { errors: interrupted } = await queryErrors({ index: 'status', value: 'analyzing', limit: Infinity });
+      for (const errorRecord of interrupted) {
+        errorRecord.status = 'pending';
+        await updateErrorInStorage(errorRecord);
+        
+        broadcastToSidePanel({
+          type: 'ERROR_STATUS_UPDATED',
+          payload: { id: errorRecord.id, status: 'pending' }
+        });
+        
+        if (!analysisQueue.some(e => e.id === errorRecord.id)) {
+          analysisQueue.push({
+            id: errorRecord.id,
+            priority: getAnalysisPriority(errorRecord, false),
+            manual: false,
+            bypassCache: false,
+            attempts: 0,
+            retryAt: 0,
+            queuedAt: errorRecord.lastSeen || Date.now()
+          });
+        }
+      }
+      
+      const { errors: completed } = await queryErrors({ index: 'status', value: 'completed', limit: Infinity });
+      for (const errorRecord of completed.filter(record => record.followUpPending)) {
+        const lastTurn = errorRecord.conversation?.[errorRecord.conversation.length - 1];
+        if (lastTurn?.role === 'user') {
+          lastTurn.failed = true;
+          lastTurn.error = 'Interrupted before an answer arrived';
+        }
+        errorRecord.followUpPending = false;
+        await saveConversation(errorRecord);
+      }
+      
+      if (saved.length > 0 || interrupted.length > 0) {
+        await saveAnalysisQueue();
+        console.log('[Debug Buddy] Restored', analysisQueue.length, 'queued analyses,', interrupted.length, 'interrupted');
+      }
+    })().catch((error) => {
+      console.error('[Debug Buddy] Failed to restore analysis queue:', error);
+    });
+  }
+  return queueRestored;
+}
+
+/**
+ * Persist the queue and tell the side panel
+ */
+async function saveAnalysisQueue() {
+  await chrome.storage.local.set({ analysisQueue });
+  broadcastQueueStatus();
+}
+
+function getQueueStatus() {
+  const now = Date.now();
+  const waiting = analysisQueue.filter(entry => entry.retryAt > now);
+  
+  return {
+    success: true,
+    active: activeAnalyses.size,
+    queued: analysisQueue.length - waiting.length,
+    retrying: waiting.length,
+    nextRetryAt: waiting.length > 0 ? Math.min(...waiting.map(entry => entry.retryAt)) : null
+  };
+}
+
+function broadcastQueueStatus() {
+  broadcastToSidePanel({
+    type: 'QUEUE_UPDATED',
+    payload: getQueueStatus()
+  });
+}
+
+/**
+ * Put a failed entry back with exponential backoff, or the provider's
+ * retry-after when it sent one. Returns false once retries run out.
+ */
+async function retryAnalysisLater(errorRecord, entry, error) {
+  if (!entry || !RETRYABLE_STATUSES.includes(error.status) || entry.attempts >= CONFIG.MAX_ANALYSIS_RETRIES) {
+    return false;
+  }
+  
+  const backoff = Math.min(CONFIG.RETRY_MAX_MS, CONFIG.RETRY_BASE_MS * 2 ** entry.attempts);
+  const delay = error.retryAfterMs ?? backoff * (1 + Math.random() * 0.2);
+  const retryAt = Date.now() + delay;
+  
+  analysisQueue.push({ ...entry, attempts: entry.attempts + 1, retryAt });
+  await saveAnalysisQueue();
+  
+  errorRecord.status = 'pending';
+  await deferAnalysis(errorRecord, `${error.message} - retrying at ${new Date(retryAt).toLocaleTimeString()} (attempt ${entry.attempts + 2} of ${CONFIG.MAX_ANALYSIS_RETRIES + 1})`);
+  return true;
+}
+
+/**
+ * Seconds or HTTP-date from a retry-after header, in milliseconds
+ */
+function parseRetryAfter(value) {
+  if (!value) return null;
+  
+  const seconds = Number(value);
+  if (Number.isFinite(seconds)) {
+    return Math.max(0, seconds * 1000);
+  }
+  
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+/**
+ * Analyze error using Claude API. `entry` is the queue entry, used to
+ * retry rate-limited requests.
+ */
+async function analyzeError(errorRecord, entry = null) {
+  // Update status to analyzing
+  errorRecord.status = 'analyzing';
+  delete errorRecord.analysisDeferred;
+  await updateErrorInStorage(errorRecord);
+  
+  broadcastToSidePanel({
+    type: 'ERROR_STATUS_UPDATED',
+    payload: { id: errorRecord.id, status: 'analyzing' }
+  });
+  
+  const controller = new AbortController();
+  activeAnalyses.set(errorRecord.id, controller);
+  broadcastQueueStatus();
+  
+  try {
+    // Pick the provider configured for this page's domain
+    const provider = await resolveProvider(errorRecord.tabUrl);
+    
+    // Build the prompt
+    const prompt = buildAnalysisPrompt(errorRecord);
+    
+    // Stream the response, forwarding partial text to the side panel
+    const messages = [
+      {
+        role: 'user',
+        content: prompt
+      }
+    ];
+    const { text } = await callProvider(provider, messages, {
+      signal: controller.signal,
+      onText: createProgressBroadcaster('ANALYSIS_PROGRESS', errorRecord.id),
+      structured: true
+    });
+    let analysisText = text || 'No analysis available';
+    
+    // Parse the analysis response, asking the model to fix malformed output
+    let { analysis, errors } = parseAnalysisResponse(analysisText);
+    for (let attempt = 0; errors.length > 0 && attempt < CONFIG.ANALYSIS_REPAIR_ATTEMPTS; attempt++) {
+      console.warn('[Debug Buddy] Malformed analysis, asking for a repair:', errors.join('; '));
+      
+      messages.push(
+        { role: 'assistant', content: analysisText },
+        { role: 'user', content: buildRepairPrompt(errors) }
+      );
+      const repaired = await callProvider(provider, messages, { signal: controller.signal, structured: true });
+      if (!repaired.text) break;
+      
+      analysisText = repaired.text;
+      ({ analysis, errors } = parseAnalysisResponse(analysisText));
+    }
+    
+    if (errors.length > 0) {
+      analysis = toUnstructuredAnalysis(analysis, analysisText, errors);
+    }
+    
+    // Update error record with analysis
+    errorRecord.status = 'completed';
+    errorRecord.analysis = analysis;
+    errorRecord.analysisText = analysisText;
+    errorRecord.analyzedBy = { providerId: provider.id, providerName: provider.name, model: provider.model };
+    delete errorRecord.analysisCached;
+    errorCache.set(errorRecord.id, errorRecord);
+    await updateErrorInStorage(errorRecord);
+    if (!analysis.unstructured) {
+      await storeCachedAnalysis(errorRecord, provider);
+    }
+    
+    // Notify side panel
+    broadcastToSidePanel({
+      type: 'ANALYSIS_COMPLETED',
+      payload: errorRecord
+    });
+    
+    console.log('[Debug Buddy] Analysis completed for:', errorRecord.id);
+    
+  } catch (error) {
+    if (error.name === 'AbortError') {
+      // Cancelled by the user: put the record back to pending
+      errorRecord.status = 'pending';
+      errorRecord.analysis = null;
+      errorCache.set(errorRecord.id, errorRecord);
+      await updateErrorInStorage(errorRecord);
+      
+      broadcastToSidePanel({
+        type: 'ANALYSIS_CANCELLED',
+        payload: { id: errorRecord.id }
+      });
+      
+      console.log('[Debug Buddy] Analysis cancelled for:', errorRecord.id);
+      return;
+    }
+    
+    if (await retryAnalysisLater(errorRecord, entry, error)) {
+      console.warn('[Debug Buddy] Analysis will be retried for:', errorRecord.id, '-', error.message);
+      return;
+    }
+    
+    console.error('[Debug Buddy] Analysis failed:', error);
+    
+    errorRecord.status = 'failed';
+    errorRecord.analysis = {
+      error: error.message,
+      explanation: 'Failed to analyze error. Please check your API key and try again.',
+      fix: null,
+      severity: 'unknown'
+    };
+    
+    errorCache.set(errorRecord.id, errorRecord);
+    await updateErrorInStorage(errorRecord);
+    
+    broadcastToSidePanel({
+      type: 'ANALYSIS_FAILED',
+      payload: { id: errorRecord.id, error: error.message }
+    });
+  } finally {
+    activeAnalyses.delete(errorRecord.id);
+    broadcastQueueStatus();
+  }
+}
+
+/**
+ * Build a throttled onText callback that relays partial text to the side panel
+ */
+function createProgressBroadcaster(type, errorId) {
+  let lastProgressTime = 0;
+  
+  return (partialText) => {
+    const now = Date.now();
+    if (now - lastProgressTime >= CONFIG.PROGRESS_THROTTLE_MS) {
+      lastProgressTime = now;
+      broadcastToSidePanel({
+        type,
+        payload: { id: errorId, text: partialText }
+      });
+    }
+  };
+}
+
+/**
+ * Abort an in-flight analysis, or drop it from the queue if it hasn't started
+ */
+async function cancelAnalysis(errorId) {
+  const controller = activeAnalyses.get(errorId);
+  if (controller) {
+    controller.abort();
+    return { success: true, cancelled: true };
+  }
+  
+  const index = analysisQueue.findIndex(e => e.id === errorId);
+  if (index !== -1) {
+    analysisQueue.splice(index, 1);
+    await saveAnalysisQueue();
+    return { success: true, dequeued: true };
+  }
+  
+  return { success: false, error: 'Analysis is not running' };
+}
+
+/**
+ * Build the prompt for Claude API
+ */
+function buildAnalysisPrompt(errorRecord) {
+  const location = errorRecord.originalLocation || errorRecord;
+  
+  return `You are an expert JavaScript debugging assistant. Analyze the following browser console error and provide a helpful explanation and fix.
+
+ERROR DETAILS:
+- Type: ${errorRecord.type}
+- Message: ${errorRecord.message}
+- File: ${location.filename || 'Unknown'}
+- Line: ${location.lineno || 'Unknown'}
+- Column: ${location.colno || 'Unknown'}
+- URL: ${errorRecord.tabUrl || 'Unknown'}${buildContextLine(errorRecord)}
+
+STACK TRACE:
+${errorRecord.symbolicatedStack || errorRecord.stack || 'No stack trace available'}
+${buildSourceContextSection(errorRecord)}${buildCodeContextSection(errorRecord)}${buildBreadcrumbSection(errorRecord)}${buildNetworkSection(errorRecord)}${buildScriptAttributionSection(errorRecord)}
+
+Please respond in the following JSON format:
+{
+  "severity": "low|medium|high|critical",
+  "explanation": "Clear explanation of what caused this error",
+  "cause": "The specific reason this error occurred",
+  "fix": "Code snippet or solution to fix this error",
+  "fixes": [{ "title": "Short name for this approach", "language": "javascript", "code": "Copy-paste ready code" }],
+  "prevention": "How to prevent this error in the future",
+  "confidence": 0.8,
+  "links": [{ "title": "Page title", "url": "https://developer.mozilla.org/..." }]
+}
+
+Keep explanations concise but helpful. If you include code in the "fix" field, make it copy-paste ready. "fixes" is optional and lists alternatives when more than one fix is reasonable. "confidence" is how sure you are of the root cause, from 0 to 1. Only include links to documentation you are certain exists.`;
+}
+
+/**
+ * Follow-up turn sent when the analysis didn't match ANALYSIS_SCHEMA
+ */
+function buildRepairPrompt(errors) {
+  return `Your response did not match the required JSON format:
+${errors.map(error => `- ${error}`).join('\n')}
+
+Reply again with only the corrected JSON object, without any other text.`;
+}
+
+/**
+ * Where the error ran, when it wasn't the top-level page
+ */
+function buildContextLine(errorRecord) {
+  const context = errorRecord.context;
+  if (!context || context === 'page') return '';
+  
+  const frameUrl = errorRecord.frameUrl && errorRecord.frameUrl !== errorRecord.tabUrl ? ` (${errorRecord.frameUrl})` : '';
+  return `\n- Context: ${CONTEXT_LABELS[context] || context}${frameUrl}`;
+}
+
+const CONTEXT_LABELS = {
+  iframe: 'iframe',
+  worker: 'dedicated worker',
+  shared_worker: 'shared worker',
+  service_worker: 'service worker'
+};
+
+/**
+ * Format the original source lines recovered from source maps
+ */
+function buildSourceContextSection(errorRecord) {
+  const framesWithContext = (errorRecord.resolvedFrames || []).filter(f => f.original?.context);
+  if (framesWithContext.length === 0) {
+    return '';
+  }
+  
+  const blocks = framesWithContext.map(frame => {
+    const { source, line, context } = frame.original;
+    const numbered = context.lines.map((text, i) => {
+      const lineNumber = context.startLine + i;
+      return `${lineNumber === line ? '>' : ' '} ${lineNumber} | ${text}`;
+    });
+    return `// ${source}:${line}\n${numbered.join('\n')}`;
+  });
+  
+  return `\nORIGINAL SOURCE CONTEXT:\n${blocks.join('\n\n')}\n`;
+}
+
+/**
+ * Format the user actions, navigations, logs and requests leading up to
+ * the error, with times relative to the first occurrence
+ */
+function buildBreadcrumbSection(errorRecord) {
+  if (!errorRecord.breadcrumbs?.length) {
+    return '';
+  }
+  
+  const errorTime = errorRecord.firstSeen || errorRecord.timestamp;
+  const lines = errorRecord.breadcrumbs.map(crumb => {
+    const seconds = ((crumb.timestamp - errorTime) / 1000).toFixed(1);
+    return `${seconds}s [${crumb.type}] ${crumb.message}`;
+  });
+  
+  return `\nRECENT ACTIVITY BEFORE THE ERROR (oldest first, seconds relative to the error):\n${lines.join('\n')}\n`;
+}
+
+/**
+ * Captured request/response of a failing network call (opt-in, redacted)
+ */
+function buildNetworkSection(errorRecord) {
+  const network = errorRecord.network;
+  if (!network) {
+    return '';
+  }
+  
+  const formatSide = (label, side) => {
+    if (!side) {
+      return `${label}: (no response received)`;
+    }
+    const headers = Object.entries(side.headers || {}).map(([name, value]) => `  ${name}: ${value}`);
+    const body = side.body ? `${side.body}${side.bodyTruncated ? '\n[truncated]' : ''}` : '(empty)';
+    return `${label} HEADERS:\n${headers.join('\n') || '  (none)'}\n${label} BODY:\n${body}`;
+  };
+  
+  return `\nNETWORK EXCHANGE:\n${formatSide('REQUEST', network.request)}\n${formatSide('RESPONSE', network.response)}\n`;
+}
+
+/**
+ * Scripts that ran in a long animation frame, longest first, with how
+ * often each has blocked the main thread on this page so far
+ */
+function buildScriptAttributionSection(errorRecord) {
+  if (errorRecord.category !== 'performance' || !errorRecord.scripts?.length) {
+    return '';
+  }
+  
+  const metadata = errorRecord.metadata || {};
+  const frame = [
+    `Frame: ${metadata.duration}ms`,
+    metadata.blockingDuration ? `blocking ${metadata.blockingDuration}ms` : '',
+    metadata.styleAndLayoutMs ? `style and layout ${metadata.styleAndLayoutMs}ms` : '',
+    metadata.renderMs ? `rendering ${metadata.renderMs}ms` : ''
+  ].filter(Boolean).join(', ');
+  
+  const lines = errorRecord.scripts.map(script => {
+    const location = `${script.functionName || '(anonymous)'} in ${script.sourceUrl || 'an inline script'}`;
+    const invoker = script.invoker ? ` via ${script.invokerType ? `${script.invokerType} ` : ''}${script.invoker}` : '';
+    const forced = script.forcedStyleLayoutMs ? `, ${script.forcedStyleLayoutMs}ms forced style/layout` : '';
+    return `- ${location}${invoker}: ${script.durationMs}ms${forced}; in ${script.count} long frame${script.count === 1 ? '' : 's'} so far, ${script.totalMs}ms total`;
+  });
+  
+  return `\nMAIN-THREAD SCRIPTS (long animation frame attribution, longest first):\n${frame}\n${lines.join('\n')}\n`;
+}
+
+// ============================================
+// ANALYSIS SCHEMA
+// ============================================
+
+const SEVERITIES = ['low', 'medium', 'high', 'critical'];
+
+// JSON Schema for the analysis object. Sent as the tool input schema or
+// response format where the provider supports one, and checked by
+// validateAnalysis() for every response.
+const ANALYSIS_SCHEMA = {
+  type: 'object',
+  properties: {
+    severity: { type: 'string', enum: SEVERITIES },
+    explanation: { type: 'string', description: 'Clear explanation of what caused this error' },
+    cause: { type: 'string', description: 'The specific reason this error occurred' },
+    fix: { type: 'string', description: 'Code snippet or solution to fix this error' },
+    fixes: {
+      type: 'array',
+      description: 'Alternative fixes when more than one is reasonable',
+      items: {
+        type: 'object',
+        properties: {
+          title: { type: 'string' },
+          language: { type: 'string', description: 'Language of the code, e.g. javascript, typescript, css' },
+          code: { type: 'string' }
+        },
+        required: ['code']
+      }
+    },
+    prevention: { type: 'string', description: 'How to prevent this error in the future' },
+    confidence: { type: 'number', minimum: 0, maximum: 1, description: 'How sure you are of the root cause' },
+    links: {
+      type: 'array',
+      description: 'Documentation relevant to the error',
+      items: {
+        type: 'object',
+        properties: {
+          title: { type: 'string' },
+          url: { type: 'string' }
+        },
+        required: ['url']
+      }
+    }
+  },
+  required: ['severity', 'explanation', 'cause', 'fix']
+};
+
+const ANALYSIS_TOOL_NAME = 'report_analysis';
+
+/**
+ * Parse the analysis response into { analysis, errors }. `errors` lists
+ * every schema violation and is empty for a valid analysis.
+ */
+function parseAnalysisResponse(responseText) {
+  const value = extractJson(responseText);
+  if (value === undefined) {
+    return { analysis: {}, errors: ['Response is not a JSON object'] };
+  }
+  return validateAnalysis(value);
+}
+
+/**
+ * Parse a whole response, a ```json block, or the outermost {...}
+ */
+function extractJson(text) {
+  const candidates = [
+    text.trim(),
+    text.match(/```(?:json)?\s*([\s\S]*?)```/)?.[1],
+    text.match(/\{[\s\S]*\}/)?.[0]
+  ];
+  
+  for (const candidate of candidates) {
+    if (!candidate) continue;
+    try {
+      return JSON.parse(candidate);
+    } catch (e) {}
+  }
+  return undefined;
+}
+
+/**
+ * Check a parsed response against ANALYSIS_SCHEMA. Returns the fields
+ * that passed (with light normalization) plus the violations.
+ */
+function validateAnalysis(value) {
+  const errors = [];
+  const analysis = {};
+  
+  if (!value || typeof value !== 'object' || Array.isArray(value)) {
+    return { analysis, errors: ['Response must be a JSON object'] };
+  }
+  
+  const severity = typeof value.severity === 'string' ? value.severity.trim().toLowerCase() : value.severity;
+  if (SEVERITIES.includes(severity)) {
+    analysis.severity = severity;
+  } else {
+    errors.push(`"severity" must be one of ${SEVERITIES.join(', ')}`);
+  }
+  
+  for (const field of ['explanation', 'cause', 'fix', 'prevention']) {
+    if (typeof value[field] === 'string' && value[field].trim()) {
+      analysis[field] = value[field].trim();
+    } else if (value[field] != null && typeof value[field] !== 'string') {
+      errors.push(`"${field}" must be a string`);
+    }
+  }
+  
+  if (value.fixes != null) {
+    if (Array.isArray(value.fixes) && value.fixes.every(fix => typeof fix?.code === 'string')) {
+      analysis.fixes = value.fixes
+        .filter(fix => fix.code.trim())
+        .map(fix => ({
+          title: typeof fix.title === 'string' ? fix.title.trim() : '',
+          language: typeof fix.language === 'string' ? fix.language.trim().toLowerCase() : '',
+          code: fix.code.trim()
+        }));
+    } else {
+      errors.push('"fixes" must be an array of objects with a "code" string');
+    }
+  }
+  
+  // A response with only "fixes" still fills the single fix used by exports
+  if (!analysis.fix && analysis.fixes?.length) {
+    analysis.fix = analysis.fixes[0].code;
+  }
+  
+  for (const field of ANALYSIS_SCHEMA.required) {
+    if (field !== 'severity' && !analysis[field] && !errors.some(error => error.startsWith(`"${field}"`))) {
+      errors.push(`"${field}" is required`);
+    }
+  }
+  
+  if (value.confidence != null) {
+    // Some models answer in percent
+    const confidence = value.confidence > 1 && value.confidence <= 100 ? value.confidence / 100 : value.confidence;
+    if (typeof confidence === 'number' && confidence >= 0 && confidence <= 1) {
+      analysis.confidence = confidence;
+    } else {
+      errors.push('"confidence" must be a number between 0 and 1');
+    }
+  }
+  
+  if (value.links != null) {
+    if (Array.isArray(value.links)) {
+      // Links are optional extras, so bad entries are dropped rather than repaired
+      analysis.links = value.links
+        .filter(link => typeof link?.url === 'string' && /^https?:\/\//i.test(link.url))
+        .map(link => ({ title: typeof link.title === 'string' ? link.title.trim() : '', url: link.url }));
+    } else {
+      errors.push('"links" must be an array');
+    }
+  }
+  
+  return { analysis, errors };
+}
+
+/**
+ * Keep whatever validated and show the raw response for the rest, without
+ * inventing a severity
+ */
+function toUnstructuredAnalysis(analysis, responseText, errors) {
+  return {
+    ...analysis,
+    explanation: analysis.explanation || responseText,
+    unstructured: true,
+    validationErrors: errors
+  };
+}
+
+/**
+ * Persist changes to an existing error record
+ */
+async function updateErrorInStorage(errorRecord) {
+  await putErrorRecord(errorRecord);
+}
+
+// ============================================
+// FOLLOW-UP CONVERSATION
+// ============================================
+
+const FOLLOW_UP_INSTRUCTIONS = 'Answer follow-up questions in plain text rather than JSON. Use fenced code blocks for any code.';
+
+/**
+ * Ask a follow-up question about an analyzed error. The whole thread is
+ * persisted on the error record and replayed to the model each time.
+ */
+async function sendFollowUp(errorId, question) {
+  if (typeof question !== 'string' || !question.trim()) {
+    return { success: false, error: 'Question is required' };
+  }
+  
+  // Clears flags left by a follow-up the previous worker didn't finish
+  await restoreAnalysisQueue();
+  
+  const errorRecord = await findErrorRecord(errorId);
+  
+  if (!errorRecord) {
+    return { success: false, error: 'Error not found' };
+  }
+  if (errorRecord.status !== 'completed' || !errorRecord.analysis) {
+    return { success: false, error: 'Analyze the error before asking follow-up questions' };
+  }
+  if (errorRecord.followUpPending) {
+    return { success: false, error: 'A follow-up is already in progress' };
+  }
+  
+  const userTurn = { role: 'user', content: question.trim(), timestamp: Date.now() };
+  errorRecord.conversation = [...(errorRecord.conversation || []), userTurn];
+  errorRecord.followUpPending = true;
+  await saveConversation(errorRecord);
+  
+  try {
+    const provider = await resolveProvider(errorRecord.tabUrl);
+    const { text } = await callProvider(provider, buildConversationMessages(errorRecord), {
+      onText: createProgressBroadcaster('FOLLOW_UP_PROGRESS', errorRecord.id)
+    });
+    
+    errorRecord.conversation.push({ role: 'assistant', content: text || 'No response', timestamp: Date.now() });
+  } catch (error) {
+    console.error('[Debug Buddy] Follow-up failed:', error);
+    
+    // Keep the question visible but leave it out of future model turns
+    userTurn.failed = true;
+    userTurn.error = error.message;
+  }
+  
+  errorRecord.followUpPending = false;
+  await saveConversation(errorRecord);
+  
+  return userTurn.failed
+    ? { success: false, failedTurn: true, error: userTurn.error }
+    : { success: true };
+}
+
+/**
+ * Turn the stored thread into a multi-turn messages array, starting with
+ * the original analysis prompt and answer
+ */
+function buildConversationMessages(errorRecord) {
+  const messages = [
+    { role: 'user', content: buildAnalysisPrompt(errorRecord) },
+    { role: 'assistant', content: errorRecord.analysisText || JSON.stringify(errorRecord.analysis, null, 2) }
+  ];
+  
+  const turns = (errorRecord.conversation || []).filter(turn => !turn.failed);
+  
+  turns.forEach((turn, index) => {
+    const content = index === 0 && turn.role === 'user'
+      ? `${FOLLOW_UP_INSTRUCTIONS}\n\n${turn.content}`
+      : turn.content;
+    messages.push({ role: turn.role, content });
+  });
+  
+  return messages;
+}
+
+/**
+ * Reset the follow-up thread for an error
+ */
+async function clearConversation(errorId) {
+  const errorRecord = await findErrorRecord(errorId);
+  if (!errorRecord) {
+    return { success: false, error: 'Error not found' };
+  }
+  
+  errorRecord.conversation = [];
+  errorRecord.followUpPending = false;
+  await saveConversation(errorRecord);
+  
+  return { success: true };
+}
+
+async function saveConversation(errorRecord) {
+  errorCache.set(errorRecord.id, errorRecord);
+  await updateErrorInStorage(errorRecord);
+  
+  broadcastToSidePanel({
+    type: 'CONVERSATION_UPDATED',
+    payload: {
+      id: errorRecord.id,
+      conversation: errorRecord.conversation,
+      followUpPending: errorRecord.followUpPending
+    }
+  });
+}
+
+// ============================================
+// ISSUE TRACKER
+// ============================================
+
+/**
+ * POST a ticket built in the side panel to the configured tracker endpoint.
+ * The endpoint receives JSON { title, body, format, labels, errorId }.
+ */
+async function fileIssue({ id, format, title, body }) {
+  const { issueTracker = {} } = await chrome.storage.sync.get('issueTracker');
+  
+  if (!issueTracker.endpoint) {
+    return { success: false, error: 'No issue tracker endpoint configured. Add one in settings.' };
+  }
+  
+  const redactText = await getRedactor();
+  const headers = { 'Content-Type': 'application/json' };
+  if (issueTracker.authorization) {
+    headers['Authorization'] = issueTracker.authorization;
+  }
+  
+  try {
+    const response = await fetch(issueTracker.endpoint, {
+      method: 'POST',
+      headers,
+      body: JSON.stringify({
+        title: redactText(title),
+        body: redactText(body),
+        format,
+        labels: issueTracker.labels || [],
+        errorId: id
+      })
+    });
+    
+    const data = await response.json().catch(() => ({}));
+    if (!response.ok) {
+      throw new Error(data.message || data.error || `Issue tracker returned ${response.status}`);
+    }
+    
+    // GitHub: html_url, GitLab: web_url, Jira: key/self
+    const issueUrl = data.html_url || data.web_url || data.url || data.self || null;
+    
+    const errorRecord = await findErrorRecord(id);
+    if (errorRecord) {
+      errorRecord.issue = { url: issueUrl, key: data.key || data.number || data.iid || null, format, filedAt: Date.now() };
+      errorCache.set(id, errorRecord);
+      await updateErrorInStorage(errorRecord);
+      broadcastToSidePanel({
+        type: 'ERROR_UPDATED',
+        payload: errorRecord
+      });
+    }
+    
+    return { success: true, url: issueUrl };
+  } catch (error) {
+    console.error('[Debug Buddy] Filing issue failed:', error);
+    return { success: false, error: error.message };
+  }
+}
+
+// ============================================
+// REDACTION
+// ============================================
+
+/**
+ * Build a scrubber from the current privacy settings
+ */
+async function getRedactor() {
+  const { redaction } = await chrome.storage.sync.get('redaction');
+  return DebugBuddyRedaction.createRedactor(redaction);
+}
+
+/**
+ * Scrub every message of a provider conversation
+ */
+async function redactMessages(messages) {
+  const redactText = await getRedactor();
+  return messages.map(message => ({ ...message, content: redactText(message.content) }));
+}
+
+/**
+ * Show exactly what an analysis request would send, after redaction
+ */
+async function previewAnalysisRequest(errorId) {
+  const errorRecord = await findErrorRecord(errorId);
+  if (!errorRecord) {
+    return { success: false, error: 'Error not found' };
+  }
+  
+  const provider = await resolveProvider(errorRecord.tabUrl);
+  const providerType = PROVIDER_TYPES[provider.type];
+  const messages = await redactMessages([{ role: 'user', content: buildAnalysisPrompt(errorRecord) }]);
+  const request = providerType.buildRequest(provider, messages, { stream: true, structured: true });
+  
+  return {
+    success: true,
+    provider: { name: provider.name, model: provider.model },
+    url: request.url,
+    prompt: messages[0].content
+  };
+}
+
+// ============================================
+// LLM PROVIDERS
+// ============================================
+
+/**
+ * Supported provider APIs. Each type knows how to build a request for a
+ * messages array and how to pull the text and token usage back out of
+ * both whole and streamed responses, so every provider feeds the same
+ * parseAnalysisResponse() result shape.
+ */
+const PROVIDER_TYPES = {
+  anthropic: {
+    label: 'Anthropic Messages API',
+    defaultBaseUrl: 'https://api.anthropic.com',
+    defaultModel: CONFIG.MODEL,
+    requiresApiKey: true,
+    streamFormat: 'sse',
+    buildRequest(provider, messages, { stream, structured }) {
+      const body = {
+        model: provider.model,
+        max_tokens: provider.maxTokens,
+        messages,
+        stream
+      };
+      if (structured) {
+        // Forcing the tool makes the model answer with schema-shaped input
+        body.tools = [{
+          name: ANALYSIS_TOOL_NAME,
+          description: 'Report the analysis of the browser error',
+          input_schema: ANALYSIS_SCHEMA
+        }];
+        body.tool_choice = { type: 'tool', name: ANALYSIS_TOOL_NAME };
+      }
+      return {
+        url: `${provider.baseUrl}/v1/messages`,
+        headers: {
+          'Content-Type': 'application/json',
+          'x-api-key': provider.apiKey,
+          'anthropic-version': '2023-06-01'
+        },
+        body
+      };
+    },
+    parseResponse(data) {
+      const toolUse = data.content?.find(block => block.type === 'tool_use');
+      return {
+        text: toolUse
+          ? JSON.stringify(toolUse.input)
+          : data.content?.find(block => block.type === 'text')?.text || '',
+        usage: { inputTokens: data.usage?.input_tokens || 0, outputTokens: data.usage?.output_tokens || 0 }
+      };
+    },
+    parseStreamChunk(chunk) {
+      switch (chunk.type) {
+        case 'message_start':
+          return { usage: { inputTokens: chunk.message?.usage?.input_tokens || 0 } };
+        case 'content_block_delta':
+          if (chunk.delta?.type === 'input_json_delta') {
+            return { text: chunk.delta.partial_json };
+          }
+          return { text: chunk.delta?.type === 'text_delta' ? chunk.delta.text : '' };
+        case 'message_delta':
+          return { usage: { outputTokens: chunk.usage?.output_tokens || 0 } };
+        case 'error': {
+          const error = new Error(chunk.error?.message || 'Stream error');
+          // Overload during a stream arrives here instead of as an HTTP 529
+          if (chunk.error?.type === 'overloaded_error') {
+            error.status = 529;
+          }
+          throw error;
+        }
+        default:
+          return {};
+      }
+    },
+    parseError(data) {
+      return data.error?.message;
+    }
+  },
+  
+  openai: {
+    label: 'OpenAI-compatible Chat Completions',
+    defaultBaseUrl: 'http://localhost:8000/v1',
+    defaultModel: 'gpt-4o-mini',
+    requiresApiKey: false,
+    streamFormat: 'sse',
+    // Many compatible servers reject response_format; retry without it
+    optionalStructuredOutput: 'response_format',
+    buildRequest(provider, messages, { stream, structured }) {
+      const headers = { 'Content-Type': 'application/json' };
+      if (provider.apiKey) {
+        headers.Authorization = `Bearer ${provider.apiKey}`;
+      }
+      const body = {
+        model: provider.model,
+        max_tokens: provider.maxTokens,
+        messages,
+        stream
+      };
+      if (stream) {
+        body.stream_options = { include_usage: true };
+      }
+      if (structured) {
+        body.response_format = {
+          type: 'json_schema',
+          json_schema: { name: ANALYSIS_TOOL_NAME, schema: ANALYSIS_SCHEMA }
+        };
+      }
+      return {
+        url: `${provider.baseUrl}/chat/completions`,
+        headers,
+        body
+      };
+    },
+    parseResponse(data) {
+      return {
+        text: data.choices?.[0]?.message?.content || '',
+        usage: { inputTokens: data.usage?.prompt_tokens || 0, outputTokens: data.usage?.completion_tokens || 0 }
+      };
+    },
+    parseStreamChunk(chunk) {
+      if (chunk.error) {
+        throw new Error(chunk.error.message || 'Stream error');
+      }
+      const result = { text: chunk.choices?.[0]?.delta?.content || '' };
+      if (chunk.usage) {
+        result.usage = { inputTokens: chunk.usage.prompt_tokens || 0, outputTokens: chunk.usage.completion_tokens || 0 };
+      }
+      return result;
+    },
+    parseError(data) {
+      return data.error?.message || (typeof data.error === 'string' ? data.error : null);
+    }
+  },
+  
+  ollama: {
+    label: 'Ollama (local)',
+    defaultBaseUrl: 'http://localhost:11434',
+    defaultModel: 'llama3.1',
+    requiresApiKey: false,
+    streamFormat: 'ndjson',
+    buildRequest(provider, messages, { stream, structured }) {
+      const body = {
+        model: provider.model,
+        messages,
+        stream,
+        options: { num_predict: provider.maxTokens }
+      };
+      if (structured) {
+        body.format = 'json';
+      }
+      return {
+        url: `${provider.baseUrl}/api/chat`,
+        headers: { 'Content-Type': 'application/json' },
+        body
+      };
+    },
+    parseResponse(data) {
+      return {
+        text: data.message?.content || '',
+        usage: { inputTokens: data.prompt_eval_count || 0, outputTokens: data.eval_count || 0 }
+      };
+    },
+    parseStreamChunk(chunk) {
+      if (chunk.error) {
+        throw new Error(chunk.error);
+      }
+      const result = { text: chunk.message?.content || '' };
+      if (chunk.done) {
+        result.usage = { inputTokens: chunk.prompt_eval_count || 0, outputTokens: chunk.eval_count || 0 };
+      }
+      return result;
+    },
+    parseError(data) {
+      return typeof data.error === 'string' ? data.error : null;
+    }
+  }
+};
+
+const DEFAULT_PROVIDERS = [
+  { id: 'anthropic', name: 'Anthropic', type: 'anthropic' }
+];
+
+/**
+ * Pick the provider for a page: the first rule whose domain pattern
+ * matches the tab's hostname wins, otherwise the default provider
+ */
+async function resolveProvider(tabUrl) {
+  const { providers, providerRules = [], defaultProviderId, apiKey } =
+    await chrome.storage.sync.get(['providers', 'providerRules', 'defaultProviderId', 'apiKey']);
+  
+  const allProviders = normalizeProviders(providers, apiKey);
+  
+  let hostname = '';
+  try {
+    hostname = new URL(tabUrl).hostname;
+  } catch (e) {}
+  
+  const rule = hostname ? providerRules.find(r => matchDomainPattern(hostname, r.pattern)) : null;
+  const providerId = rule?.providerId || defaultProviderId;
+  
+  return allProviders.find(p => p.id === providerId) || allProviders[0];
+}
+
+/**
+ * Fill in per-type defaults for stored provider settings. The built-in
+ * Anthropic provider falls back to the top-level API key.
+ */
+function normalizeProviders(providers, apiKey) {
+  const list = Array.isArray(providers) && providers.length > 0 ? providers : DEFAULT_PROVIDERS;
+  const sharedKey = apiKey && apiKey !== 'YOUR_API_KEY_HERE' ? apiKey : '';
+  
+  return list.map(provider => {
+    const type = PROVIDER_TYPES[provider.type] ? provider.type : 'anthropic';
+    const providerType = PROVIDER_TYPES[type];
+    
+    return {
+      ...provider,
+      type,
+      name: provider.name || providerType.label,
+      baseUrl: (provider.baseUrl || providerType.defaultBaseUrl).replace(/\/+$/, ''),
+      model: provider.model || providerType.defaultModel,
+      maxTokens: parseInt(provider.maxTokens, 10) || CONFIG.MAX_TOKENS,
+      apiKey: provider.apiKey || (type === 'anthropic' ? sharedKey : '')
+    };
+  });
+}
+
+/**
+ * Send a messages array to a provider and return { text, usage }.
+ * When onText is given the response is streamed and onText receives
+ * the accumulated text after every delta. `structured` asks for output
+ * matching ANALYSIS_SCHEMA (tool use or JSON mode) and returns it as
+ * JSON text.
+ */
+async function callProvider(provider, messages, { signal, onText, structured = false } = {}) {
+  const providerType = PROVIDER_TYPES[provider.type];
+  
+  // Last stop before anything leaves the browser
+  messages = await redactMessages(messages);
+  
+  if (providerType.requiresApiKey && !provider.apiKey) {
+    throw new Error(provider.type === 'anthropic'
+      ? 'API key not configured. Please add your Anthropic API key in settings.'
+      : `API key not configured for ${provider.name}. Please add it in settings.`);
+  }
+  
+  const stream = typeof onText === 'function';
+  const request = providerType.buildRequest(provider, messages, { stream, structured });
+  
+  const response = await fetch(request.url, {
+    method: 'POST',
+    headers: request.headers,
+    body: JSON.stringify(request.body),
+    signal
+  });
+  
+  if (!response.ok) {
+    const errorData = await response.json().catch(() => ({}));
+    
+    // The answer is still validated (and repaired) without the schema
+    if (structured && response.status === 400 && providerType.optionalStructuredOutput &&
+        JSON.stringify(errorData).includes(providerType.optionalStructuredOutput)) {
+      console.warn(`[Debug Buddy] ${provider.name} rejected ${providerType.optionalStructuredOutput}, retrying without it`);
+      return callProvider(provider, messages, { signal, onText, structured: false });
+    }
+    
+    const error = new Error(providerType.parseError(errorData) || `API request failed: ${response.status}`);
+    error.status = response.status;
+    error.retryAfterMs = parseRetryAfter(response.headers.get('retry-after'));
+    throw error;
+  }
+  
+  if (!stream) {
+    const result = providerType.parseResponse(await response.json());
+    await recordUsage(provider, result.usage);
+    return result;
+  }
+  
+  let text = '';
+  const usage = { inputTokens: 0, outputTokens: 0 };
+  
+  await readResponseStream(response, providerType.streamFormat, (chunk) => {
+    const parsed = providerType.parseStreamChunk(chunk);
+    if (parsed.usage) {
+      Object.assign(usage, parsed.usage);
+    }
+    if (parsed.text) {
+      text += parsed.text;
+      onText(text);
+    }
+  });
+  
+  await recordUsage(provider, usage);
+  return { text, usage };
+}
+
+/**
+ * Read a streamed response line by line, handing each JSON chunk to
+ * onChunk. Supports server-sent events ("data: {...}") and NDJSON.
+ */
+async function readResponseStream(response, format, onChunk) {
+  const reader = response.body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = '';
+  
+  const handleLine = (line) => {
+    let payload = line.trim();
+    if (format === 'sse') {
+      if (!payload.startsWith('data:')) return;
+      payload = payload.slice(5).trim();
+      if (payload === '[DONE]') return;
+    }
+    if (!payload) return;
+    onChunk(JSON.parse(payload));
+  };
+  
+  while (true) {
+    const { done, value } = await reader.read();
+    if (done) break;
+    
+    buffer += decoder.decode(value, { stream: true });
+    const lines = buffer.split('\n');
+    buffer = lines.pop();
+    lines.forEach(handleLine);
+  }
+  
+  buffer += decoder.decode();
+  handleLine(buffer);
+}
+
+// ============================================
+// ANALYSIS CACHE
+// ============================================
+
+// Entries live in the "analyses" store:
+//   { key: 'sig_x|providerId|model', signature, analysis, analysisText, analyzedBy, cachedAt }
+
+/**
+ * Cache lifetime from settings; 0 turns the cache off
+ */
+async function getAnalysisCacheTtl() {
+  const { analysisCacheDays = CONFIG.ANALYSIS_CACHE_DAYS } = await chrome.storage.sync.get(['analysisCacheDays']);
+  return analysisCacheDays > 0 ? analysisCacheDays * 24 * 60 * 60 * 1000 : 0;
+}
+
+function getAnalysisCacheKey(errorRecord, provider) {
+  return `${generateAnalysisSignature(errorRecord)}|${provider.id}|${provider.model}`;
+}
+
+/**
+ * Complete an error from a previous answer for the same signature and
+ * model. Returns false when there is no fresh entry.
+ */
+async function applyCachedAnalysis(errorRecord) {
+  try {
+    const ttl = await getAnalysisCacheTtl();
+    if (!ttl) return false;
+    
+    const provider = await resolveProvider(errorRecord.tabUrl);
+    const key = getAnalysisCacheKey(errorRecord, provider);
+    const db = await openDatabase();
+    const entry = await requestResult(db.transaction('analyses').objectStore('analyses').get(key));
+    if (!entry) return false;
+    
+    if (Date.now() - entry.cachedAt > ttl) {
+      const tx = db.transaction('analyses', 'readwrite');
+      tx.objectStore('analyses').delete(key);
+      await transactionDone(tx);
+      return false;
+    }
+    
+    errorRecord.status = 'completed';
+    errorRecord.analysis = entry.analysis;
+    errorRecord.analysisText = entry.analysisText;
+    errorRecord.analyzedBy = entry.analyzedBy;
+    errorRecord.analysisCached = { cachedAt: entry.cachedAt };
+    delete errorRecord.analysisDeferred;
+    errorCache.set(errorRecord.id, errorRecord);
+    await updateErrorInStorage(errorRecord);
+    
+    broadcastToSidePanel({
+      type: 'ANALYSIS_COMPLETED',
+      payload: errorRecord
+    });
+    
+    console.log('[Debug Buddy] Reused cached analysis for:', errorRecord.id);
+    return true;
+  } catch (error) {
+    console.warn('[Debug Buddy] Analysis cache lookup failed:', error.message);
+    return false;
+  }
+}
+
+/**
+ * Remember a fresh analysis for later errors with the same signature
+ */
+async function storeCachedAnalysis(errorRecord, provider) {
+  try {
+    if (!await getAnalysisCacheTtl()) return;
+    
+    const db = await openDatabase();
+    const tx = db.transaction('analyses', 'readwrite');
+    tx.objectStore('analyses').put({
+      key: getAnalysisCacheKey(errorRecord, provider),
+      signature: generateAnalysisSignature(errorRecord),
+      analysis: errorRecord.analysis,
+      analysisText: errorRecord.analysisText,
+      analyzedBy: errorRecord.analyzedBy,
+      cachedAt: Date.now()
+    });
+    await transactionDone(tx);
+  } catch (error) {
+    console.warn('[Debug Buddy] Failed to cache analysis:', error.message);
+  }
+}
+
+/**
+ * Delete entries past the cache lifetime (all of them when it is off)
+ */
+async function pruneAnalysisCache() {
+  const ttl = await getAnalysisCacheTtl();
+  const db = await openDatabase();
+  const tx = db.transaction('analyses', 'readwrite');
+  const request = tx.objectStore('analyses').openCursor();
+  
+  request.onsuccess = () => {
+    const dbCursor = request.result;
+    if (!dbCursor) return;
+    
+    if (!ttl || Date.now() - dbCursor.value.cachedAt > ttl) {
+      dbCursor.delete();
+    }
+    dbCursor.continue();
+  };
+  
+  await transactionDone(tx);
+}
+
+async function clearAnalysisCache() {
+  const db = await openDatabase();
+  const tx = db.transaction('analyses', 'readwrite');
+  tx.objectStore('analyses').clear();
+  await transactionDone(tx);
+}
+
+// ============================================
+// USAGE & BUDGETS
+// ============================================
+
+// Estimated USD per million tokens, matched by model-name prefix. Users can
+// add or override entries in settings ("modelPricing"); local Ollama is free.
+const MODEL_PRICING = {
+  'claude-opus-4': { input: 15, output: 75 },
+  'claude-sonnet-4': { input: 3, output: 15 },
+  'claude-3-7-sonnet': { input: 3, output: 15 },
+  'claude-3-5-sonnet': { input: 3, output: 15 },
+  'claude-haiku-4': { input: 1, output: 5 },
+  'claude-3-5-haiku': { input: 0.8, output: 4 },
+  'gpt-4o-mini': { input: 0.15, output: 0.6 },
+  'gpt-4o': { input: 2.5, output: 10 }
+};
+
+// Policy groups for the capture-time categories (mirrored in options.js)
+const POLICY_CATEGORIES = {
+  javascript: ['javascript', 'syntax', 'type', 'reference'],
+  network: ['network', 'cors'],
+  performance: ['performance'],
+  dom: ['dom'],
+  csp: ['csp'],
+  deprecation: ['deprecation', 'intervention']
+};
+
+let usageWrite = Promise.resolve();
+
+/**
+ * Add one response's token usage to today's totals for its model.
+ * Writes are chained so concurrent calls don't overwrite each other.
+ */
+function recordUsage(provider, usage) {
+  usageWrite = usageWrite.then(async () => {
+    const { usage: days = {}, modelPricing = [] } = await getUsageState();
+    const today = getDayKey(Date.now());
+    const model = provider.model || 'unknown';
+    const entry = days[today]?.[model] || { inputTokens: 0, outputTokens: 0, cost: 0, requests: 0 };
+    const price = getModelPrice(provider, modelPricing);
+    
+    entry.inputTokens += usage?.inputTokens || 0;
+    entry.outputTokens += usage?.outputTokens || 0;
+    entry.cost += ((usage?.inputTokens || 0) * price.input + (usage?.outputTokens || 0) * price.output) / 1e6;
+    entry.requests += 1;
+    days[today] = { ...days[today], [model]: entry };
+    
+    const oldest = getDayKey(Date.now() - CONFIG.USAGE_HISTORY_DAYS * 24 * 60 * 60 * 1000);
+    for (const day of Object.keys(days)) {
+      if (day < oldest) delete days[day];
+    }
+    
+    await chrome.storage.local.set({ usage: days });
+  }).catch(error => console.error('[Debug Buddy] Failed to record usage:', error));
+  
+  return usageWrite;
+}
+
+async function getUsageState() {
+  const [{ usage = {} }, { modelPricing = [] }] = await Promise.all([
+    chrome.storage.local.get(['usage']),
+    chrome.storage.sync.get(['modelPricing'])
+  ]);
+  return { usage, modelPricing };
+}
+
+/**
+ * Price per million tokens: user overrides first, then the longest
+ * matching built-in prefix
+ */
+function getModelPrice(provider, modelPricing) {
+  if (provider.type === 'ollama') {
+    return { input: 0, output: 0 };
+  }
+  
+  const model = (provider.model || '').toLowerCase();
+  const custom = modelPricing.find(entry => model.startsWith(entry.model.toLowerCase()));
+  if (custom) return custom;
+  
+  const prefix = Object.keys(MODEL_PRICING)
+    .filter(key => model.startsWith(key))
+    .sort((a, b) => b.length - a.length)[0];
+  return prefix ? MODEL_PRICING[prefix] : { input: 0, output: 0 };
+}
+
+// Local-time YYYY-MM-DD
+function getDayKey(timestamp) {
+  const date = new Date(timestamp);
+  return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
+}
+
+function sumUsage(entries) {
+  const total = { inputTokens: 0, outputTokens: 0, tokens: 0, cost: 0, requests: 0 };
+  for (const entry of entries) {
+    total.inputTokens += entry.inputTokens;
+    total.outputTokens += entry.outputTokens;
+    total.tokens += entry.inputTokens + entry.outputTokens;
+    total.cost += entry.cost;
+    total.requests += entry.requests;
+  }
+  return total;
+}
+
+/**
+ * Today's and this month's totals, per-model totals for the month and
+ * the last 30 days, for the settings dashboard and budget checks
+ */
+async function getUsageSummary() {
+  const { usage } = await getUsageState();
+  const { budgets = {} } = await chrome.storage.sync.get(['budgets']);
+  const today = getDayKey(Date.now());
+  const month = today.slice(0, 7);
+  
+  const monthDays = Object.keys(usage).filter(day => day.startsWith(month));
+  const models = {};
+  for (const day of monthDays) {
+    for (const [model, entry] of Object.entries(usage[day])) {
+      (models[model] = models[model] || []).push(entry);
+    }
+  }
+  
+  const days = [];
+  for (let i = 29; i >= 0; i--) {
+    const day = getDayKey(Date.now() - i * 24 * 60 * 60 * 1000);
+    days.push({ day, ...sumUsage(Object.values(usage[day] || {})) });
+  }
+  
+  const summary = {
+    today: sumUsage(Object.values(usage[today] || {})),
+    month: sumUsage(monthDays.flatMap(day => Object.values(usage[day]))),
+    models: Object.entries(models).map(([model, entries]) => ({ model, ...sumUsage(entries) })),
+    days,
+    budgets
+  };
+  
+  return { success: true, ...summary, budget: checkBudgets(summary, budgets) };
+}
+
+function checkBudgets({ today, month }, budgets) {
+  const limits = [
+    [budgets.dailyTokens, today.tokens, 'Daily token budget reached'],
+    [budgets.dailyCost, today.cost, 'Daily cost budget reached'],
+    [budgets.monthlyTokens, month.tokens, 'Monthly token budget reached'],
+    [budgets.monthlyCost, month.cost, 'Monthly cost budget reached']
+  ];
+  
+  // A limit of 0 (or unset) means no limit
+  const hit = limits.find(([limit, used]) => limit > 0 && used >= limit);
+  return hit ? { exceeded: true, reason: hit[2] } : { exceeded: false };
+}
+
+async function getBudgetStatus() {
+  const { budget } = await getUsageSummary();
+  return budget;
+}
+
+/**
+ * Reason to leave an error for on-demand analysis, or null to analyze it
+ */
+async function getPolicyDeferral(errorRecord) {
+  const { analysisPolicy } = await chrome.storage.sync.get(['analysisPolicy']);
+  if (!analysisPolicy) return null;
+  
+  const level = DebugBuddyErrorTypes.isWarningType(errorRecord.type) ? 'warning' : 'error';
+  if (analysisPolicy.severities?.[level] === 'manual') {
+    return `${level === 'error' ? 'Errors' : 'Warnings'} are analyzed on demand`;
+  }
+  
+  const group = Object.keys(POLICY_CATEGORIES).find(key => POLICY_CATEGORIES[key].includes(errorRecord.category)) || 'other';
+  if (analysisPolicy.categories?.[group] === 'manual') {
+    return `The ${group} category is analyzed on demand`;
+  }
+  
+  return null;
+}
+
+/**
+ * Leave an error pending with the reason it wasn't auto-analyzed
+ */
+async function deferAnalysis(errorRecord, reason) {
+  errorRecord.analysisDeferred = reason;
+  errorCache.set(errorRecord.id, errorRecord);
+  await updateErrorInStorage(errorRecord);
+  
+  broadcastToSidePanel({
+    type: 'ERROR_UPDATED',
+    payload: errorRecord
+  });
+  
+  console.log('[Debug Buddy] Analysis deferred for', errorRecord.id, '-', reason);
+}
+
+// ============================================
+// DEEP CAPTURE (chrome.debugger)
+// ============================================
+
+// Sync keys that change which tabs are debugged or how records are built
+const DEEP_CAPTURE_SETTINGS = ['deepCapture', 'domains', 'enabled', 'captureSettings', 'redaction'];
+
+// Debugged tabs: tabId -> { domain, capture, redact, requests, targets, errorCount, windowStart }
+const deepCaptureTabs = new Map();
+
+// Tabs where the user dismissed the debugging bar; left alone until the setting changes
+const declinedDeepCaptureTabs = new Set();
+
+// Recently stored events per tab, to drop the second report of one event:
+// `${tabId}|${key}` -> { origin: 'page' | 'debugger', time }
+const recentCaptures = new Map();
+
+// Browser issues worth reporting, with the record type and collector they map to
+const DEEP_CAPTURE_ISSUES = {
+  ContentSecurityPolicyIssue: { type: 'csp_violation', category: 'csp', collector: 'csp' },
+  MixedContentIssue: { type: 'warning', category: 'network', collector: 'resources' },
+  CorsIssue: { type: 'network_error', category: 'network', collector: 'fetch' },
+  DeprecationIssue: { type: 'deprecation', category: 'deprecation', collector: 'reporting' },
+  GenericIssue: { type: 'warning', category: 'general', collector: 'console' }
+};
+
+// Log.entryAdded sources, with the category and collector they map to.
+// "network" and "violation" are left out: failed requests come from the
+// Network domain and violations are timing hints, not errors.
+const DEEP_CAPTURE_LOG_SOURCES = {
+  javascript: { category: 'javascript', collector: 'console' },
+  security: { category: 'csp', collector: 'csp' },
+  deprecation: { category: 'deprecation', collector: 'reporting' },
+  intervention: { category: 'deprecation', collector: 'reporting' },
+  rendering: { category: 'general', collector: 'console' },
+  storage: { category: 'general', collector: 'console' },
+  worker: { category: 'javascript', collector: 'console' },
+  other: { category: 'general', collector: 'console' }
+};
+
+// Re-attach whenever the service worker starts
+refreshDeepCapture().catch(error => console.warn('[Debug Buddy] Deep capture unavailable:', error.message));
+
+function addDebuggerListeners() {
+  if (!chrome.debugger || chrome.debugger.onEvent.hasListener(onDebuggerEvent)) return;
+  chrome.debugger.onEvent.addListener(onDebuggerEvent);
+  chrome.debugger.onDetach.addListener(onDebuggerDetach);
+}
+
+function onDebuggerEvent(source, method, params) {
+  handleDebuggerEvent(source, method, params)
+    .catch(error => console.warn('[Debug Buddy] Failed to handle', method, error.message));
+}
+
+function onDebuggerDetach(source, reason) {
+  deepCaptureTabs.delete(source.tabId);
+  // Closing Chrome's "started debugging" bar means "not on this tab"
+  if (reason === 'canceled_by_user') {
+    declinedDeepCaptureTabs.add(source.tabId);
+  }
+}
+
+/**
+ * Deep capture is opt-in and needs the optional debugger permission
+ */
+async function isDeepCaptureEnabled() {
+  const { deepCapture = false } = await chrome.storage.sync.get(['deepCapture']);
+  return deepCapture && await chrome.permissions.contains({ permissions: ['debugger'] });
+}
+
+/**
+ * Re-check every open tab after settings change or the worker starts
+ */
+async function refreshDeepCapture({ resetDeclined = false } = {}) {
+  if (resetDeclined) {
+    declinedDeepCaptureTabs.clear();
+  }
+  const tabs = await chrome.tabs.query({});
+  for (const tab of tabs) {
+    await syncDeepCapture(tab).catch(error => console.warn('[Debug Buddy] Deep capture unavailable for tab', tab.id, error.message));
+  }
+}
+
+/**
+ * Attach to a tab on a whitelisted domain, detach when it leaves one
+ */
+async function syncDeepCapture(tab) {
+  const domain = getDomain(tab.url || '');
+  const config = domain && !declinedDeepCaptureTabs.has(tab.id) && await isDeepCaptureEnabled()
+    ? await checkDomainAllowed(domain)
+    : { allowed: false };
+  
+  if (!config.allowed) {
+    if (deepCaptureTabs.delete(tab.id)) {
+      await chrome.debugger.detach({ tabId: tab.id }).catch(() => {});
+    }
+    return;
+  }
+  
+  const session = deepCaptureTabs.get(tab.id);
+  if (session) {
+    // Same tab, new page or new settings
+    Object.assign(session, { domain, capture: config.capture, redact: DebugBuddyRedaction.createRedactor(config.redaction) });
+    return;
+  }
+  
+  const target = { tabId: tab.id };
+  try {
+    await chrome.debugger.attach(target, '1.3');
+  } catch (error) {
+    // Still attached from before the service worker restarted
+    if (!/already attached/i.test(error.message)) throw error;
+  }
+  
+  deepCaptureTabs.set(tab.id, {
+    domain,
+    capture: config.capture,
+    redact: DebugBuddyRedaction.createRedactor(config.redaction),
+    requests: new Map(),
+    targets: new Map(),
+    attachedAt: Date.now(),
+    errorCount: 0,
+    windowStart: Date.now()
+  });
+  
+  await enableDeepCaptureDomains(target);
+  // Workers, service workers and out-of-process frames report through child sessions
+  await chrome.debugger.sendCommand(target, 'Target.setAutoAttach', { autoAttach: true, waitForDebuggerOnStart: false, flatten: true });
+  
+  console.log('[Debug Buddy] Deep capture attached to tab', tab.id, domain);
+}
+
+async function enableDeepCaptureDomains(target) {
+  for (const method of ['Runtime.enable', 'Log.enable', 'Network.enable', 'Audits.enable']) {
+    // Workers don't support every domain
+    await chrome.debugger.sendCommand(target, method).catch(() => {});
+  }
+}
+
+/**
+ * Turn protocol events into error records for handleErrorCaptured()
+ */
+async function handleDebuggerEvent(source, method, params) {
+  const session = deepCaptureTabs.get(source.tabId);
+  if (!session) return;
+  
+  const targetInfo = source.sessionId ? session.targets.get(source.sessionId) : null;
+  const targetType = source.sessionId ? targetInfo?.type || 'worker' : 'page';
+  let record = null;
+  
+  switch (method) {
+    case 'Target.attachedToTarget':
+      session.targets.set(params.sessionId, params.targetInfo);
+      await enableDeepCaptureDomains({ tabId: source.tabId, sessionId: params.sessionId });
+      return;
+    
+    case 'Target.detachedFromTarget':
+      session.targets.delete(params.sessionId);
+      return;
+    
+    case 'Network.requestWillBeSent':
+      session.requests.set(params.requestId, {
+        url: params.request.url,
+        method: params.request.method,
+        type: params.type
+      });
+      if (session.requests.size > CONFIG.DEEP_CAPTURE_MAX_REQUESTS) {
+        session.requests.delete(session.requests.keys().next().value);
+      }
+      return;
+    
+    case 'Network.loadingFinished':
+      session.requests.delete(params.requestId);
+      return;
+    
+    case 'Runtime.exceptionThrown':
+      record = normalizeException(params.exceptionDetails);
+      break;
+    
+    case 'Log.entryAdded':
+      record = normalizeLogEntry(params.entry);
+      break;
+    
+    case 'Network.responseReceived':
+      record = normalizeFailedResponse(params, session.requests.get(params.requestId));
+      break;
+    
+    case 'Network.loadingFailed':
+      record = normalizeLoadingFailure(params, session.requests.get(params.requestId));
+      session.requests.delete(params.requestId);
+      break;
+    
+    case 'Audits.issueAdded':
+      record = normalizeIssue(params.issue);
+      break;
+  }
+  
+  if (!record || session.capture.collectors[record.collector] === false) return;
+  
+  // Enabling Runtime and Log replays the tab's earlier messages; keep only
+  // those from around the time of attaching (the page's early errors)
+  // (Network timestamps are monotonic, not wall-clock, so they're skipped)
+  const eventTime = method === 'Runtime.exceptionThrown' ? params.timestamp : params.entry?.timestamp;
+  if (eventTime && eventTime < session.attachedAt - CONFIG.DEEP_CAPTURE_DEDUP_MS) return;
+  if (/^chrome-extension:/.test(record.filename || '')) return;
+  
+  // Same per-minute cap the content script applies
+  const now = Date.now();
+  if (now - session.windowStart > 60000) {
+    session.errorCount = 0;
+    session.windowStart = now;
+  }
+  if (session.errorCount >= session.capture.thresholds.maxErrorsPerMinute) return;
+  session.errorCount++;
+  
+  const { collector, ...errorData } = record;
+  const tab = await chrome.tabs.get(source.tabId).catch(() => null);
+  
+  await handleErrorCaptured(DebugBuddyRedaction.redactValue({
+    ...errorData,
+    metadata: { ...errorData.metadata, target: targetType },
+    url: tab?.url || '',
+    frameUrl: targetInfo?.url || tab?.url || '',
+    context: targetType,
+    timestamp: now,
+    userAgent: navigator.userAgent
+  }, session.redact), { tab: { id: source.tabId, url: tab?.url || '' } });
+}
+
+/**
+ * Runtime.exceptionThrown, shaped like the window.onerror and
+ * unhandledrejection records from injected.js so both group together
+ */
+function normalizeException(details) {
+  const exception = details.exception || {};
+  const description = exception.description || String(exception.value ?? details.text);
+  const firstLine = description.split('\n')[0];
+  const topFrame = details.stackTrace?.callFrames?.[0];
+  const stack = /\n\s+at /.test(description)
+    ? description
+    : [firstLine, ...(details.stackTrace?.callFrames || []).map(frame =>
+        `    at ${frame.functionName || '<anonymous>'} (${frame.url}:${frame.lineNumber + 1}:${frame.columnNumber + 1})`)].join('\n');
+  const location = {
+    filename: details.url || topFrame?.url || '',
+    lineno: (details.lineNumber ?? topFrame?.lineNumber ?? -1) + 1,
+    colno: (details.columnNumber ?? topFrame?.columnNumber ?? -1) + 1
+  };
+  
+  if (/in promise/i.test(details.text || '')) {
+    return {
+      type: 'promise_rejection',
+      category: 'javascript',
+      collector: 'promises',
+      // Rejections with an Error carry just its message, like injected.js
+      message: exception.className ? firstLine.replace(`${exception.className}: `, '') : firstLine,
+      stack,
+      ...location,
+      source: 'debugger:Runtime.exceptionThrown'
+    };
+  }
+  
+  return {
+    type: 'exception',
+    category: 'javascript',
+    collector: 'windowErrors',
+    message: `Uncaught ${firstLine}`,
+    stack,
+    ...location,
+    source: 'debugger:Runtime.exceptionThrown'
+  };
+}
+
+/**
+ * Browser-generated console errors (not console.error calls from the page)
+ */
+function normalizeLogEntry(entry) {
+  const mapping = DEEP_CAPTURE_LOG_SOURCES[entry.source];
+  if (!mapping || entry.level !== 'error') return null;
+  
+  const topFrame = entry.stackTrace?.callFrames?.[0];
+  return {
+    type: 'error',
+    category: mapping.category,
+    collector: mapping.collector,
+    message: entry.text,
+    stack: '',
+    filename: entry.url || topFrame?.url || '',
+    lineno: (entry.lineNumber ?? topFrame?.lineNumber ?? -1) + 1,
+    colno: (topFrame?.columnNumber ?? -1) + 1,
+    source: `debugger:Log.${entry.source}`
+  };
+}
+
+/**
+ * HTTP error responses. Fetch and XHR use the same messages as the
+ * injected.js hooks; anything else (preloads, documents, fonts...) is a
+ * resource error.
+ */
+function normalizeFailedResponse(params, request) {
+  const { response } = params;
+  if (!response || response.status < 400) return null;
+  
+  const method = request?.method || 'GET';
+  const url = response.url;
+  
+  if (params.type === 'Fetch') {
+    return {
+      type: 'network_error',
+      category: 'network',
+      collector: 'fetch',
+      message: `HTTP ${response.status} ${response.statusText}: ${method} ${url}`,
+      filename: url,
+      lineno: 0,
+      colno: 0,
+      stack: '',
+      source: 'debugger:Network.responseReceived',
+      metadata: { method, url, status: response.status, statusText: response.statusText }
+    };
+  }
+  
+  if (params.type === 'XHR') {
+    return {
+      type: 'network_error',
+      category: 'network',
+      collector: 'xhr',
+      message: `HTTP ${response.status}: ${method} ${url}`,
+      filename: url,
+      lineno: 0,
+      colno: 0,
+      stack: '',
+      source: 'debugger:Network.responseReceived',
+      metadata: { method, url, status: response.status, statusText: response.statusText }
+    };
+  }
+  
+  const resourceType = (params.type || 'other').toLowerCase();
+  return {
+    type: 'resource_error',
+    category: 'network',
+    collector: 'resources',
+    message: `Failed to load ${resourceType}: ${url}`,
+    filename: url,
+    lineno: 0,
+    colno: 0,
+    stack: '',
+    source: 'debugger:Network.responseReceived',
+    metadata: { resourceType, url, status: response.status, statusText: response.statusText }
+  };
+}
+
+/**
+ * Requests that never got a response: DNS, CORS, blocked, aborted...
+ */
+function normalizeLoadingFailure(params, request) {
+  if (params.canceled || !request) return null;
+  
+  const { url, method } = request;
+  const reason = params.blockedReason ? `${params.errorText} (${params.blockedReason})` : params.errorText;
+  
+  if (params.type === 'Fetch' || params.type === 'XHR') {
+    const isFetch = params.type === 'Fetch';
+    return {
+      type: 'network_error',
+      category: 'network',
+      collector: isFetch ? 'fetch' : 'xhr',
+      message: isFetch ? `Fetch failed: ${reason} - ${method} ${url}` : `XHR failed: ${method} ${url}`,
+      filename: url,
+      lineno: 0,
+      colno: 0,
+      stack: '',
+      source: 'debugger:Network.loadingFailed',
+      metadata: { method, url, error: reason }
+    };
+  }
+  
+  const resourceType = (params.type || 'other').toLowerCase();
+  return {
+    type: 'resource_error',
+    category: 'network',
+    collector: 'resources',
+    message: `Failed to load ${resourceType}: ${url}`,
+    filename: url,
+    lineno: 0,
+    colno: 0,
+    stack: '',
+    source: 'debugger:Network.loadingFailed',
+    metadata: { resourceType, url, error: reason }
+  };
+}
+
+/**
+ * Issues from the DevTools Issues panel
+ */
+function normalizeIssue(issue) {
+  const mapping = DEEP_CAPTURE_ISSUES[issue?.code];
+  if (!mapping) return null;
+  
+  const details = Object.values(issue.details || {})[0] || {};
+  const url = details.blockedURL || details.insecureURL || details.request?.url || details.sourceCodeLocation?.url || '';
+  const summary = details.violatedDirective
+    ? `${details.violatedDirective} blocked ${details.blockedURL || 'inline content'}`
+    : details.corsErrorStatus?.corsError || details.type || details.errorType || details.resolutionStatus || '';
+  
+  return {
+    ...mapping,
+    message: `${issue.code.replace(/Issue$/, '')}: ${summary}${url && !summary.includes(url) ? ` - ${url}` : ''}`,
+    filename: details.sourceCodeLocation?.url || url,
+    lineno: (details.sourceCodeLocation?.lineNumber ?? -1) + 1,
+    colno: (details.sourceCodeLocation?.columnNumber ?? -1) + 1,
+    stack: '',
+    source: 'debugger:Audits.issueAdded',
+    metadata: { issue: issue.code, url }
+  };
+}
+
+/**
+ * Whether the other capture path already reported this event. Network
+ * events are matched by URL, everything else by the first message line.
+ */
+function isEchoedCapture(tabId, errorData, now) {
+  if (!deepCaptureTabs.has(tabId)) return false;
+  
+  const origin = errorData.source?.startsWith('debugger:') ? 'debugger' : 'page';
+  const key = errorData.category === 'network'
+    ? `net|${normalizeUrl(errorData.metadata?.url || errorData.filename || '')}`
+    : `msg|${(errorData.message || '').split('\n')[0].replace(/^Uncaught (\(in promise\) )?/, '').trim()}`;
+  const mapKey = `${tabId}|${key}`;
+  
+  for (const [storedKey, entry] of recentCaptures) {
+    if (now - entry.time > CONFIG.DEEP_CAPTURE_DEDUP_MS) recentCaptures.delete(storedKey);
+  }
+  
+  const previous = recentCaptures.get(mapKey);
+  if (previous && previous.origin !== origin) {
+    recentCaptures.delete(mapKey);
+    return true;
+  }
+  
+  recentCaptures.set(mapKey, { origin, time: now });
+  return false;
+}
+
+// ============================================
+// WEB VITALS
+// ============================================
+
+// Stored in chrome.storage.local as
+//   vitals: { [origin + path]: { url, updatedAt, loads: [{ pageLoadId, timestamp, values, attribution, budgets }] } }
+let vitalsWrite = Promise.resolve();
+
+/**
+ * Store a page load's vitals summary. A load reports several times as its
+ * metrics settle, so the entry with the same pageLoadId is replaced.
+ * Writes are chained like recordUsage().
+ */
+function recordVitals(payload) {
+  const key = getVitalsPageKey(payload?.url);
+  if (!key || !payload.pageLoadId) {
+    return Promise.resolve({ success: false, error: 'Invalid vitals' });
+  }
+  
+  vitalsWrite = vitalsWrite.then(async () => {
+    const { vitals = {} } = await chrome.storage.local.get(['vitals']);
+    const page = vitals[key] || { url: key, loads: [] };
+    const load = {
+      pageLoadId: payload.pageLoadId,
+      timestamp: page.loads.find(l => l.pageLoadId === payload.pageLoadId)?.timestamp || payload.timestamp || Date.now(),
+      values: payload.values,
+      attribution: payload.attribution || {},
+      budgets: payload.budgets || {}
+    };
+    
+    page.loads = [...page.loads.filter(l => l.pageLoadId !== load.pageLoadId), load]
+      .sort((a, b) => a.timestamp - b.timestamp)
+      .slice(-CONFIG.VITALS_HISTORY);
+    page.updatedAt = Date.now();
+    vitals[key] = page;
+    
+    const pages = Object.keys(vitals);
+    if (pages.length > CONFIG.VITALS_MAX_PAGES) {
+      pages
+        .sort((a, b) => vitals[a].updatedAt - vitals[b].updatedAt)
+        .slice(0, pages.length - CONFIG.VITALS_MAX_PAGES)
+        .forEach(oldKey => delete vitals[oldKey]);
+    }
+    
+    await chrome.storage.local.set({ vitals });
+    broadcastToSidePanel({ type: 'VITALS_UPDATED', payload: { key, page } });
+  }).catch(error => console.error('[Debug Buddy] Failed to record vitals:', error));
+  
+  return vitalsWrite.then(() => ({ success: true }));
+}
+
+async function getVitals(url) {
+  const key = getVitalsPageKey(url);
+  const { vitals = {} } = await chrome.storage.local.get(['vitals']);
+  return { success: true, key, page: key ? vitals[key] || null : null };
+}
+
+/**
+ * Loads of the same page share history regardless of query and hash
+ */
+function getVitalsPageKey(url) {
+  try {
+    const parsed = new URL(url);
+    return /^https?:$/.test(parsed.protocol) ? `${parsed.origin}${parsed.pathname}` : null;
+  } catch (e) {
+    return null;
+  }
+}
+
+// ============================================
+// DOMAIN CHECKING
+// ============================================
+
+// Sync settings CHECK_DOMAIN depends on. Content scripts cache its answer
+// per hostname under DOMAIN_DECISION_CACHE_KEY; changing any of these
+// clears that cache.
+const DOMAIN_SETTINGS = ['domains', 'enabled', 'redaction', 'captureSettings', 'captureNetworkBodies', 'networkBodyMaxBytes'];
+const DOMAIN_DECISION_CACHE_KEY = 'domainDecisions';
+
+/**
+ * Check if a domain is in the whitelist
+ */
+async function checkDomainAllowed(domain) {
+  const { domains = CONFIG.DEFAULT_DOMAINS, enabled = true } = await chrome.storage.sync.get(['domains', 'enabled']);
+  
+  if (!enabled) {
+    return { allowed: false, reason: 'Extension disabled' };
+  }
+  
+  const isAllowed = domains.some(pattern => matchDomainPattern(domain, pattern));
+  
+  if (!isAllowed) {
+    return { allowed: false };
+  }
+  
+  // The content script scrubs records with the same settings before sending them
+  const {
+    redaction,
+    captureSettings,
+    captureNetworkBodies = false,
+    networkBodyMaxBytes = CONFIG.NETWORK_BODY_MAX_BYTES
+  } = await chrome.storage.sync.get(['redaction', 'captureSettings', 'captureNetworkBodies', 'networkBodyMaxBytes']);
+  
+  return {
+    allowed: true,
+    redaction: DebugBuddyRedaction.normalizeSettings(redaction),
+    capture: {
+      ...DebugBuddyCaptureSettings.resolveForDomain(captureSettings, domain, matchDomainPattern),
+      networkBodies: captureNetworkBodies,
+      maxBodyBytes: networkBodyMaxBytes
+    }
+  };
+}
+
+/**
+ * Match domain against a pattern (supports wildcards)
  */
 function matchDomainPattern(domain, pattern) {
   // Convert pattern to regex
@@ -441,13 +3856,18 @@ function matchDomainPattern(domain, pattern) {
  * Get current configuration
  */
 async function getConfig() {
-  const config = await chrome.storage.sync.get(['apiKey', 'domains', 'enabled']);
+  const config = await chrome.storage.sync.get(['apiKey', 'domains', 'enabled', 'providers', 'defaultProviderId']);
+  
+  // A key is only "missing" when the default provider actually needs one
+  const providers = normalizeProviders(config.providers, config.apiKey);
+  const defaultProvider = providers.find(p => p.id === config.defaultProviderId) || providers[0];
   
   return {
     success: true,
     config: {
       apiKey: config.apiKey ? '****' + config.apiKey.slice(-4) : null,
-      hasApiKey: !!config.apiKey && config.apiKey !== 'YOUR_API_KEY_HERE',
+      hasApiKey: !PROVIDER_TYPES[defaultProvider.type].requiresApiKey || !!defaultProvider.apiKey,
+      providers: providers.map(({ id, name, type, model }) => ({ id, name, type, model })),
       domains: config.domains || CONFIG.DEFAULT_DOMAINS,
       enabled: config.enabled !== false
     }
@@ -0,0 +1,94 @@
+/**
+ * Debug Buddy - Capture Settings
+ *
+ * Which collectors injected.js installs and the thresholds they use.
+ * Shared by background.js (resolves the config for a domain in
+ * CHECK_DOMAIN) and options.js (builds the settings form), so it
+ * publishes a global instead of using exports.
+ *
+ * Stored under the sync key "captureSettings":
+ *   { collectors: { fetch: true, ... }, thresholds: { slowRequestMs: 5000, ... },
+ *     overrides: [{ pattern: '*.staging.*', collectors: {...}, thresholds: {...} }] }
+ * Overrides are partial and applied in order for every matching pattern.
+ */
+
+(function() {
+  'use strict';
+
+  if (globalThis.DebugBuddyCaptureSettings) {
+    return;
+  }
+
+  // Keys match the installers in injected.js
+  const COLLECTORS = {
+    console: { label: 'Console errors and warnings' },
+    windowErrors: { label: 'Uncaught exceptions' },
+    promises: { label: 'Unhandled promise rejections' },
+    fetch: { label: 'fetch() failures and slow requests' },
+    xhr: { label: 'XMLHttpRequest failures and slow requests' },
+    dom: { label: 'Invalid selectors' },
+    mutation: { label: 'DOM manipulation errors' },
+    performance: { label: 'Long tasks and animation frames' },
+    resources: { label: 'Failed scripts, styles, images and media' },
+    csp: { label: 'CSP violations' },
+    reporting: { label: 'Deprecations and interventions' },
+    workers: { label: 'Worker and service worker errors' },
+    vitals: { label: 'Core Web Vitals (LCP, INP, CLS, FCP, TTFB)' }
+  };
+
+  const THRESHOLDS = {
+    slowRequestMs: { label: 'Slow request (ms)', default: 5000 },
+    longTaskMs: { label: 'Long task / animation frame (ms)', default: 50 },
+    layoutShiftScore: { label: 'CLS budget', default: 0.1 },
+    lcpMs: { label: 'LCP budget (ms)', default: 2500 },
+    inpMs: { label: 'INP budget (ms)', default: 200 },
+    fcpMs: { label: 'FCP budget (ms)', default: 1800 },
+    ttfbMs: { label: 'TTFB budget (ms)', default: 800 },
+    maxErrorsPerMinute: { label: 'Max errors per minute', default: 50 }
+  };
+
+  const DEFAULT_SETTINGS = {
+    collectors: Object.fromEntries(Object.keys(COLLECTORS).map(key => [key, true])),
+    thresholds: Object.fromEntries(Object.entries(THRESHOLDS).map(([key, threshold]) => [key, threshold.default])),
+    overrides: []
+  };
+
+  /**
+   * Fill in defaults for stored settings
+   */
+  function normalizeSettings(settings) {
+    return {
+      collectors: { ...DEFAULT_SETTINGS.collectors, ...(settings?.collectors || {}) },
+      thresholds: { ...DEFAULT_SETTINGS.thresholds, ...(settings?.thresholds || {}) },
+      overrides: Array.isArray(settings?.overrides) ? settings.overrides : []
+    };
+  }
+
+  /**
+   * Effective collectors and thresholds for one hostname. matchPattern is
+   * the same wildcard matcher used for the domain whitelist.
+   */
+  function resolveForDomain(settings, domain, matchPattern) {
+    const resolved = normalizeSettings(settings);
+    const collectors = { ...resolved.collectors };
+    const thresholds = { ...resolved.thresholds };
+
+    for (const override of resolved.overrides) {
+      if (override?.pattern && matchPattern(domain, override.pattern)) {
+        Object.assign(collectors, override.collectors);
+        Object.assign(thresholds, override.thresholds);
+      }
+    }
+
+    return { collectors, thresholds };
+  }
+
+  globalThis.DebugBuddyCaptureSettings = {
+    COLLECTORS,
+    THRESHOLDS,
+    DEFAULT_SETTINGS,
+    normalizeSettings,
+    resolveForDomain
+  };
+
+})();
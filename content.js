@@ -1,20 +1,33 @@
 /**
  * Debug Buddy - Content Script (Enhanced)
- * 
- * Captures errors from:
- * 1. CONSOLE: console.error, console.warn, deprecation warnings
- * 2. NETWORK: Failed fetches, XHR errors, slow requests, 4xx/5xx responses
- * 3. ELEMENTS/DOM: DOM exceptions, mutation errors, invalid HTML
- * 4. JAVASCRIPT: Uncaught exceptions, promise rejections
- * 5. PERFORMANCE: Long tasks, resource loading failures
- * 6. CSP: Content Security Policy violations
+ *
+ * Bridges the page and the extension:
+ * 1. Checks the domain whitelist with the background worker, again
+ *    whenever settings change. The last answer for whitelisted hostnames
+ *    is cached in chrome.storage.local so repeat visits decide without
+ *    waiting for the service worker to wake up.
+ * 2. Enables the MAIN-world capture hooks in injected.js, which buffer
+ *    what they catch at document_start until this decision arrives
+ * 3. Validates records posted back by the page over window.postMessage
+ * 4. Keeps a ring buffer of breadcrumbs (clicks, focus, navigation,
+ *    console lines, requests) and attaches the latest to each error
+ * 5. Rate limits, de-duplicates and enriches them, including which frame
+ *    and context (page, iframe, worker...) they came from
+ * 6. Scrubs PII and secrets (redaction.js) and forwards them to the
+ *    background service worker
+ * 7. Relays the page's Core Web Vitals summaries for the vitals card
+ *
+ * The hooks themselves live in injected.js: patching console, fetch or
+ * XMLHttpRequest from this isolated world would only patch our own copies.
  */
 
 (function() {
   'use strict';
 
   const DEBUG_BUDDY_PREFIX = '[Debug Buddy]';
-  
+  const PAGE_SOURCE = 'debug-buddy-page';       // page -> content script
+  const CONTENT_SOURCE = 'debug-buddy-content'; // content script -> page
+
   // Prevent multiple injections
   if (window.__debugBuddyInjected) {
     return;
@@ -23,610 +36,425 @@
 
   // Configuration
   const CONFIG = {
-    SLOW_REQUEST_THRESHOLD: 5000,  // 5 seconds
-    LONG_TASK_THRESHOLD: 50,       // 50ms (standard long task)
     MAX_ERRORS_PER_MINUTE: 50,     // Rate limit to prevent spam
-    DEBOUNCE_MS: 100               // Debounce duplicate errors
+    DEBOUNCE_MS: 100,              // Debounce duplicate errors
+    MAX_MESSAGE_LENGTH: 10000,     // Cap on relayed message/stack strings
+    MAX_METADATA_KEYS: 32,
+    MAX_SCRIPTS: 10,               // Attributed scripts kept per long animation frame
+    MAX_BREADCRUMBS: 50,           // Ring buffer size
+    BREADCRUMBS_PER_ERROR: 20,     // Most recent breadcrumbs attached to an error
+    MAX_BREADCRUMB_LENGTH: 300,
+    MAX_NETWORK_BODY_LENGTH: 65536, // Hard cap whatever the page-side setting says
+    MAX_DOMAIN_DECISIONS: 200      // Whitelisted hostnames kept in the local decision cache
   };
 
+  // Breadcrumb types the page may post; click/input/error are recorded here
+  const PAGE_BREADCRUMB_TYPES = ['console', 'fetch', 'xhr', 'navigation'];
+
+  const VITAL_METRICS = ['lcp', 'inp', 'cls', 'fcp', 'ttfb'];
+
+  // Contexts injected.js may report; other records come from this frame
+  const WORKER_CONTEXTS = ['worker', 'shared_worker', 'service_worker'];
+  const FRAME_CONTEXT = window === window.top ? 'page' : 'iframe';
+
+  // Sync settings that change what CHECK_DOMAIN returns; the background
+  // worker clears the decision cache when they change
+  const SETTINGS_KEYS = ['domains', 'enabled', 'redaction', 'captureSettings', 'captureNetworkBodies', 'networkBodyMaxBytes'];
+  const DECISION_CACHE_KEY = 'domainDecisions';
+
   // State
   let isEnabledForDomain = false;
+  let isDecided = false;
+  let maxErrorsPerMinute = CONFIG.MAX_ERRORS_PER_MINUTE;
+  let redactText = (text) => text;
   let errorCount = 0;
   let lastErrorReset = Date.now();
   const recentErrors = new Map();
+  const breadcrumbs = [];
 
   // ============================================
   // INITIALIZATION
   // ============================================
 
+  /**
+   * Runs at document_start. The bridge starts before the domain is checked
+   * so records injected.js buffered during page boot can be flushed.
+   */
   async function initialize() {
+    setupPageBridge();
+    setupBreadcrumbCapture();
+
+    const cached = await getCachedDecision(window.location.hostname);
+    if (cached) {
+      applyDecision(cached);
+    }
+    await applyDomainSettings();
+
+    // Open tabs pick up settings changes without a reload
+    chrome.storage.onChanged.addListener((changes, areaName) => {
+      if (areaName === 'sync' && SETTINGS_KEYS.some(key => key in changes)) {
+        applyDomainSettings();
+      }
+    });
+  }
+
+  /**
+   * Ask the background worker whether this domain is monitored and with
+   * which redaction and capture settings, then (re)configure the page hooks
+   */
+  async function applyDomainSettings() {
     const domain = window.location.hostname;
-    
+
     try {
       const response = await chrome.runtime.sendMessage({
         type: 'CHECK_DOMAIN',
         domain: domain
       });
-      
-      isEnabledForDomain = response?.allowed || false;
-      
-      if (isEnabledForDomain) {
-        console.log(`${DEBUG_BUDDY_PREFIX} Monitoring enabled for ${domain}`);
-        setupAllCapture();
-      } else {
-        console.log(`${DEBUG_BUDDY_PREFIX} Monitoring disabled for ${domain}`);
-      }
+
+      applyDecision(response);
+      cacheDecision(domain, response);
     } catch (error) {
       console.warn(`${DEBUG_BUDDY_PREFIX} Could not connect to extension`);
     }
   }
 
-  function setupAllCapture() {
-    interceptConsole();
-    captureWindowErrors();
-    capturePromiseRejections();
-    setupFetchMonitoring();
-    setupXHRMonitoring();
-    setupDOMErrorCapture();
-    setupMutationObserver();
-    setupPerformanceMonitoring();
-    setupResourceErrorCapture();
-    setupCSPCapture();
-    setupReportingObserver();
-  }
-
-  // ============================================
-  // CONSOLE CAPTURE
-  // ============================================
-
-  function interceptConsole() {
-    const originalError = console.error;
-    const originalWarn = console.warn;
-
-    console.error = function(...args) {
-      originalError.apply(console, args);
-      captureConsoleMessage('error', args);
-    };
-
-    console.warn = function(...args) {
-      originalWarn.apply(console, args);
-      captureConsoleMessage('warning', args);
-    };
-  }
+  /**
+   * Enable the page hooks (flushing what they buffered) or turn them off
+   * (discarding it). Applied twice on repeat visits: cached, then fresh.
+   */
+  function applyDecision(decision) {
+    const domain = window.location.hostname;
+    const wasDecided = isDecided;
+    const wasEnabled = isEnabledForDomain;
+    isDecided = true;
+    isEnabledForDomain = decision?.allowed || false;
 
-  function captureConsoleMessage(type, args) {
-    if (args[0]?.toString().startsWith(DEBUG_BUDDY_PREFIX)) {
-      return;
-    }
+    if (isEnabledForDomain) {
+      redactText = DebugBuddyRedaction.createRedactor(decision.redaction);
+      maxErrorsPerMinute = decision.capture?.thresholds?.maxErrorsPerMinute ?? CONFIG.MAX_ERRORS_PER_MINUTE;
 
-    const message = args.map(arg => {
-      if (arg instanceof Error) return arg.message;
-      if (typeof arg === 'object') {
-        try { return JSON.stringify(arg, null, 2); }
-        catch { return String(arg); }
+      if (!wasEnabled) {
+        console.log(`${DEBUG_BUDDY_PREFIX} Monitoring enabled for ${domain}`);
       }
-      return String(arg);
-    }).join(' ');
-
-    let stack = '';
-    const errorArg = args.find(arg => arg instanceof Error);
-    if (errorArg) {
-      stack = errorArg.stack || '';
-    } else {
-      stack = new Error().stack || '';
-      const lines = stack.split('\n');
-      stack = lines.slice(3).join('\n');
+      postToPage('ENABLE_CAPTURE', { options: decision.capture });
+    } else if (wasEnabled || !wasDecided) {
+      console.log(`${DEBUG_BUDDY_PREFIX} Monitoring disabled for ${domain}`);
+      breadcrumbs.length = 0;
+      postToPage('DISABLE_CAPTURE');
     }
-
-    const location = parseStackLocation(stack);
-    const category = categorizeConsoleMessage(message);
-
-    sendErrorToBackground({
-      type: type,
-      category: category,
-      message: message,
-      stack: stack,
-      filename: location.filename,
-      lineno: location.lineno,
-      colno: location.colno,
-      source: 'console'
-    });
   }
 
-  function categorizeConsoleMessage(message) {
-    const lowerMessage = message.toLowerCase();
-    
-    if (lowerMessage.includes('deprecat')) return 'deprecation';
-    if (lowerMessage.includes('csp') || lowerMessage.includes('content security policy')) return 'csp';
-    if (lowerMessage.includes('cors') || lowerMessage.includes('cross-origin')) return 'cors';
-    if (lowerMessage.includes('failed to fetch') || lowerMessage.includes('network')) return 'network';
-    if (lowerMessage.includes('syntaxerror')) return 'syntax';
-    if (lowerMessage.includes('typeerror')) return 'type';
-    if (lowerMessage.includes('referenceerror') || lowerMessage.includes('is not defined')) return 'reference';
-    if (lowerMessage.includes('permission') || lowerMessage.includes('denied')) return 'permission';
-    
-    return 'general';
+  async function getCachedDecision(domain) {
+    try {
+      const { [DECISION_CACHE_KEY]: decisions = {} } = await chrome.storage.local.get([DECISION_CACHE_KEY]);
+      return decisions[domain] || null;
+    } catch (error) {
+      return null;
+    }
   }
 
-  // ============================================
-  // JAVASCRIPT ERROR CAPTURE
-  // ============================================
+  /**
+   * Remember the answer for a whitelisted hostname, dropping the oldest
+   * entries past MAX_DOMAIN_DECISIONS. Other hostnames are never stored
+   * (and forgotten once they stop being whitelisted), so the cache doesn't
+   * become a browsing history. Unchanged answers aren't rewritten.
+   */
+  async function cacheDecision(domain, decision) {
+    if (!decision) return;
 
-  function captureWindowErrors() {
-    window.addEventListener('error', (event) => {
-      if (!event.filename || event.filename.startsWith('chrome-extension://')) {
-        return;
-      }
+    try {
+      const { [DECISION_CACHE_KEY]: decisions = {} } = await chrome.storage.local.get([DECISION_CACHE_KEY]);
 
-      if (event.target && (event.target.tagName === 'SCRIPT' || event.target.tagName === 'LINK' || event.target.tagName === 'IMG')) {
-        return;
+      if (!decision.allowed) {
+        if (!(domain in decisions)) return;
+        delete decisions[domain];
+      } else {
+        const previous = decisions[domain];
+        if (previous && JSON.stringify([previous.redaction, previous.capture]) ===
+            JSON.stringify([decision.redaction, decision.capture])) {
+          return;
+        }
+        decisions[domain] = {
+          allowed: true,
+          redaction: decision.redaction,
+          capture: decision.capture,
+          checkedAt: Date.now()
+        };
       }
 
-      sendErrorToBackground({
-        type: 'exception',
-        category: 'javascript',
-        message: event.message,
-        filename: event.filename,
-        lineno: event.lineno,
-        colno: event.colno,
-        stack: event.error?.stack || '',
-        source: 'window.onerror'
-      });
-    }, true);
-  }
-
-  function capturePromiseRejections() {
-    window.addEventListener('unhandledrejection', (event) => {
-      let message = 'Unhandled Promise Rejection';
-      let stack = '';
-
-      if (event.reason instanceof Error) {
-        message = event.reason.message;
-        stack = event.reason.stack || '';
-      } else if (typeof event.reason === 'string') {
-        message = event.reason;
-      } else if (event.reason) {
-        try { message = JSON.stringify(event.reason); }
-        catch { message = String(event.reason); }
+      const domains = Object.keys(decisions);
+      if (domains.length > CONFIG.MAX_DOMAIN_DECISIONS) {
+        domains
+          .sort((a, b) => decisions[a].checkedAt - decisions[b].checkedAt)
+          .slice(0, domains.length - CONFIG.MAX_DOMAIN_DECISIONS)
+          .forEach(key => delete decisions[key]);
       }
 
-      const location = parseStackLocation(stack);
-
-      sendErrorToBackground({
-        type: 'promise_rejection',
-        category: 'javascript',
-        message: message,
-        stack: stack,
-        filename: location.filename,
-        lineno: location.lineno,
-        colno: location.colno,
-        source: 'unhandledrejection'
-      });
-    });
+      await chrome.storage.local.set({ [DECISION_CACHE_KEY]: decisions });
+    } catch (error) {}
   }
 
   // ============================================
-  // NETWORK MONITORING
+  // PAGE BRIDGE
   // ============================================
 
-  function setupFetchMonitoring() {
-    const originalFetch = window.fetch;
-
-    window.fetch = async function(...args) {
-      const url = typeof args[0] === 'string' ? args[0] : args[0]?.url || 'unknown';
-      const method = args[1]?.method || 'GET';
-      const startTime = performance.now();
-
-      try {
-        const response = await originalFetch.apply(this, args);
-        const duration = performance.now() - startTime;
-
-        if (duration > CONFIG.SLOW_REQUEST_THRESHOLD) {
-          sendErrorToBackground({
-            type: 'network_slow',
-            category: 'performance',
-            message: `Slow request: ${method} ${url} took ${Math.round(duration)}ms`,
-            filename: url,
-            lineno: 0,
-            colno: 0,
-            stack: '',
-            source: 'fetch',
-            metadata: { method, url, duration: Math.round(duration), status: response.status }
-          });
-        }
+  function setupPageBridge() {
+    window.addEventListener('message', (event) => {
+      if (event.source !== window) return;
 
-        if (!response.ok) {
-          sendErrorToBackground({
-            type: 'network_error',
-            category: 'network',
-            message: `HTTP ${response.status} ${response.statusText}: ${method} ${url}`,
-            filename: url,
-            lineno: 0,
-            colno: 0,
-            stack: new Error().stack || '',
-            source: 'fetch',
-            metadata: { method, url, status: response.status, statusText: response.statusText, duration: Math.round(duration) }
-          });
-        }
+      const data = event.data;
+      if (!data || typeof data !== 'object' || data.source !== PAGE_SOURCE) return;
+      if (!isEnabledForDomain) return;
 
-        return response;
-      } catch (error) {
-        const duration = performance.now() - startTime;
-
-        sendErrorToBackground({
-          type: 'network_error',
-          category: 'network',
-          message: `Fetch failed: ${error.message} - ${method} ${url}`,
-          filename: url,
-          lineno: 0,
-          colno: 0,
-          stack: error.stack || '',
-          source: 'fetch',
-          metadata: { method, url, error: error.message, duration: Math.round(duration) }
-        });
-
-        throw error;
+      if (data.type === 'ERROR_CAPTURED') {
+        const errorData = validatePageRecord(data.payload);
+        if (errorData) {
+          sendErrorToBackground(errorData);
+        }
+      } else if (data.type === 'BREADCRUMB') {
+        const breadcrumb = validateBreadcrumb(data.payload);
+        if (breadcrumb) {
+          addBreadcrumb(breadcrumb);
+        }
+      } else if (data.type === 'VITALS') {
+        const vitals = validateVitals(data.payload);
+        if (vitals) {
+          sendVitalsToBackground(vitals);
+        }
       }
-    };
+    });
   }
 
-  function setupXHRMonitoring() {
-    const originalOpen = XMLHttpRequest.prototype.open;
-    const originalSend = XMLHttpRequest.prototype.send;
+  function postToPage(type, fields = {}) {
+    window.postMessage({
+      source: CONTENT_SOURCE,
+      type,
+      ...fields
+    }, window.location.origin === 'null' ? '*' : window.location.origin);
+  }
 
-    XMLHttpRequest.prototype.open = function(method, url, ...rest) {
-      this._debugBuddyUrl = url;
-      this._debugBuddyMethod = method;
-      return originalOpen.apply(this, [method, url, ...rest]);
+  /**
+   * The page can post anything to window, so only accept records with the
+   * expected shape and copy the known fields into a fresh object.
+   */
+  function validatePageRecord(record) {
+    if (!record || typeof record !== 'object') return null;
+    if (typeof record.type !== 'string' || !/^[a-z_]{1,64}$/.test(record.type)) return null;
+    if (typeof record.message !== 'string' || record.message.length === 0) return null;
+
+    const errorData = {
+      type: record.type,
+      category: toShortString(record.category) || 'general',
+      message: record.message.slice(0, CONFIG.MAX_MESSAGE_LENGTH),
+      stack: typeof record.stack === 'string' ? record.stack.slice(0, CONFIG.MAX_MESSAGE_LENGTH) : '',
+      filename: typeof record.filename === 'string' ? record.filename.slice(0, 2048) : '',
+      lineno: toSafeNumber(record.lineno),
+      colno: toSafeNumber(record.colno),
+      source: toShortString(record.source) || 'unknown'
     };
 
-    XMLHttpRequest.prototype.send = function(...args) {
-      const startTime = performance.now();
-
-      this.addEventListener('error', () => {
-        sendErrorToBackground({
-          type: 'network_error',
-          category: 'network',
-          message: `XHR failed: ${this._debugBuddyMethod} ${this._debugBuddyUrl}`,
-          filename: this._debugBuddyUrl,
-          lineno: 0,
-          colno: 0,
-          stack: new Error().stack || '',
-          source: 'xhr',
-          metadata: { method: this._debugBuddyMethod, url: this._debugBuddyUrl }
-        });
-      });
+    if (WORKER_CONTEXTS.includes(record.context)) {
+      errorData.context = record.context;
+    }
 
-      this.addEventListener('timeout', () => {
-        sendErrorToBackground({
-          type: 'network_timeout',
-          category: 'network',
-          message: `XHR timeout: ${this._debugBuddyMethod} ${this._debugBuddyUrl}`,
-          filename: this._debugBuddyUrl,
-          lineno: 0,
-          colno: 0,
-          stack: '',
-          source: 'xhr',
-          metadata: { method: this._debugBuddyMethod, url: this._debugBuddyUrl, timeout: this.timeout }
-        });
-      });
+    // Set on records injected.js held back until the domain check answered
+    const timestamp = toSafeNumber(record.timestamp);
+    if (timestamp > 0 && timestamp <= Date.now()) {
+      errorData.timestamp = timestamp;
+    }
 
-      this.addEventListener('load', () => {
-        const duration = performance.now() - startTime;
-
-        if (duration > CONFIG.SLOW_REQUEST_THRESHOLD) {
-          sendErrorToBackground({
-            type: 'network_slow',
-            category: 'performance',
-            message: `Slow XHR: ${this._debugBuddyMethod} ${this._debugBuddyUrl} took ${Math.round(duration)}ms`,
-            filename: this._debugBuddyUrl,
-            lineno: 0,
-            colno: 0,
-            stack: '',
-            source: 'xhr',
-            metadata: { method: this._debugBuddyMethod, url: this._debugBuddyUrl, duration: Math.round(duration), status: this.status }
-          });
-        }
+    const metadata = copyPrimitives(record.metadata);
+    if (metadata) {
+      errorData.metadata = metadata;
+    }
 
-        if (this.status >= 400) {
-          sendErrorToBackground({
-            type: 'network_error',
-            category: 'network',
-            message: `HTTP ${this.status}: ${this._debugBuddyMethod} ${this._debugBuddyUrl}`,
-            filename: this._debugBuddyUrl,
-            lineno: 0,
-            colno: 0,
-            stack: '',
-            source: 'xhr',
-            metadata: { method: this._debugBuddyMethod, url: this._debugBuddyUrl, status: this.status, statusText: this.statusText, duration: Math.round(duration) }
-          });
-        }
-      });
+    const network = validateNetworkExchange(record.network);
+    if (network) {
+      errorData.network = network;
+    }
 
-      return originalSend.apply(this, args);
-    };
-  }
+    // Script attribution of long animation frames
+    if (Array.isArray(record.scripts)) {
+      const scripts = record.scripts.slice(0, CONFIG.MAX_SCRIPTS).map(copyPrimitives).filter(Boolean);
+      if (scripts.length > 0) {
+        errorData.scripts = scripts;
+      }
+    }
 
-  // ============================================
-  // DOM/ELEMENTS ERROR CAPTURE
-  // ============================================
+    return errorData;
+  }
 
-  function setupDOMErrorCapture() {
-    const originalQuerySelector = document.querySelector;
-    const originalQuerySelectorAll = document.querySelectorAll;
-
-    document.querySelector = function(selector) {
-      try {
-        return originalQuerySelector.call(this, selector);
-      } catch (error) {
-        sendErrorToBackground({
-          type: 'dom_error',
-          category: 'dom',
-          message: `Invalid selector: "${selector}" - ${error.message}`,
-          filename: window.location.href,
-          lineno: 0,
-          colno: 0,
-          stack: error.stack || '',
-          source: 'querySelector'
-        });
-        throw error;
-      }
+  /**
+   * Request/response details captured for failing calls (opt-in)
+   */
+  function validateNetworkExchange(network) {
+    if (!network || typeof network !== 'object') return null;
+
+    const side = (part) => {
+      if (!part || typeof part !== 'object') return null;
+      return {
+        headers: copyPrimitives(part.headers) || {},
+        body: typeof part.body === 'string' ? part.body.slice(0, CONFIG.MAX_NETWORK_BODY_LENGTH) : '',
+        bodyTruncated: part.bodyTruncated === true,
+        contentType: toShortString(part.contentType)
+      };
     };
 
-    document.querySelectorAll = function(selector) {
-      try {
-        return originalQuerySelectorAll.call(this, selector);
-      } catch (error) {
-        sendErrorToBackground({
-          type: 'dom_error',
-          category: 'dom',
-          message: `Invalid selector: "${selector}" - ${error.message}`,
-          filename: window.location.href,
-          lineno: 0,
-          colno: 0,
-          stack: error.stack || '',
-          source: 'querySelectorAll'
-        });
-        throw error;
-      }
-    };
+    const request = side(network.request);
+    const response = side(network.response);
+    return request || response ? { request, response } : null;
   }
 
-  function setupMutationObserver() {
-    const dangerousMethods = ['insertBefore', 'appendChild', 'removeChild', 'replaceChild'];
-    
-    dangerousMethods.forEach(methodName => {
-      const original = Node.prototype[methodName];
-      Node.prototype[methodName] = function(...args) {
-        try {
-          return original.apply(this, args);
-        } catch (error) {
-          sendErrorToBackground({
-            type: 'dom_error',
-            category: 'dom',
-            message: `DOM manipulation error in ${methodName}: ${error.message}`,
-            filename: window.location.href,
-            lineno: 0,
-            colno: 0,
-            stack: error.stack || '',
-            source: `Node.${methodName}`
-          });
-          throw error;
-        }
-      };
-    });
+  function validateBreadcrumb(crumb) {
+    if (!crumb || typeof crumb !== 'object') return null;
+    if (!PAGE_BREADCRUMB_TYPES.includes(crumb.type)) return null;
+    if (typeof crumb.message !== 'string') return null;
 
-    const originalInnerHTMLDescriptor = Object.getOwnPropertyDescriptor(Element.prototype, 'innerHTML');
-    if (originalInnerHTMLDescriptor && originalInnerHTMLDescriptor.set) {
-      Object.defineProperty(Element.prototype, 'innerHTML', {
-        set: function(value) {
-          try {
-            return originalInnerHTMLDescriptor.set.call(this, value);
-          } catch (error) {
-            sendErrorToBackground({
-              type: 'dom_error',
-              category: 'dom',
-              message: `innerHTML error: ${error.message}`,
-              filename: window.location.href,
-              lineno: 0,
-              colno: 0,
-              stack: error.stack || '',
-              source: 'innerHTML'
-            });
-            throw error;
-          }
-        },
-        get: originalInnerHTMLDescriptor.get,
-        configurable: true
-      });
+    return {
+      type: crumb.type,
+      message: crumb.message.slice(0, CONFIG.MAX_BREADCRUMB_LENGTH),
+      timestamp: toSafeNumber(crumb.timestamp) || Date.now(),
+      data: copyPrimitives(crumb.data) || undefined
+    };
+  }
+
+  function validateVitals(vitals) {
+    if (!vitals || typeof vitals !== 'object' || typeof vitals.pageLoadId !== 'string') return null;
+
+    const values = {};
+    const attribution = {};
+    const budgets = {};
+    for (const metric of VITAL_METRICS) {
+      if (Number.isFinite(vitals.values?.[metric])) values[metric] = vitals.values[metric];
+      if (Number.isFinite(vitals.budgets?.[metric])) budgets[metric] = vitals.budgets[metric];
+      const metricAttribution = copyPrimitives(vitals.attribution?.[metric]);
+      if (metricAttribution) attribution[metric] = metricAttribution;
     }
+    if (Object.keys(values).length === 0) return null;
+
+    return { pageLoadId: vitals.pageLoadId.slice(0, 64), values, attribution, budgets };
   }
 
-  // ============================================
-  // PERFORMANCE MONITORING
-  // ============================================
+  // Shallow copy keeping only string/number/boolean/null values
+  function copyPrimitives(source) {
+    if (!source || typeof source !== 'object' || Array.isArray(source)) return null;
 
-  function setupPerformanceMonitoring() {
-    if (typeof PerformanceObserver !== 'undefined') {
-      try {
-        const longTaskObserver = new PerformanceObserver((list) => {
-          for (const entry of list.getEntries()) {
-            if (entry.duration > CONFIG.LONG_TASK_THRESHOLD) {
-              sendErrorToBackground({
-                type: 'performance_longtask',
-                category: 'performance',
-                message: `Long task detected: ${Math.round(entry.duration)}ms blocking the main thread`,
-                filename: entry.attribution?.[0]?.containerSrc || window.location.href,
-                lineno: 0,
-                colno: 0,
-                stack: '',
-                source: 'PerformanceObserver',
-                metadata: { duration: Math.round(entry.duration), startTime: Math.round(entry.startTime), attribution: entry.attribution?.[0]?.name || 'unknown' }
-              });
-            }
-          }
-        });
-        longTaskObserver.observe({ entryTypes: ['longtask'] });
-      } catch (e) {}
-
-      try {
-        const clsObserver = new PerformanceObserver((list) => {
-          for (const entry of list.getEntries()) {
-            if (entry.value > 0.1) {
-              sendErrorToBackground({
-                type: 'performance_cls',
-                category: 'performance',
-                message: `Layout shift detected: ${entry.value.toFixed(3)} CLS score`,
-                filename: window.location.href,
-                lineno: 0,
-                colno: 0,
-                stack: '',
-                source: 'PerformanceObserver',
-                metadata: { value: entry.value, hadRecentInput: entry.hadRecentInput }
-              });
-            }
-          }
-        });
-        clsObserver.observe({ entryTypes: ['layout-shift'] });
-      } catch (e) {}
+    const copy = {};
+    for (const [key, value] of Object.entries(source).slice(0, CONFIG.MAX_METADATA_KEYS)) {
+      if (typeof value === 'string') copy[key] = value.slice(0, 2048);
+      else if (typeof value === 'number' || typeof value === 'boolean' || value === null) copy[key] = value;
     }
+    return copy;
   }
 
-  function setupResourceErrorCapture() {
-    window.addEventListener('error', (event) => {
-      const target = event.target;
-      
-      if (target && target !== window) {
-        let resourceType = 'unknown';
-        let url = '';
-
-        if (target.tagName === 'SCRIPT') { resourceType = 'script'; url = target.src; }
-        else if (target.tagName === 'LINK') { resourceType = 'stylesheet'; url = target.href; }
-        else if (target.tagName === 'IMG') { resourceType = 'image'; url = target.src; }
-        else if (target.tagName === 'VIDEO' || target.tagName === 'AUDIO') { resourceType = 'media'; url = target.src || target.currentSrc; }
-        else if (target.tagName === 'IFRAME') { resourceType = 'iframe'; url = target.src; }
-
-        if (url) {
-          sendErrorToBackground({
-            type: 'resource_error',
-            category: 'network',
-            message: `Failed to load ${resourceType}: ${url}`,
-            filename: url,
-            lineno: 0,
-            colno: 0,
-            stack: '',
-            source: `${target.tagName.toLowerCase()}.onerror`,
-            metadata: { resourceType, url, tagName: target.tagName }
-          });
-        }
-      }
-    }, true);
+  function toShortString(value) {
+    return typeof value === 'string' ? value.slice(0, 128) : '';
+  }
+
+  function toSafeNumber(value) {
+    return Number.isFinite(value) ? value : 0;
   }
 
   // ============================================
-  // CSP VIOLATION CAPTURE
+  // BREADCRUMBS
   // ============================================
 
-  function setupCSPCapture() {
-    document.addEventListener('securitypolicyviolation', (event) => {
-      sendErrorToBackground({
-        type: 'csp_violation',
-        category: 'csp',
-        message: `CSP violation: ${event.violatedDirective} - blocked ${event.blockedURI}`,
-        filename: event.sourceFile || window.location.href,
-        lineno: event.lineNumber || 0,
-        colno: event.columnNumber || 0,
-        stack: '',
-        source: 'securitypolicyviolation',
-        metadata: { violatedDirective: event.violatedDirective, effectiveDirective: event.effectiveDirective, blockedURI: event.blockedURI, originalPolicy: event.originalPolicy, disposition: event.disposition }
+  /**
+   * DOM events are visible from the isolated world, so clicks, focus and
+   * popstate/hashchange are recorded here. Only selectors are kept for
+   * inputs, never their values.
+   */
+  function setupBreadcrumbCapture() {
+    document.addEventListener('click', (event) => {
+      const target = event.target instanceof Element ? event.target : null;
+      if (!target) return;
+
+      // Label text only for controls; textContent of a container can be huge
+      const control = target.closest('button, a, [role="button"], label');
+      const text = control?.textContent.trim().replace(/\s+/g, ' ').slice(0, 40);
+      addBreadcrumb({
+        type: 'click',
+        message: describeElement(target) + (text ? ` "${text}"` : ''),
+        timestamp: Date.now()
       });
+    }, true);
+
+    document.addEventListener('focusin', (event) => {
+      const target = event.target;
+      if (!(target instanceof Element) || !target.matches('input, textarea, select, [contenteditable="true"]')) return;
+
+      addBreadcrumb({
+        type: 'input',
+        message: `Focused ${describeElement(target)}`,
+        timestamp: Date.now()
+      });
+    }, true);
+
+    window.addEventListener('popstate', () => {
+      addBreadcrumb({ type: 'navigation', message: `popstate: ${window.location.href}`, timestamp: Date.now() });
+    });
+
+    window.addEventListener('hashchange', (event) => {
+      addBreadcrumb({ type: 'navigation', message: `hashchange: ${event.newURL}`, timestamp: Date.now() });
     });
   }
 
-  // ============================================
-  // REPORTING OBSERVER (Deprecations)
-  // ============================================
+  function addBreadcrumb(breadcrumb) {
+    if (isDecided && !isEnabledForDomain) return;
 
-  function setupReportingObserver() {
-    if (typeof ReportingObserver !== 'undefined') {
-      try {
-        const reportingObserver = new ReportingObserver((reports) => {
-          for (const report of reports) {
-            const body = report.body;
-            
-            if (report.type === 'deprecation') {
-              sendErrorToBackground({
-                type: 'deprecation',
-                category: 'deprecation',
-                message: `Deprecated: ${body.message || body.id}`,
-                filename: body.sourceFile || window.location.href,
-                lineno: body.lineNumber || 0,
-                colno: body.columnNumber || 0,
-                stack: '',
-                source: 'ReportingObserver',
-                metadata: { id: body.id, anticipatedRemoval: body.anticipatedRemoval }
-              });
-            } else if (report.type === 'intervention') {
-              sendErrorToBackground({
-                type: 'intervention',
-                category: 'intervention',
-                message: `Browser intervention: ${body.message || body.id}`,
-                filename: body.sourceFile || window.location.href,
-                lineno: body.lineNumber || 0,
-                colno: body.columnNumber || 0,
-                stack: '',
-                source: 'ReportingObserver',
-                metadata: { id: body.id }
-              });
-            }
-          }
-        }, { buffered: true });
-        reportingObserver.observe();
-      } catch (e) {}
+    breadcrumbs.push(breadcrumb);
+    if (breadcrumbs.length > CONFIG.MAX_BREADCRUMBS) {
+      breadcrumbs.shift();
     }
   }
 
-  // ============================================
-  // UTILITIES
-  // ============================================
+  /**
+   * Short CSS-like path for an element, e.g. "form#login > button.primary"
+   */
+  function describeElement(element) {
+    const parts = [];
+    let node = element;
+
+    while (node && node.nodeType === Node.ELEMENT_NODE && parts.length < 3) {
+      let part = node.tagName.toLowerCase();
+      if (node.id) {
+        parts.unshift(`${part}#${node.id}`);
+        break;
+      }
 
-  function parseStackLocation(stack) {
-    if (!stack) return { filename: '', lineno: 0, colno: 0 };
-
-    const patterns = [
-      /at\s+(?:\S+\s+)?\(?(https?:\/\/[^:]+|[^:]+):(\d+):(\d+)\)?/,
-      /at\s+(https?:\/\/[^:]+|[^:]+):(\d+):(\d+)/,
-      /@(https?:\/\/[^:]+|[^:]+):(\d+):(\d+)/
-    ];
-
-    const lines = stack.split('\n');
-    
-    for (const line of lines) {
-      for (const pattern of patterns) {
-        const match = line.match(pattern);
-        if (match) {
-          return { filename: match[1], lineno: parseInt(match[2], 10), colno: parseInt(match[3], 10) };
-        }
+      const classes = [...node.classList].slice(0, 2);
+      if (classes.length > 0) part += `.${classes.join('.')}`;
+
+      const name = node.getAttribute('name') || node.getAttribute('type');
+      if (name && /^(input|select|textarea|button)$/.test(part.split('.')[0])) {
+        part += `[${node.hasAttribute('name') ? 'name' : 'type'}="${name}"]`;
       }
+
+      parts.unshift(part);
+      node = node.parentElement;
     }
 
-    return { filename: '', lineno: 0, colno: 0 };
+    return parts.join(' > ');
   }
 
+  // ============================================
+  // UTILITIES
+  // ============================================
+
   function sendErrorToBackground(errorData) {
     const now = Date.now();
     if (now - lastErrorReset > 60000) {
       errorCount = 0;
       lastErrorReset = now;
     }
-    
-    if (errorCount >= CONFIG.MAX_ERRORS_PER_MINUTE) return;
+
+    if (errorCount >= maxErrorsPerMinute) return;
 
     const errorKey = `${errorData.type}:${errorData.message}:${errorData.filename}`;
     const lastSent = recentErrors.get(errorKey);
-    
+
     if (lastSent && (now - lastSent) < CONFIG.DEBOUNCE_MS) return;
-    
+
     recentErrors.set(errorKey, now);
     errorCount++;
 
@@ -637,13 +465,26 @@
       }
     }
 
-    const enrichedError = {
+    // Flushed records only get the breadcrumbs that came before them
+    const timestamp = errorData.timestamp || now;
+    const enrichedError = DebugBuddyRedaction.redactValue({
       ...errorData,
       url: window.location.href,
-      timestamp: now,
+      frameId: getFrameId(),
+      frameUrl: window.location.href,
+      context: errorData.context || FRAME_CONTEXT,
+      timestamp,
       userAgent: navigator.userAgent,
-      viewport: { width: window.innerWidth, height: window.innerHeight }
-    };
+      viewport: { width: window.innerWidth, height: window.innerHeight },
+      breadcrumbs: breadcrumbs.filter(crumb => crumb.timestamp <= timestamp).slice(-CONFIG.BREADCRUMBS_PER_ERROR)
+    }, redactText);
+
+    // Earlier errors are context for later ones
+    addBreadcrumb({
+      type: 'error',
+      message: errorData.message.slice(0, CONFIG.MAX_BREADCRUMB_LENGTH),
+      timestamp
+    });
 
     try {
       chrome.runtime.sendMessage({
@@ -653,14 +494,38 @@
     } catch (error) {}
   }
 
+  function sendVitalsToBackground(vitals) {
+    const payload = DebugBuddyRedaction.redactValue({
+      ...vitals,
+      url: window.location.href,
+      timestamp: Date.now()
+    }, redactText);
+
+    try {
+      chrome.runtime.sendMessage({
+        type: 'VITALS_CAPTURED',
+        payload
+      }).catch(() => {});
+    } catch (error) {}
+  }
+
+  /**
+   * The extension's ID for this frame (0 for the top frame). Older Chrome
+   * versions lack getFrameId; the background worker falls back to the
+   * sender's frameId then.
+   */
+  function getFrameId() {
+    try {
+      return chrome.runtime.getFrameId?.(window);
+    } catch (error) {
+      return undefined;
+    }
+  }
+
   // ============================================
   // START
   // ============================================
 
-  if (document.readyState === 'loading') {
-    document.addEventListener('DOMContentLoaded', initialize);
-  } else {
-    initialize();
-  }
+  initialize();
 
 })();
@@ -0,0 +1,32 @@
+/**
+ * Debug Buddy - Error Types
+ *
+ * Which captured types count as warnings rather than errors. The service
+ * worker splits its analysis policy on this, and the side panel picks SARIF
+ * levels with it for records that have no analysis yet. One list keeps the
+ * two from drifting apart; the side panel loads this file with a script
+ * tag, hence globalThis.DebugBuddyErrorTypes.
+ */
+
+(function() {
+  'use strict';
+
+  if (globalThis.DebugBuddyErrorTypes) {
+    return;
+  }
+
+  const WARNING_TYPES = [
+    'warning', 'deprecation', 'intervention', 'network_slow', 'performance_longtask',
+    'performance_cls', 'performance_lcp', 'performance_inp', 'performance_fcp', 'performance_ttfb'
+  ];
+
+  function isWarningType(type) {
+    return WARNING_TYPES.includes(type);
+  }
+
+  globalThis.DebugBuddyErrorTypes = {
+    WARNING_TYPES,
+    isWarningType
+  };
+
+})();
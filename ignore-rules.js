@@ -0,0 +1,117 @@
+/**
+ * Debug Buddy - Ignore Rules
+ *
+ * Mutes known noise (third-party scripts, extension errors) before it is
+ * analyzed. Shared by:
+ * 1. background.js - matches incoming errors and flags stored ones
+ * 2. sidepanel.js - builds a rule from a card ("Mute similar")
+ * 3. options.js - validates rules edited in settings
+ * so it publishes a global instead of using exports.
+ *
+ * A rule matches when every field it sets matches; empty fields are ignored.
+ * Stored under the chrome.storage.local key "ignoreRules" (a long list
+ * would overflow sync's per-key quota) as
+ *   [{ id, message: 'regex', filename: 'glob', type, category, source, createdAt }]
+ */
+
+(function() {
+  'use strict';
+
+  if (globalThis.DebugBuddyIgnoreRules) {
+    return;
+  }
+
+  const RULE_FIELDS = {
+    message: { label: 'Message (regex)' },
+    filename: { label: 'File or URL (glob)' },
+    type: { label: 'Type' },
+    category: { label: 'Category' },
+    source: { label: 'Source' }
+  };
+
+  /**
+   * Throw a readable error for rules that can't be used
+   */
+  function validateRule(rule) {
+    if (!Object.keys(RULE_FIELDS).some(field => rule[field])) {
+      throw new Error('An ignore rule needs at least one field');
+    }
+    if (rule.message) {
+      try {
+        new RegExp(rule.message);
+      } catch (error) {
+        throw new Error(`Invalid ignore rule message pattern "${rule.message}": ${error.message}`);
+      }
+    }
+  }
+
+  /**
+   * Build a matcher returning the first rule an error matches, or null.
+   * Invalid rules are skipped.
+   */
+  function compileRules(rules) {
+    const compiled = (rules || []).map(rule => {
+      try {
+        validateRule(rule);
+        return {
+          rule,
+          message: rule.message ? new RegExp(rule.message, 'i') : null,
+          filename: rule.filename ? globToRegExp(rule.filename) : null
+        };
+      } catch (e) {
+        return null;
+      }
+    }).filter(Boolean);
+
+    return function findMatchingRule(error) {
+      for (const { rule, message, filename } of compiled) {
+        if (message && !message.test(error.message || '')) continue;
+        if (filename && !filename.test(error.filename || error.url || '')) continue;
+        if (rule.type && rule.type !== error.type) continue;
+        if (rule.category && rule.category !== error.category) continue;
+        if (rule.source && rule.source !== error.source) continue;
+        return rule;
+      }
+      return null;
+    };
+  }
+
+  /**
+   * Rule for "Mute similar": same type, same first message line with
+   * numbers generalized, and the same file ignoring query strings
+   */
+  function createRuleFromError(error) {
+    const firstLine = (error.message || '').split('\n')[0].slice(0, 200);
+    const message = firstLine
+      .split(/\d+/)
+      .map(part => part.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'))
+      .join('\\d+');
+    const filename = (error.filename || '').split(/[?#]/)[0];
+
+    return {
+      id: `rule-${Date.now().toString(36)}`,
+      message: message ? `^${message}` : '',
+      filename: filename ? `${filename}*` : '',
+      type: error.type || '',
+      category: '',
+      source: '',
+      createdAt: Date.now()
+    };
+  }
+
+  function globToRegExp(glob) {
+    const pattern = glob
+      .split('*')
+      .map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&'))
+      .join('.*');
+    return new RegExp(`^${pattern}$`, 'i');
+  }
+
+  globalThis.DebugBuddyIgnoreRules = {
+    RULE_FIELDS,
+    validateRule,
+    compileRules,
+    createRuleFromError
+  };
+
+})();
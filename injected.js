@@ -0,0 +1,1494 @@
+/**
+ * Debug Buddy - Page Capture Script (MAIN world)
+ *
+ * Runs in the page's own JavaScript world so the hooks patch the real
+ * console, fetch, XMLHttpRequest and DOM prototypes the app uses.
+ * It has no access to chrome.* APIs: captured records are posted to the
+ * content script (content.js), which validates them and forwards them
+ * to the background service worker.
+ *
+ * The early collectors (window errors, promise rejections, resource and
+ * CSP errors) are passive event listeners installed right away at
+ * document_start so errors thrown while the page boots aren't lost. Until
+ * the content script has checked the domain whitelist their records are
+ * held in a bounded buffer, then flushed on ENABLE_CAPTURE or discarded on
+ * DISABLE_CAPTURE. Globals (console, fetch, XHR, workers, history) are
+ * only patched once ENABLE_CAPTURE confirms the domain, so pages that
+ * aren't whitelisted never see them wrapped. ENABLE_CAPTURE is re-sent
+ * with new options when settings change: newly enabled collectors are
+ * installed then, while disabled ones stay patched but stop reporting
+ * (monkey-patches can't be safely undone once the page has wrapped them).
+ */
+
+(function() {
+  'use strict';
+
+  const DEBUG_BUDDY_PREFIX = '[Debug Buddy]';
+  const PAGE_SOURCE = 'debug-buddy-page';       // page -> content script
+  const CONTENT_SOURCE = 'debug-buddy-content'; // content script -> page
+
+  // Prevent multiple injections
+  if (window.__debugBuddyPageInjected) {
+    return;
+  }
+  window.__debugBuddyPageInjected = true;
+
+  // Configuration
+  // Thresholds can be overridden per domain in settings (captureOptions.thresholds)
+  const CONFIG = {
+    SLOW_REQUEST_THRESHOLD: 5000,  // 5 seconds
+    LONG_TASK_THRESHOLD: 50,       // 50ms (standard long task)
+    LOAF_MAX_SCRIPTS: 5,           // Longest scripts attributed per long animation frame
+    LOAF_REPORT_INTERVAL_MS: 10000, // Repeats of the same culprit are only counted in between
+    LOAF_MAX_TRACKED_SCRIPTS: 200,
+    LAYOUT_SHIFT_THRESHOLD: 0.1,   // "Needs improvement" CLS score
+    LCP_BUDGET_MS: 2500,           // Web Vitals budgets default to the "good" limits
+    INP_BUDGET_MS: 200,
+    FCP_BUDGET_MS: 1800,
+    TTFB_BUDGET_MS: 800,
+    LCP_SETTLE_MS: 5000,           // LCP is final at first input, when hidden, or this long after load
+    VITALS_REPORT_DELAY_MS: 1000,  // Debounce for vitals summaries sent to the extension
+    MAX_BREADCRUMB_LENGTH: 300,    // Console lines are cut before posting
+    MAX_BODY_BYTES: 4096,          // Default cap per captured body
+    BODY_READ_TIMEOUT_MS: 2000,    // Give up on slow/streaming response bodies
+    EARLY_BUFFER_SIZE: 100         // Records held until the domain check answers
+  };
+
+  // Installed at document_start, before the domain check answers. Only
+  // passive event listeners: nothing the page can observe is patched yet.
+  const EARLY_COLLECTORS = ['windowErrors', 'promises', 'resources', 'csp'];
+
+  // Headers masked before they ever leave the page
+  const SENSITIVE_HEADERS = [
+    'authorization', 'proxy-authorization', 'cookie', 'set-cookie',
+    'x-api-key', 'x-auth-token', 'x-csrf-token', 'x-xsrf-token'
+  ];
+  const TEXT_CONTENT_TYPE = /json|text|xml|javascript|x-www-form-urlencoded|graphql/i;
+
+  // State
+  let captureState = 'pending';  // 'on' or 'off' once the content script answers
+  let captureOptions = {};        // From the extension settings (see ENABLE_CAPTURE)
+  let historyPatched = false;
+  const installedCollectors = new Set();
+  const earlyBuffer = [];
+
+  // ============================================
+  // BRIDGE
+  // ============================================
+
+  window.addEventListener('message', (event) => {
+    if (event.source !== window) return;
+
+    const data = event.data;
+    if (!data || typeof data !== 'object' || data.source !== CONTENT_SOURCE) return;
+
+    if (data.type === 'ENABLE_CAPTURE') {
+      captureOptions = data.options && typeof data.options === 'object' ? data.options : {};
+      captureState = 'on';
+      installCollectors();
+      if (!historyPatched) {
+        historyPatched = true;
+        setupHistoryBreadcrumbs();
+      }
+      flushEarlyBuffer();
+    } else if (data.type === 'DISABLE_CAPTURE') {
+      captureState = 'off';
+      earlyBuffer.length = 0;
+    }
+  });
+
+  // Keys match COLLECTORS in capture-settings.js
+  const COLLECTOR_INSTALLERS = {
+    console: interceptConsole,
+    windowErrors: captureWindowErrors,
+    promises: capturePromiseRejections,
+    fetch: setupFetchMonitoring,
+    xhr: setupXHRMonitoring,
+    dom: setupDOMErrorCapture,
+    mutation: setupMutationObserver,
+    performance: setupPerformanceMonitoring,
+    resources: setupResourceErrorCapture,
+    csp: setupCSPCapture,
+    reporting: setupReportingObserver,
+    workers: setupWorkerCapture,
+    vitals: setupWebVitals
+  };
+
+  function installCollectors() {
+    for (const [name, install] of Object.entries(COLLECTOR_INSTALLERS)) {
+      if (isCollectorEnabled(name) && !installedCollectors.has(name)) {
+        installedCollectors.add(name);
+        install();
+      }
+    }
+  }
+
+  function isCollectorEnabled(name) {
+    if (captureState === 'pending') return EARLY_COLLECTORS.includes(name);
+    return captureState === 'on' && captureOptions.collectors?.[name] !== false;
+  }
+
+  function getThreshold(name, fallback) {
+    const value = captureOptions.thresholds?.[name];
+    return typeof value === 'number' && Number.isFinite(value) ? value : fallback;
+  }
+
+  // ============================================
+  // CONSOLE CAPTURE
+  // ============================================
+
+  function interceptConsole() {
+    const originalError = console.error;
+    const originalWarn = console.warn;
+    const originalLog = console.log;
+    const originalInfo = console.info;
+
+    // log/info aren't errors, but they make useful breadcrumbs
+    console.log = function(...args) {
+      originalLog.apply(console, args);
+      postConsoleBreadcrumb('log', args);
+    };
+
+    console.info = function(...args) {
+      originalInfo.apply(console, args);
+      postConsoleBreadcrumb('info', args);
+    };
+
+    console.error = function(...args) {
+      originalError.apply(console, args);
+      captureConsoleMessage('error', args);
+    };
+
+    console.warn = function(...args) {
+      originalWarn.apply(console, args);
+      captureConsoleMessage('warning', args);
+    };
+  }
+
+  function captureConsoleMessage(type, args) {
+    if (!isCollectorEnabled('console') || isOwnMessage(args)) {
+      return;
+    }
+
+    const message = args.map(arg => {
+      if (arg instanceof Error) return arg.message;
+      if (typeof arg === 'object') {
+        try { return JSON.stringify(arg, null, 2); }
+        catch { return String(arg); }
+      }
+      return String(arg);
+    }).join(' ');
+
+    let stack = '';
+    const errorArg = args.find(arg => arg instanceof Error);
+    if (errorArg) {
+      stack = errorArg.stack || '';
+    } else {
+      stack = new Error().stack || '';
+      const lines = stack.split('\n');
+      stack = lines.slice(3).join('\n');
+    }
+
+    const location = parseStackLocation(stack);
+    const category = categorizeConsoleMessage(message);
+
+    postErrorRecord({
+      type: type,
+      category: category,
+      message: message,
+      stack: stack,
+      filename: location.filename,
+      lineno: location.lineno,
+      colno: location.colno,
+      source: 'console'
+    });
+  }
+
+  function postConsoleBreadcrumb(level, args) {
+    // Checked before serializing so disabled capture costs nothing per call
+    if (!isCollectorEnabled('console') || isOwnMessage(args)) {
+      return;
+    }
+
+    const message = args.map(arg => {
+      if (typeof arg === 'string') return arg;
+      try { return JSON.stringify(arg); }
+      catch { return String(arg); }
+    }).join(' ');
+
+    postBreadcrumb('console', message.slice(0, CONFIG.MAX_BREADCRUMB_LENGTH), { level });
+  }
+
+  // Debug Buddy's own log lines
+  function isOwnMessage(args) {
+    return typeof args[0] === 'string' && args[0].startsWith(DEBUG_BUDDY_PREFIX);
+  }
+
+  function categorizeConsoleMessage(message) {
+    const lowerMessage = message.toLowerCase();
+
+    if (lowerMessage.includes('deprecat')) return 'deprecation';
+    if (lowerMessage.includes('csp') || lowerMessage.includes('content security policy')) return 'csp';
+    if (lowerMessage.includes('cors') || lowerMessage.includes('cross-origin')) return 'cors';
+    if (lowerMessage.includes('failed to fetch') || lowerMessage.includes('network')) return 'network';
+    if (lowerMessage.includes('syntaxerror')) return 'syntax';
+    if (lowerMessage.includes('typeerror')) return 'type';
+    if (lowerMessage.includes('referenceerror') || lowerMessage.includes('is not defined')) return 'reference';
+    if (lowerMessage.includes('permission') || lowerMessage.includes('denied')) return 'permission';
+
+    return 'general';
+  }
+
+  // ============================================
+  // JAVASCRIPT ERROR CAPTURE
+  // ============================================
+
+  function captureWindowErrors() {
+    window.addEventListener('error', (event) => {
+      if (!isCollectorEnabled('windowErrors')) return;
+      if (!event.filename || event.filename.startsWith('chrome-extension://')) {
+        return;
+      }
+
+      if (event.target && (event.target.tagName === 'SCRIPT' || event.target.tagName === 'LINK' || event.target.tagName === 'IMG')) {
+        return;
+      }
+
+      postErrorRecord({
+        type: 'exception',
+        category: 'javascript',
+        message: event.message,
+        filename: event.filename,
+        lineno: event.lineno,
+        colno: event.colno,
+        stack: event.error?.stack || '',
+        source: 'window.onerror'
+      });
+    }, true);
+  }
+
+  function capturePromiseRejections() {
+    window.addEventListener('unhandledrejection', (event) => {
+      if (!isCollectorEnabled('promises')) return;
+
+      let message = 'Unhandled Promise Rejection';
+      let stack = '';
+
+      if (event.reason instanceof Error) {
+        message = event.reason.message;
+        stack = event.reason.stack || '';
+      } else if (typeof event.reason === 'string') {
+        message = event.reason;
+      } else if (event.reason) {
+        try { message = JSON.stringify(event.reason); }
+        catch { message = String(event.reason); }
+      }
+
+      const location = parseStackLocation(stack);
+
+      postErrorRecord({
+        type: 'promise_rejection',
+        category: 'javascript',
+        message: message,
+        stack: stack,
+        filename: location.filename,
+        lineno: location.lineno,
+        colno: location.colno,
+        source: 'unhandledrejection'
+      });
+    });
+  }
+
+  // ============================================
+  // NETWORK MONITORING
+  // ============================================
+
+  function setupFetchMonitoring() {
+    const originalFetch = window.fetch;
+
+    window.fetch = async function(...args) {
+      const url = typeof args[0] === 'string' ? args[0] : args[0]?.url || 'unknown';
+      const method = args[1]?.method || 'GET';
+      const startTime = performance.now();
+
+      try {
+        const response = await originalFetch.apply(this, args);
+        const duration = performance.now() - startTime;
+
+        postBreadcrumb('fetch', `${method} ${url} → ${response.status}`, {
+          method, url, status: response.status, duration: Math.round(duration)
+        });
+
+        if (!isCollectorEnabled('fetch')) {
+          return response;
+        }
+
+        if (duration > getThreshold('slowRequestMs', CONFIG.SLOW_REQUEST_THRESHOLD)) {
+          postErrorRecord({
+            type: 'network_slow',
+            category: 'performance',
+            message: `Slow request: ${method} ${url} took ${Math.round(duration)}ms`,
+            filename: url,
+            lineno: 0,
+            colno: 0,
+            stack: '',
+            source: 'fetch',
+            metadata: { method, url, duration: Math.round(duration), status: response.status }
+          });
+        }
+
+        if (!response.ok) {
+          postNetworkRecord({
+            type: 'network_error',
+            category: 'network',
+            message: `HTTP ${response.status} ${response.statusText}: ${method} ${url}`,
+            filename: url,
+            lineno: 0,
+            colno: 0,
+            stack: new Error().stack || '',
+            source: 'fetch',
+            metadata: { method, url, status: response.status, statusText: response.statusText, duration: Math.round(duration) }
+          }, () => captureFetchExchange(args, response));
+        }
+
+        return response;
+      } catch (error) {
+        const duration = performance.now() - startTime;
+
+        postBreadcrumb('fetch', `${method} ${url} → failed (${error.message})`, {
+          method, url, status: 0, duration: Math.round(duration)
+        });
+
+        if (!isCollectorEnabled('fetch')) {
+          throw error;
+        }
+
+        postNetworkRecord({
+          type: 'network_error',
+          category: 'network',
+          message: `Fetch failed: ${error.message} - ${method} ${url}`,
+          filename: url,
+          lineno: 0,
+          colno: 0,
+          stack: error.stack || '',
+          source: 'fetch',
+          metadata: { method, url, error: error.message, duration: Math.round(duration) }
+        }, () => captureFetchExchange(args, null));
+
+        throw error;
+      }
+    };
+  }
+
+  function setupXHRMonitoring() {
+    const originalOpen = XMLHttpRequest.prototype.open;
+    const originalSend = XMLHttpRequest.prototype.send;
+
+    const originalSetRequestHeader = XMLHttpRequest.prototype.setRequestHeader;
+
+    XMLHttpRequest.prototype.open = function(method, url, ...rest) {
+      this._debugBuddyUrl = url;
+      this._debugBuddyMethod = method;
+      this._debugBuddyHeaders = {};
+      return originalOpen.apply(this, [method, url, ...rest]);
+    };
+
+    XMLHttpRequest.prototype.setRequestHeader = function(name, value) {
+      if (this._debugBuddyHeaders) {
+        this._debugBuddyHeaders[name] = value;
+      }
+      return originalSetRequestHeader.apply(this, [name, value]);
+    };
+
+    XMLHttpRequest.prototype.send = function(...args) {
+      const startTime = performance.now();
+      const requestBody = args[0];
+
+      this.addEventListener('error', () => {
+        postBreadcrumb('xhr', `${this._debugBuddyMethod} ${this._debugBuddyUrl} → failed`, {
+          method: this._debugBuddyMethod, url: this._debugBuddyUrl, status: 0
+        });
+
+        if (!isCollectorEnabled('xhr')) return;
+
+        postNetworkRecord({
+          type: 'network_error',
+          category: 'network',
+          message: `XHR failed: ${this._debugBuddyMethod} ${this._debugBuddyUrl}`,
+          filename: this._debugBuddyUrl,
+          lineno: 0,
+          colno: 0,
+          stack: new Error().stack || '',
+          source: 'xhr',
+          metadata: { method: this._debugBuddyMethod, url: this._debugBuddyUrl }
+        }, async () => captureXHRExchange(this, requestBody, false));
+      });
+
+      this.addEventListener('timeout', () => {
+        if (!isCollectorEnabled('xhr')) return;
+
+        postErrorRecord({
+          type: 'network_timeout',
+          category: 'network',
+          message: `XHR timeout: ${this._debugBuddyMethod} ${this._debugBuddyUrl}`,
+          filename: this._debugBuddyUrl,
+          lineno: 0,
+          colno: 0,
+          stack: '',
+          source: 'xhr',
+          metadata: { method: this._debugBuddyMethod, url: this._debugBuddyUrl, timeout: this.timeout }
+        });
+      });
+
+      this.addEventListener('load', () => {
+        const duration = performance.now() - startTime;
+
+        postBreadcrumb('xhr', `${this._debugBuddyMethod} ${this._debugBuddyUrl} → ${this.status}`, {
+          method: this._debugBuddyMethod, url: this._debugBuddyUrl, status: this.status, duration: Math.round(duration)
+        });
+
+        if (!isCollectorEnabled('xhr')) return;
+
+        if (duration > getThreshold('slowRequestMs', CONFIG.SLOW_REQUEST_THRESHOLD)) {
+          postErrorRecord({
+            type: 'network_slow',
+            category: 'performance',
+            message: `Slow XHR: ${this._debugBuddyMethod} ${this._debugBuddyUrl} took ${Math.round(duration)}ms`,
+            filename: this._debugBuddyUrl,
+            lineno: 0,
+            colno: 0,
+            stack: '',
+            source: 'xhr',
+            metadata: { method: this._debugBuddyMethod, url: this._debugBuddyUrl, duration: Math.round(duration), status: this.status }
+          });
+        }
+
+        if (this.status >= 400) {
+          postNetworkRecord({
+            type: 'network_error',
+            category: 'network',
+            message: `HTTP ${this.status}: ${this._debugBuddyMethod} ${this._debugBuddyUrl}`,
+            filename: this._debugBuddyUrl,
+            lineno: 0,
+            colno: 0,
+            stack: '',
+            source: 'xhr',
+            metadata: { method: this._debugBuddyMethod, url: this._debugBuddyUrl, status: this.status, statusText: this.statusText, duration: Math.round(duration) }
+          }, async () => captureXHRExchange(this, requestBody, true));
+        }
+      });
+
+      return originalSend.apply(this, args);
+    };
+  }
+
+  // ============================================
+  // NETWORK BODY CAPTURE (opt-in)
+  // ============================================
+
+  /**
+   * Post a failing-request record, first attaching request/response
+   * headers and bodies when body capture is enabled in settings
+   */
+  function postNetworkRecord(record, captureExchange) {
+    if (!captureOptions.networkBodies) {
+      postErrorRecord(record);
+      return;
+    }
+
+    captureExchange()
+      .then(network => postErrorRecord({ ...record, network }))
+      .catch(() => postErrorRecord(record));
+  }
+
+  async function captureFetchExchange(args, response) {
+    const [input, init = {}] = args;
+    const requestHeaders = init.headers || (input instanceof Request ? input.headers : null);
+
+    const exchange = {
+      request: {
+        headers: headersToObject(requestHeaders),
+        ...describeBody(init.body)
+      },
+      response: null
+    };
+
+    if (response) {
+      const contentType = response.headers.get('content-type') || '';
+      let body;
+      if (TEXT_CONTENT_TYPE.test(contentType) || !contentType) {
+        body = await withTimeout(response.clone().text(), CONFIG.BODY_READ_TIMEOUT_MS);
+      } else {
+        body = `[${contentType}, ${response.headers.get('content-length') || 'unknown'} bytes]`;
+      }
+
+      exchange.response = {
+        headers: headersToObject(response.headers),
+        contentType,
+        ...capBody(body)
+      };
+    }
+
+    return exchange;
+  }
+
+  async function captureXHRExchange(xhr, requestBody, hasResponse) {
+    const exchange = {
+      request: {
+        headers: headersToObject(xhr._debugBuddyHeaders),
+        ...describeBody(requestBody)
+      },
+      response: null
+    };
+
+    if (hasResponse) {
+      const contentType = xhr.getResponseHeader('content-type') || '';
+      let body;
+      if (xhr.responseType === '' || xhr.responseType === 'text') {
+        body = xhr.responseText;
+      } else if (xhr.responseType === 'json') {
+        body = JSON.stringify(xhr.response);
+      } else {
+        body = `[${xhr.responseType} response]`;
+      }
+
+      exchange.response = {
+        headers: headersToObject(xhr.getAllResponseHeaders()),
+        contentType,
+        ...capBody(body)
+      };
+    }
+
+    return exchange;
+  }
+
+  /**
+   * Normalize Headers, [name, value] pairs, plain objects or a raw
+   * getAllResponseHeaders() string, masking credentials
+   */
+  function headersToObject(headers) {
+    const result = {};
+    if (!headers) return result;
+
+    let entries;
+    if (typeof headers === 'string') {
+      entries = headers.trim().split(/[\r\n]+/).filter(Boolean).map(line => {
+        const index = line.indexOf(':');
+        return [line.slice(0, index), line.slice(index + 1).trim()];
+      });
+    } else if (headers instanceof Headers || Array.isArray(headers)) {
+      entries = [...headers];
+    } else {
+      entries = Object.entries(headers);
+    }
+
+    for (const [name, value] of entries) {
+      const key = String(name).toLowerCase();
+      result[key] = SENSITIVE_HEADERS.includes(key) ? '[REDACTED]' : String(value);
+    }
+    return result;
+  }
+
+  function describeBody(body) {
+    if (body === undefined || body === null) return { body: '' };
+    if (typeof body === 'string') return capBody(body);
+    if (body instanceof URLSearchParams) return capBody(body.toString());
+
+    if (body instanceof FormData) {
+      const fields = [...body.entries()].map(([key, value]) =>
+        typeof value === 'string' ? `${key}=${value}` : `${key}=[file ${value.name}, ${value.size} bytes]`
+      );
+      return capBody(fields.join('\n'));
+    }
+
+    if (body instanceof Blob) return { body: `[${body.type || 'blob'}, ${body.size} bytes]` };
+    if (body instanceof ArrayBuffer || ArrayBuffer.isView(body)) return { body: `[binary, ${body.byteLength} bytes]` };
+    return { body: `[${Object.prototype.toString.call(body).slice(8, -1)}]` };
+  }
+
+  function capBody(text) {
+    const limit = captureOptions.maxBodyBytes || CONFIG.MAX_BODY_BYTES;
+    const body = String(text ?? '');
+    return body.length > limit
+      ? { body: body.slice(0, limit), bodyTruncated: true }
+      : { body, bodyTruncated: false };
+  }
+
+  function withTimeout(promise, ms) {
+    return Promise.race([
+      promise,
+      new Promise(resolve => setTimeout(() => resolve('[body not read: timed out]'), ms))
+    ]);
+  }
+
+  // ============================================
+  // DOM/ELEMENTS ERROR CAPTURE
+  // ============================================
+
+  function setupDOMErrorCapture() {
+    const originalQuerySelector = document.querySelector;
+    const originalQuerySelectorAll = document.querySelectorAll;
+
+    document.querySelector = function(selector) {
+      try {
+        return originalQuerySelector.call(this, selector);
+      } catch (error) {
+        if (!isCollectorEnabled('dom')) throw error;
+
+        postErrorRecord({
+          type: 'dom_error',
+          category: 'dom',
+          message: `Invalid selector: "${selector}" - ${error.message}`,
+          filename: window.location.href,
+          lineno: 0,
+          colno: 0,
+          stack: error.stack || '',
+          source: 'querySelector'
+        });
+        throw error;
+      }
+    };
+
+    document.querySelectorAll = function(selector) {
+      try {
+        return originalQuerySelectorAll.call(this, selector);
+      } catch (error) {
+        if (!isCollectorEnabled('dom')) throw error;
+
+        postErrorRecord({
+          type: 'dom_error',
+          category: 'dom',
+          message: `Invalid selector: "${selector}" - ${error.message}`,
+          filename: window.location.href,
+          lineno: 0,
+          colno: 0,
+          stack: error.stack || '',
+          source: 'querySelectorAll'
+        });
+        throw error;
+      }
+    };
+  }
+
+  function setupMutationObserver() {
+    const dangerousMethods = ['insertBefore', 'appendChild', 'removeChild', 'replaceChild'];
+
+    dangerousMethods.forEach(methodName => {
+      const original = Node.prototype[methodName];
+      Node.prototype[methodName] = function(...args) {
+        try {
+          return original.apply(this, args);
+        } catch (error) {
+          if (!isCollectorEnabled('mutation')) throw error;
+
+          postErrorRecord({
+            type: 'dom_error',
+            category: 'dom',
+            message: `DOM manipulation error in ${methodName}: ${error.message}`,
+            filename: window.location.href,
+            lineno: 0,
+            colno: 0,
+            stack: error.stack || '',
+            source: `Node.${methodName}`
+          });
+          throw error;
+        }
+      };
+    });
+
+    const originalInnerHTMLDescriptor = Object.getOwnPropertyDescriptor(Element.prototype, 'innerHTML');
+    if (originalInnerHTMLDescriptor && originalInnerHTMLDescriptor.set) {
+      Object.defineProperty(Element.prototype, 'innerHTML', {
+        set: function(value) {
+          try {
+            return originalInnerHTMLDescriptor.set.call(this, value);
+          } catch (error) {
+            if (!isCollectorEnabled('mutation')) throw error;
+
+            postErrorRecord({
+              type: 'dom_error',
+              category: 'dom',
+              message: `innerHTML error: ${error.message}`,
+              filename: window.location.href,
+              lineno: 0,
+              colno: 0,
+              stack: error.stack || '',
+              source: 'innerHTML'
+            });
+            throw error;
+          }
+        },
+        get: originalInnerHTMLDescriptor.get,
+        configurable: true
+      });
+    }
+  }
+
+  // ============================================
+  // PERFORMANCE MONITORING
+  // ============================================
+
+  function setupPerformanceMonitoring() {
+    if (typeof PerformanceObserver !== 'undefined') {
+      // Long animation frames say which scripts blocked; long tasks don't
+      if (PerformanceObserver.supportedEntryTypes?.includes('long-animation-frame')) {
+        observeLongAnimationFrames();
+        return;
+      }
+
+      try {
+        const longTaskObserver = new PerformanceObserver((list) => {
+          if (!isCollectorEnabled('performance')) return;
+
+          for (const entry of list.getEntries()) {
+            if (entry.duration > getThreshold('longTaskMs', CONFIG.LONG_TASK_THRESHOLD)) {
+              postErrorRecord({
+                type: 'performance_longtask',
+                category: 'performance',
+                message: `Long task detected: ${Math.round(entry.duration)}ms blocking the main thread`,
+                filename: entry.attribution?.[0]?.containerSrc || window.location.href,
+                lineno: 0,
+                colno: 0,
+                stack: '',
+                source: 'PerformanceObserver',
+                metadata: { duration: Math.round(entry.duration), startTime: Math.round(entry.startTime), attribution: entry.attribution?.[0]?.name || 'unknown' }
+              });
+            }
+          }
+        });
+        longTaskObserver.observe({ entryTypes: ['longtask'] });
+      } catch (e) {}
+    }
+  }
+
+  // Running totals per script: `${sourceUrl}|${functionName}|${invoker}` -> { count, totalMs, lastReported }
+  const scriptStats = new Map();
+
+  function observeLongAnimationFrames() {
+    try {
+      new PerformanceObserver((list) => {
+        if (!isCollectorEnabled('performance')) return;
+
+        for (const entry of list.getEntries()) {
+          if (entry.duration > getThreshold('longTaskMs', CONFIG.LONG_TASK_THRESHOLD)) {
+            handleLongAnimationFrame(entry);
+          }
+        }
+      }).observe({ type: 'long-animation-frame', buffered: true });
+    } catch (e) {}
+  }
+
+  /**
+   * Blame a long frame on its longest script. Every script's time is added
+   * to its running totals, but the same culprit is reported at most once
+   * per LOAF_REPORT_INTERVAL_MS; the background groups the reports into one
+   * error whose latest totals show how often it blocks.
+   */
+  function handleLongAnimationFrame(entry) {
+    const scripts = [...(entry.scripts || [])]
+      .sort((a, b) => b.duration - a.duration)
+      .map(script => {
+        const sourceUrl = script.sourceURL || '';
+        const functionName = script.sourceFunctionName || '';
+        const invoker = script.invoker || '';
+        const stats = trackScript(`${sourceUrl}|${functionName}|${invoker}`, script.duration);
+
+        return {
+          sourceUrl,
+          functionName,
+          invoker,
+          invokerType: script.invokerType || '',
+          durationMs: Math.round(script.duration),
+          forcedStyleLayoutMs: Math.round(script.forcedStyleAndLayoutDuration || 0),
+          pauseMs: Math.round(script.pauseDuration || 0),
+          count: stats.count,
+          totalMs: Math.round(stats.totalMs),
+          stats
+        };
+      });
+
+    // Frames without scripts were spent rendering
+    const culprit = scripts[0];
+    const culpritStats = culprit ? culprit.stats : trackScript('render', entry.duration);
+    const now = Date.now();
+    if (now - culpritStats.lastReported < CONFIG.LOAF_REPORT_INTERVAL_MS) return;
+    culpritStats.lastReported = now;
+
+    const end = entry.startTime + entry.duration;
+    const blamed = culprit ? describeScript(culprit) : 'style, layout and paint';
+
+    postErrorRecord({
+      type: 'performance_longtask',
+      category: 'performance',
+      message: `Long animation frame blocked the main thread for ${Math.round(entry.duration)}ms in ${blamed}`,
+      filename: culprit?.sourceUrl || window.location.href,
+      lineno: 0,
+      colno: 0,
+      stack: '',
+      source: 'long-animation-frame',
+      metadata: {
+        duration: Math.round(entry.duration),
+        blockingDuration: Math.round(entry.blockingDuration || 0),
+        startTime: Math.round(entry.startTime),
+        renderMs: entry.renderStart ? Math.round(end - entry.renderStart) : 0,
+        styleAndLayoutMs: entry.styleAndLayoutStart ? Math.round(end - entry.styleAndLayoutStart) : 0,
+        culpritFrames: culpritStats.count,
+        culpritTotalMs: Math.round(culpritStats.totalMs)
+      },
+      scripts: scripts.slice(0, CONFIG.LOAF_MAX_SCRIPTS).map(({ stats, ...script }) => script)
+    });
+  }
+
+  function trackScript(key, duration) {
+    const stats = scriptStats.get(key) || { count: 0, totalMs: 0, lastReported: 0 };
+    stats.count++;
+    stats.totalMs += duration;
+
+    // Re-insert so the least recently seen scripts are dropped first
+    scriptStats.delete(key);
+    scriptStats.set(key, stats);
+    if (scriptStats.size > CONFIG.LOAF_MAX_TRACKED_SCRIPTS) {
+      scriptStats.delete(scriptStats.keys().next().value);
+    }
+    return stats;
+  }
+
+  // e.g. "handleScroll (app.js)" or "Window.requestAnimationFrame (inline script)"
+  function describeScript(script) {
+    const file = script.sourceUrl.split(/[?#]/)[0].split('/').pop() || 'inline script';
+    return `${script.functionName || script.invoker || 'anonymous'} (${file})`;
+  }
+
+  // ============================================
+  // WEB VITALS
+  // ============================================
+
+  // Threshold keys match THRESHOLDS in capture-settings.js
+  const VITALS = {
+    lcp: { name: 'Largest Contentful Paint', threshold: 'lcpMs', budget: CONFIG.LCP_BUDGET_MS },
+    inp: { name: 'Interaction to Next Paint', threshold: 'inpMs', budget: CONFIG.INP_BUDGET_MS },
+    cls: { name: 'Cumulative Layout Shift', threshold: 'layoutShiftScore', budget: CONFIG.LAYOUT_SHIFT_THRESHOLD },
+    fcp: { name: 'First Contentful Paint', threshold: 'fcpMs', budget: CONFIG.FCP_BUDGET_MS },
+    ttfb: { name: 'Time to First Byte', threshold: 'ttfbMs', budget: CONFIG.TTFB_BUDGET_MS }
+  };
+
+  const vitalsState = {
+    pageLoadId: `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`,
+    values: {},             // Latest value per metric
+    attribution: {},        // Flat primitive maps describing what caused each value
+    overBudget: new Set(),  // Metrics already reported as performance_* records
+    lcpFinal: false,
+    reportTimer: null
+  };
+
+  /**
+   * Core Web Vitals for the top-level page load, measured the way the
+   * web-vitals library does: CLS in session windows without shifts right
+   * after input, INP as the worst interaction (one per 50 ignored), LCP
+   * until the first input. Each metric over its budget is reported once as
+   * a performance_<metric> record; a summary of all of them goes to the
+   * side panel's vitals card.
+   */
+  function setupWebVitals() {
+    if (typeof PerformanceObserver === 'undefined' || window !== window.top) return;
+
+    const activationStart = performance.getEntriesByType?.('navigation')[0]?.activationStart || 0;
+
+    observeVitals('navigation', (entries) => {
+      const entry = entries[0];
+      if (!entry || entry.responseStart <= 0) return;
+
+      updateVital('ttfb', Math.max(entry.responseStart - activationStart, 0), {
+        dnsMs: Math.round(entry.domainLookupEnd - entry.domainLookupStart),
+        connectMs: Math.round(entry.connectEnd - entry.connectStart),
+        waitingMs: Math.round(entry.responseStart - entry.requestStart)
+      });
+    });
+
+    observeVitals('paint', (entries) => {
+      const entry = entries.find(e => e.name === 'first-contentful-paint');
+      if (entry) {
+        updateVital('fcp', Math.max(entry.startTime - activationStart, 0), {});
+      }
+    });
+
+    observeVitals('largest-contentful-paint', (entries) => {
+      const entry = entries[entries.length - 1];
+      if (!entry || vitalsState.lcpFinal) return;
+
+      updateVital('lcp', Math.max(entry.startTime - activationStart, 0), {
+        element: entry.element ? describeNode(entry.element) : '',
+        url: entry.url || '',
+        size: entry.size
+      }, false);
+    });
+
+    observeLayoutShifts();
+    observeInteractions();
+
+    const finalizeLcp = () => {
+      if (vitalsState.lcpFinal) return;
+      vitalsState.lcpFinal = true;
+      checkVitalBudget('lcp');
+    };
+    for (const type of ['keydown', 'pointerdown']) {
+      window.addEventListener(type, finalizeLcp, { capture: true, once: true });
+    }
+    // Capture can be enabled after the page already finished loading
+    if (document.readyState === 'complete') {
+      setTimeout(finalizeLcp, CONFIG.LCP_SETTLE_MS);
+    } else {
+      window.addEventListener('load', () => setTimeout(finalizeLcp, CONFIG.LCP_SETTLE_MS));
+    }
+
+    document.addEventListener('visibilitychange', () => {
+      if (document.visibilityState === 'hidden') {
+        finalizeLcp();
+        reportVitals();
+      }
+    }, true);
+  }
+
+  function observeVitals(type, callback, options = {}) {
+    try {
+      new PerformanceObserver((list) => callback(list.getEntries()))
+        .observe({ type, buffered: true, ...options });
+    } catch (e) {}
+  }
+
+  /**
+   * Shifts less than 1s apart form a session window of at most 5s;
+   * CLS is the largest window
+   */
+  function observeLayoutShifts() {
+    let session = null;
+    let largest = 0;
+
+    observeVitals('layout-shift', (entries) => {
+      for (const entry of entries) {
+        if (entry.hadRecentInput) continue;
+
+        if (session && entry.startTime - session.lastTime < 1000 && entry.startTime - session.firstTime < 5000) {
+          session.value += entry.value;
+          session.lastTime = entry.startTime;
+        } else {
+          session = { value: entry.value, firstTime: entry.startTime, lastTime: entry.startTime, largestShift: null };
+        }
+
+        if (!session.largestShift || entry.value > session.largestShift.value) {
+          session.largestShift = entry;
+        }
+
+        if (session.value > largest) {
+          largest = session.value;
+          const shift = session.largestShift;
+          const node = shift.sources?.find(source => source.node)?.node;
+          updateVital('cls', largest, {
+            largestShiftTarget: node ? describeNode(node) : '',
+            largestShiftValue: Number(shift.value.toFixed(4)),
+            largestShiftTime: Math.round(shift.startTime)
+          });
+        }
+      }
+    });
+  }
+
+  /**
+   * Event Timing entries grouped by interactionId. INP is the worst
+   * interaction, skipping one for every 50 so rare outliers on long
+   * sessions don't dominate. Only the 10 worst interactions are kept;
+   * the rest are just counted (interaction ids only ever increase).
+   */
+  function observeInteractions() {
+    let longest = [];  // Longest entry per interaction, worst first
+    let interactionCount = 0;
+    let lastInteractionId = 0;
+
+    const handleEntries = (entries) => {
+      for (const entry of entries) {
+        if (!entry.interactionId) continue;
+
+        if (entry.interactionId > lastInteractionId) {
+          lastInteractionId = entry.interactionId;
+          interactionCount++;
+        }
+
+        const existing = longest.find(e => e.interactionId === entry.interactionId);
+        if (existing && existing.duration >= entry.duration) continue;
+        if (!existing && longest.length >= 10 && entry.duration <= longest[longest.length - 1].duration) continue;
+
+        longest = [...longest.filter(e => e.interactionId !== entry.interactionId), entry]
+          .sort((a, b) => b.duration - a.duration)
+          .slice(0, 10);
+      }
+
+      const candidate = longest[Math.min(Math.floor(interactionCount / 50), longest.length - 1)];
+      if (!candidate || candidate.duration === vitalsState.values.inp) return;
+
+      updateVital('inp', candidate.duration, {
+        eventType: candidate.name,
+        target: candidate.target ? describeNode(candidate.target) : '',
+        inputDelayMs: Math.round(candidate.processingStart - candidate.startTime),
+        processingMs: Math.round(candidate.processingEnd - candidate.processingStart),
+        presentationDelayMs: Math.round(candidate.startTime + candidate.duration - candidate.processingEnd),
+        interactionCount
+      });
+    };
+
+    observeVitals('event', handleEntries, { durationThreshold: 40 });
+    observeVitals('first-input', handleEntries);
+  }
+
+  function updateVital(metric, value, attribution, checkBudget = true) {
+    vitalsState.values[metric] = metric === 'cls' ? Number(value.toFixed(4)) : Math.round(value);
+    vitalsState.attribution[metric] = attribution;
+
+    if (checkBudget) {
+      checkVitalBudget(metric);
+    }
+
+    clearTimeout(vitalsState.reportTimer);
+    vitalsState.reportTimer = setTimeout(reportVitals, CONFIG.VITALS_REPORT_DELAY_MS);
+  }
+
+  function getVitalBudget(metric) {
+    return getThreshold(VITALS[metric].threshold, VITALS[metric].budget);
+  }
+
+  function checkVitalBudget(metric) {
+    const value = vitalsState.values[metric];
+    const budget = getVitalBudget(metric);
+    if (!isCollectorEnabled('vitals') || vitalsState.overBudget.has(metric)) return;
+    if (value === undefined || value <= budget) return;
+
+    vitalsState.overBudget.add(metric);
+    const attribution = vitalsState.attribution[metric] || {};
+
+    postErrorRecord({
+      type: `performance_${metric}`,
+      category: 'performance',
+      message: `${VITALS[metric].name} of ${formatVital(metric, value)} exceeds the ${formatVital(metric, budget)} budget`,
+      filename: attribution.url || window.location.href,
+      lineno: 0,
+      colno: 0,
+      stack: '',
+      source: 'web-vitals',
+      metadata: { metric: metric.toUpperCase(), value, budget, ...attribution }
+    });
+  }
+
+  /**
+   * Summary for the vitals card, re-sent as metrics settle; the extension
+   * keeps the latest one per pageLoadId
+   */
+  function reportVitals() {
+    clearTimeout(vitalsState.reportTimer);
+    if (!isCollectorEnabled('vitals') || Object.keys(vitalsState.values).length === 0) return;
+
+    const budgets = Object.fromEntries(Object.keys(VITALS).map(metric => [metric, getVitalBudget(metric)]));
+    postToContent('VITALS', {
+      pageLoadId: vitalsState.pageLoadId,
+      values: { ...vitalsState.values },
+      attribution: { ...vitalsState.attribution },
+      budgets
+    });
+  }
+
+  function formatVital(metric, value) {
+    if (metric === 'cls') return value.toFixed(3);
+    return value >= 1000 ? `${(value / 1000).toFixed(1)}s` : `${Math.round(value)}ms`;
+  }
+
+  function setupResourceErrorCapture() {
+    window.addEventListener('error', (event) => {
+      if (!isCollectorEnabled('resources')) return;
+
+      const target = event.target;
+
+      if (target && target !== window) {
+        let resourceType = 'unknown';
+        let url = '';
+
+        if (target.tagName === 'SCRIPT') { resourceType = 'script'; url = target.src; }
+        else if (target.tagName === 'LINK') { resourceType = 'stylesheet'; url = target.href; }
+        else if (target.tagName === 'IMG') { resourceType = 'image'; url = target.src; }
+        else if (target.tagName === 'VIDEO' || target.tagName === 'AUDIO') { resourceType = 'media'; url = target.src || target.currentSrc; }
+        else if (target.tagName === 'IFRAME') { resourceType = 'iframe'; url = target.src; }
+
+        if (url) {
+          postErrorRecord({
+            type: 'resource_error',
+            category: 'network',
+            message: `Failed to load ${resourceType}: ${url}`,
+            filename: url,
+            lineno: 0,
+            colno: 0,
+            stack: '',
+            source: `${target.tagName.toLowerCase()}.onerror`,
+            metadata: { resourceType, url, tagName: target.tagName }
+          });
+        }
+      }
+    }, true);
+  }
+
+  // ============================================
+  // WORKER CAPTURE
+  // ============================================
+
+  /**
+   * Uncaught errors inside a worker surface in the page as an `error` event
+   * on its Worker object, and messages that can't be deserialized as
+   * `messageerror`. Service worker failures only show up as a rejected
+   * register() or an installing worker that turns redundant.
+   */
+  function setupWorkerCapture() {
+    for (const [name, context] of [['Worker', 'worker'], ['SharedWorker', 'shared_worker']]) {
+      const OriginalWorker = window[name];
+      if (typeof OriginalWorker !== 'function') continue;
+
+      // A subclass keeps `instanceof` and the prototype chain intact
+      const WrappedWorker = class extends OriginalWorker {
+        constructor(...args) {
+          super(...args);
+          watchWorker(this, name, context, resolveScriptUrl(args[0]));
+        }
+      };
+      Object.defineProperty(WrappedWorker, 'name', { value: name });
+      window[name] = WrappedWorker;
+    }
+
+    setupServiceWorkerCapture();
+  }
+
+  function watchWorker(worker, name, context, scriptUrl) {
+    const label = context === 'shared_worker' ? 'shared worker' : 'worker';
+
+    worker.addEventListener('error', (event) => {
+      if (!isCollectorEnabled('workers')) return;
+
+      postErrorRecord({
+        type: 'worker_error',
+        category: 'worker',
+        message: event.message || `Failed to load ${label}: ${scriptUrl}`,
+        filename: event.filename || scriptUrl,
+        lineno: event.lineno || 0,
+        colno: event.colno || 0,
+        stack: event.error?.stack || '',
+        source: `${name}.onerror`,
+        context,
+        metadata: { scriptUrl, event: 'error' }
+      });
+    });
+
+    // A SharedWorker talks through its port
+    const channel = context === 'shared_worker' ? worker.port : worker;
+    channel?.addEventListener('messageerror', () => {
+      if (!isCollectorEnabled('workers')) return;
+
+      postErrorRecord({
+        type: 'worker_error',
+        category: 'worker',
+        message: `Message from ${label} could not be deserialized: ${scriptUrl}`,
+        filename: scriptUrl,
+        lineno: 0,
+        colno: 0,
+        stack: '',
+        source: `${name}.onmessageerror`,
+        context,
+        metadata: { scriptUrl, event: 'messageerror' }
+      });
+    });
+  }
+
+  function setupServiceWorkerCapture() {
+    let container;
+    try {
+      container = navigator.serviceWorker;  // Throws in sandboxed frames
+    } catch (error) {
+      return;
+    }
+    if (!container) return;
+
+    const postServiceWorkerError = (message, scriptUrl, event, stack = '') => {
+      if (!isCollectorEnabled('workers')) return;
+
+      postErrorRecord({
+        type: 'worker_error',
+        category: 'worker',
+        message,
+        filename: scriptUrl,
+        lineno: 0,
+        colno: 0,
+        stack,
+        source: `serviceWorker.${event}`,
+        context: 'service_worker',
+        metadata: { scriptUrl, event }
+      });
+    };
+
+    const originalRegister = container.register;
+    container.register = function(scriptURL, options) {
+      const scriptUrl = resolveScriptUrl(scriptURL);
+      const promise = originalRegister.call(this, scriptURL, options);
+
+      promise.then((registration) => {
+        registration.addEventListener('updatefound', () => {
+          const installing = registration.installing;
+          if (!installing) return;
+
+          // Redundant before reaching "installed" means the install event failed
+          let installed = false;
+          installing.addEventListener('statechange', () => {
+            if (installing.state === 'installed') installed = true;
+            if (installing.state === 'redundant' && !installed) {
+              postServiceWorkerError(`Service worker installation failed: ${scriptUrl}`, scriptUrl, 'install');
+            }
+          });
+        });
+      }, (error) => {
+        postServiceWorkerError(
+          `Service worker registration failed: ${error?.message || String(error)}`,
+          scriptUrl,
+          'register',
+          error?.stack || ''
+        );
+      });
+
+      return promise;
+    };
+
+    container.addEventListener('messageerror', () => {
+      const scriptUrl = container.controller?.scriptURL || '';
+      postServiceWorkerError(`Message from service worker could not be deserialized: ${scriptUrl}`, scriptUrl, 'messageerror');
+    });
+  }
+
+  function resolveScriptUrl(scriptURL) {
+    try {
+      return new URL(String(scriptURL), window.location.href).href;
+    } catch (error) {
+      return String(scriptURL);
+    }
+  }
+
+  // ============================================
+  // CSP VIOLATION CAPTURE
+  // ============================================
+
+  function setupCSPCapture() {
+    document.addEventListener('securitypolicyviolation', (event) => {
+      if (!isCollectorEnabled('csp')) return;
+
+      postErrorRecord({
+        type: 'csp_violation',
+        category: 'csp',
+        message: `CSP violation: ${event.violatedDirective} - blocked ${event.blockedURI}`,
+        filename: event.sourceFile || window.location.href,
+        lineno: event.lineNumber || 0,
+        colno: event.columnNumber || 0,
+        stack: '',
+        source: 'securitypolicyviolation',
+        metadata: { violatedDirective: event.violatedDirective, effectiveDirective: event.effectiveDirective, blockedURI: event.blockedURI, originalPolicy: event.originalPolicy, disposition: event.disposition }
+      });
+    });
+  }
+
+  // ============================================
+  // REPORTING OBSERVER (Deprecations)
+  // ============================================
+
+  function setupReportingObserver() {
+    if (typeof ReportingObserver !== 'undefined') {
+      try {
+        const reportingObserver = new ReportingObserver((reports) => {
+          if (!isCollectorEnabled('reporting')) return;
+
+          for (const report of reports) {
+            const body = report.body;
+
+            if (report.type === 'deprecation') {
+              postErrorRecord({
+                type: 'deprecation',
+                category: 'deprecation',
+                message: `Deprecated: ${body.message || body.id}`,
+                filename: body.sourceFile || window.location.href,
+                lineno: body.lineNumber || 0,
+                colno: body.columnNumber || 0,
+                stack: '',
+                source: 'ReportingObserver',
+                metadata: { id: body.id, anticipatedRemoval: body.anticipatedRemoval }
+              });
+            } else if (report.type === 'intervention') {
+              postErrorRecord({
+                type: 'intervention',
+                category: 'intervention',
+                message: `Browser intervention: ${body.message || body.id}`,
+                filename: body.sourceFile || window.location.href,
+                lineno: body.lineNumber || 0,
+                colno: body.columnNumber || 0,
+                stack: '',
+                source: 'ReportingObserver',
+                metadata: { id: body.id }
+              });
+            }
+          }
+        }, { buffered: true });
+        reportingObserver.observe();
+      } catch (e) {}
+    }
+  }
+
+  // ============================================
+  // NAVIGATION BREADCRUMBS
+  // ============================================
+
+  /**
+   * SPA route changes go through history.pushState/replaceState, which the
+   * content script can't observe from its isolated world. popstate and
+   * hashchange are plain events, so content.js records those itself.
+   */
+  function setupHistoryBreadcrumbs() {
+    for (const method of ['pushState', 'replaceState']) {
+      const original = history[method];
+
+      history[method] = function(...args) {
+        const from = window.location.href;
+        const result = original.apply(this, args);
+        const to = window.location.href;
+
+        if (to !== from) {
+          postBreadcrumb('navigation', `${method}: ${to}`, { from, to });
+        }
+        return result;
+      };
+    }
+  }
+
+  // ============================================
+  // EARLY BUFFER
+  // ============================================
+
+  /**
+   * Hold a message posted before the domain check answered. The oldest
+   * entries are dropped once the buffer is full.
+   */
+  function bufferEarly(type, payload) {
+    earlyBuffer.push({ type, payload, collector: getEarlyCollector(type, payload) });
+    if (earlyBuffer.length > CONFIG.EARLY_BUFFER_SIZE) {
+      earlyBuffer.shift();
+    }
+  }
+
+  /**
+   * Replay buffered messages in order, skipping those from collectors the
+   * domain's capture settings turn off
+   */
+  function flushEarlyBuffer() {
+    const entries = earlyBuffer.splice(0);
+    for (const { type, payload, collector } of entries) {
+      if (!collector || isCollectorEnabled(collector)) {
+        postToContent(type, payload);
+      }
+    }
+  }
+
+  // Which early collector produced a message
+  function getEarlyCollector(type, payload) {
+    if (type === 'BREADCRUMB') {
+      return EARLY_COLLECTORS.includes(payload.type) ? payload.type : null;
+    }
+    if (payload.type === 'resource_error') return 'resources';
+
+    const sources = {
+      'window.onerror': 'windowErrors',
+      unhandledrejection: 'promises',
+      securitypolicyviolation: 'csp'
+    };
+    return sources[payload.source] || null;
+  }
+
+  // ============================================
+  // UTILITIES
+  // ============================================
+
+  /**
+   * Short selector for an element, e.g. "img#hero.banner"
+   */
+  function describeNode(node) {
+    if (!node || node.nodeType !== 1) return node?.nodeName?.toLowerCase() || '';
+
+    let description = node.tagName.toLowerCase();
+    if (node.id) description += `#${node.id}`;
+    const classes = [...(node.classList || [])].slice(0, 2);
+    if (classes.length > 0) description += `.${classes.join('.')}`;
+    return description.slice(0, 120);
+  }
+
+  function parseStackLocation(stack) {
+    if (!stack) return { filename: '', lineno: 0, colno: 0 };
+
+    const patterns = [
+      /at\s+(?:\S+\s+)?\(?(https?:\/\/[^:]+|[^:]+):(\d+):(\d+)\)?/,
+      /at\s+(https?:\/\/[^:]+|[^:]+):(\d+):(\d+)/,
+      /@(https?:\/\/[^:]+|[^:]+):(\d+):(\d+)/
+    ];
+
+    const lines = stack.split('\n');
+
+    for (const line of lines) {
+      for (const pattern of patterns) {
+        const match = line.match(pattern);
+        if (match) {
+          return { filename: match[1], lineno: parseInt(match[2], 10), colno: parseInt(match[3], 10) };
+        }
+      }
+    }
+
+    return { filename: '', lineno: 0, colno: 0 };
+  }
+
+  /**
+   * Hand a captured record to the content script. Rate limiting,
+   * enrichment and delivery to the background happen on that side.
+   * Buffered records keep their capture time.
+   */
+  function postErrorRecord(errorData) {
+    if (captureState === 'pending') {
+      bufferEarly('ERROR_CAPTURED', { ...errorData, timestamp: Date.now() });
+    } else if (captureState === 'on') {
+      postToContent('ERROR_CAPTURED', errorData);
+    }
+  }
+
+  /**
+   * Hand a breadcrumb (user action, navigation, log line or request) to the
+   * content script, which keeps the ring buffer attached to errors
+   */
+  function postBreadcrumb(type, message, data) {
+    const payload = { type, message, timestamp: Date.now(), data };
+
+    if (captureState === 'pending') {
+      bufferEarly('BREADCRUMB', payload);
+    } else if (captureState === 'on') {
+      postToContent('BREADCRUMB', payload);
+    }
+  }
+
+  function postToContent(type, payload) {
+    try {
+      window.postMessage({
+        source: PAGE_SOURCE,
+        type,
+        payload
+      }, window.location.origin === 'null' ? '*' : window.location.origin);
+    } catch (error) {}
+  }
+
+  // ============================================
+  // START
+  // ============================================
+
+  installCollectors();
+
+})();
@@ -0,0 +1,181 @@
+/**
+ * Debug Buddy - Issue Templates
+ *
+ * Builds bug tickets from error records in GitHub, GitLab or Jira markup.
+ * Shared by sidepanel.js ("File issue") and options.js (template editor),
+ * so it publishes a global instead of using exports.
+ *
+ * Templates use {{placeholders}} from PLACEHOLDERS; empty values and
+ * unknown placeholders render as "n/a", except {{breadcrumbs}}, which
+ * renders as an empty string when absent. The template editor rejects
+ * unknown placeholders before saving.
+ */
+
+(function() {
+  'use strict';
+
+  if (globalThis.DebugBuddyIssueTemplates) {
+    return;
+  }
+
+  // Keys filled by getPlaceholderValues
+  const PLACEHOLDERS = [
+    'summary', 'message', 'type', 'location', 'url', 'occurrences', 'firstSeen', 'lastSeen',
+    'stack', 'userAgent', 'viewport', 'breadcrumbs', 'severity', 'explanation', 'cause', 'fix', 'prevention'
+  ];
+
+  const MARKDOWN_BODY = `## Error
+{{message}}
+
+**Type:** {{type}}
+**Location:** \`{{location}}\`
+**Page:** {{url}}
+**Occurrences:** {{occurrences}} (first seen {{firstSeen}}, last seen {{lastSeen}})
+
+## Stack trace
+\`\`\`
+{{stack}}
+\`\`\`
+{{breadcrumbs}}
+## Environment
+- **User agent:** {{userAgent}}
+- **Viewport:** {{viewport}}
+
+## Analysis ({{severity}})
+{{explanation}}
+
+**Root cause:** {{cause}}
+
+### Suggested fix
+\`\`\`
+{{fix}}
+\`\`\`
+`;
+
+  const DEFAULT_TEMPLATES = {
+    github: {
+      label: 'GitHub',
+      title: '[{{type}}] {{summary}}',
+      body: MARKDOWN_BODY
+    },
+    gitlab: {
+      label: 'GitLab',
+      title: '[{{type}}] {{summary}}',
+      body: MARKDOWN_BODY
+    },
+    jira: {
+      label: 'Jira',
+      title: '[{{type}}] {{summary}}',
+      body: `h3. Error
+{noformat}{{message}}{noformat}
+
+*Type:* {{type}}
+*Location:* {{location}}
+*Page:* {{url}}
+*Occurrences:* {{occurrences}} (first seen {{firstSeen}}, last seen {{lastSeen}})
+
+h3. Stack trace
+{noformat}
+{{stack}}
+{noformat}
+{{breadcrumbs}}
+h3. Environment
+* *User agent:* {{userAgent}}
+* *Viewport:* {{viewport}}
+
+h3. Analysis ({{severity}})
+{{explanation}}
+
+*Root cause:* {{cause}}
+
+h4. Suggested fix
+{code}
+{{fix}}
+{code}
+`
+    }
+  };
+
+  /**
+   * Placeholder values for a record; breadcrumbs are pre-formatted per markup
+   */
+  function getPlaceholderValues(errorRecord, format) {
+    const location = errorRecord.originalLocation || errorRecord;
+    const analysis = errorRecord.status === 'completed' ? errorRecord.analysis || {} : {};
+    const viewport = errorRecord.viewport;
+    const position = location.lineno > 0 ? `:${location.lineno}:${location.colno || '?'}` : '';
+
+    return {
+      summary: (errorRecord.message || '').split('\n')[0].slice(0, 120),
+      message: errorRecord.message,
+      type: errorRecord.type,
+      location: location.filename ? `${location.filename}${position}` : '',
+      url: errorRecord.tabUrl || errorRecord.url,
+      occurrences: errorRecord.count || 1,
+      firstSeen: formatDate(errorRecord.firstSeen || errorRecord.timestamp),
+      lastSeen: formatDate(errorRecord.lastSeen || errorRecord.timestamp),
+      stack: errorRecord.symbolicatedStack || errorRecord.stack,
+      userAgent: errorRecord.userAgent,
+      viewport: viewport ? `${viewport.width}x${viewport.height}` : '',
+      breadcrumbs: formatBreadcrumbs(errorRecord.breadcrumbs, format),
+      severity: analysis.severity || 'not analyzed',
+      explanation: analysis.explanation,
+      cause: analysis.cause,
+      fix: analysis.fix,
+      prevention: analysis.prevention
+    };
+  }
+
+  function formatBreadcrumbs(breadcrumbs, format) {
+    if (!Array.isArray(breadcrumbs) || breadcrumbs.length === 0) {
+      return '';
+    }
+
+    const lines = breadcrumbs.map(crumb =>
+      `${formatDate(crumb.timestamp)} [${crumb.type}] ${crumb.message}`
+    ).join('\n');
+
+    return format === 'jira'
+      ? `\nh3. Recent activity\n{noformat}\n${lines}\n{noformat}\n`
+      : `\n## Recent activity\n\`\`\`\n${lines}\n\`\`\`\n`;
+  }
+
+  function formatDate(timestamp) {
+    return timestamp ? new Date(timestamp).toISOString() : '';
+  }
+
+  /**
+   * Fill stored templates (falling back to the defaults) for one record
+   */
+  function renderIssue(errorRecord, format, templates = {}) {
+    const template = { ...DEFAULT_TEMPLATES[format], ...(templates[format] || {}) };
+    const values = getPlaceholderValues(errorRecord, format);
+
+    const fill = (text) => text.replace(/\{\{(\w+)\}\}/g, (match, key) => {
+      const value = values[key];
+      if (key === 'breadcrumbs') return value;
+      return value === undefined || value === null || value === '' ? 'n/a' : String(value);
+    });
+
+    return {
+      title: fill(template.title).replace(/\s+/g, ' ').trim(),
+      body: fill(template.body)
+    };
+  }
+
+  /**
+   * Placeholders in a template that renderIssue doesn't know, e.g. typos
+   */
+  function findUnknownPlaceholders(text) {
+    const keys = [...(text || '').matchAll(/\{\{(\w+)\}\}/g)].map(match => match[1]);
+    return [...new Set(keys)].filter(key => !PLACEHOLDERS.includes(key));
+  }
+
+  globalThis.DebugBuddyIssueTemplates = {
+    PLACEHOLDERS,
+    DEFAULT_TEMPLATES,
+    renderIssue,
+    findUnknownPlaceholders
+  };
+
+})();
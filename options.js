@@ -0,0 +1,850 @@
+/**
+ * Debug Buddy - Options Page
+ *
+ * Loaded as an external script: MV3 extension pages do not run inline scripts.
+ */
+
+const elements = {
+  apiKey: document.getElementById('apiKey'),
+  domains: document.getElementById('domains'),
+  enabledToggle: document.getElementById('enabledToggle'),
+  toggleKey: document.getElementById('toggleKey'),
+  providerList: document.getElementById('providerList'),
+  addProviderBtn: document.getElementById('addProviderBtn'),
+  defaultProvider: document.getElementById('defaultProvider'),
+  providerRules: document.getElementById('providerRules'),
+  codeContextFrames: document.getElementById('codeContextFrames'),
+  codeContextLines: document.getElementById('codeContextLines'),
+  usageSummary: document.getElementById('usageSummary'),
+  resetUsageBtn: document.getElementById('resetUsageBtn'),
+  analysisCacheDays: document.getElementById('analysisCacheDays'),
+  clearAnalysisCacheBtn: document.getElementById('clearAnalysisCacheBtn'),
+  budgetDailyTokens: document.getElementById('budgetDailyTokens'),
+  budgetDailyCost: document.getElementById('budgetDailyCost'),
+  budgetMonthlyTokens: document.getElementById('budgetMonthlyTokens'),
+  budgetMonthlyCost: document.getElementById('budgetMonthlyCost'),
+  modelPricing: document.getElementById('modelPricing'),
+  analysisPolicy: document.getElementById('analysisPolicy'),
+  retentionDays: document.getElementById('retentionDays'),
+  retentionMaxCount: document.getElementById('retentionMaxCount'),
+  retentionMaxMb: document.getElementById('retentionMaxMb'),
+  issueFormat: document.getElementById('issueFormat'),
+  issueEndpoint: document.getElementById('issueEndpoint'),
+  issueAuthorization: document.getElementById('issueAuthorization'),
+  issueLabels: document.getElementById('issueLabels'),
+  templateFormat: document.getElementById('templateFormat'),
+  templateTitle: document.getElementById('templateTitle'),
+  templateBody: document.getElementById('templateBody'),
+  restoreTemplateBtn: document.getElementById('restoreTemplateBtn'),
+  redactionToggle: document.getElementById('redactionToggle'),
+  redactionDetectors: document.getElementById('redactionDetectors'),
+  redactionRules: document.getElementById('redactionRules'),
+  allowedQueryParams: document.getElementById('allowedQueryParams'),
+  ignoreRuleList: document.getElementById('ignoreRuleList'),
+  addIgnoreRuleBtn: document.getElementById('addIgnoreRuleBtn'),
+  captureCollectors: document.getElementById('captureCollectors'),
+  captureThresholds: document.getElementById('captureThresholds'),
+  captureOverrides: document.getElementById('captureOverrides'),
+  networkBodiesToggle: document.getElementById('networkBodiesToggle'),
+  deepCaptureToggle: document.getElementById('deepCaptureToggle'),
+  networkBodyMaxBytes: document.getElementById('networkBodyMaxBytes'),
+  saveBtn: document.getElementById('saveBtn'),
+  resetBtn: document.getElementById('resetBtn'),
+  statusMessage: document.getElementById('statusMessage')
+};
+
+const defaults = {
+  domains: ['localhost', '127.0.0.1', '*.local', 'staging.*', '*.staging.*'],
+  enabled: true,
+  providers: [
+    { id: 'anthropic', name: 'Anthropic', type: 'anthropic', baseUrl: '', model: '', maxTokens: 1024, apiKey: '' }
+  ],
+  defaultProviderId: 'anthropic',
+  providerRules: [],
+  codeContextFrames: 3,
+  codeContextLines: 5,
+  analysisCacheDays: 7,
+  retentionDays: 30,
+  retentionMaxCount: 5000,
+  retentionMaxMb: 50,
+  budgets: { dailyTokens: 0, dailyCost: 0, monthlyTokens: 0, monthlyCost: 0 },
+  modelPricing: [],
+  analysisPolicy: { severities: {}, categories: {} },
+  redaction: DebugBuddyRedaction.DEFAULT_SETTINGS,
+  captureSettings: DebugBuddyCaptureSettings.DEFAULT_SETTINGS,
+  ignoreRules: [],
+  captureNetworkBodies: false,
+  deepCapture: false,
+  networkBodyMaxBytes: 4096,
+  issueTracker: { format: 'github', endpoint: '', authorization: '', labels: [] },
+  issueTemplates: {}
+};
+
+// Template overrides being edited, by format
+let issueTemplates = {};
+
+// Auto-analysis policy groups (mirrors POLICY_CATEGORIES in background.js)
+const policyLevels = { error: 'Errors', warning: 'Warnings' };
+const policyCategories = {
+  javascript: 'JavaScript', network: 'Network', performance: 'Performance',
+  dom: 'DOM', csp: 'CSP', deprecation: 'Deprecations', other: 'Other'
+};
+
+// Placeholders shown for empty provider fields (mirrors PROVIDER_TYPES in background.js)
+const providerTypeHints = {
+  anthropic: { label: 'Anthropic Messages API', baseUrl: 'https://api.anthropic.com', model: 'claude-sonnet-4-20250514' },
+  openai: { label: 'OpenAI-compatible', baseUrl: 'http://localhost:8000/v1', model: 'gpt-4o-mini' },
+  ollama: { label: 'Ollama (local)', baseUrl: 'http://localhost:11434', model: 'llama3.1' }
+};
+
+// Load settings
+async function loadSettings() {
+  const storage = await chrome.storage.sync.get([
+    'apiKey', 'domains', 'enabled', 'providers', 'defaultProviderId', 'providerRules',
+    'codeContextFrames', 'codeContextLines', 'analysisCacheDays', 'retentionDays', 'retentionMaxCount', 'retentionMaxMb',
+    'budgets', 'modelPricing', 'analysisPolicy',
+    'redaction', 'captureSettings', 'captureNetworkBodies', 'networkBodyMaxBytes', 'deepCapture', 'issueTracker', 'issueTemplates'
+  ]);
+  // Ignore rules outgrow sync's per-key quota, so they stay local
+  const { ignoreRules } = await chrome.storage.local.get(['ignoreRules']);
+
+  if (storage.apiKey && storage.apiKey !== 'YOUR_API_KEY_HERE') {
+    elements.apiKey.value = storage.apiKey;
+  }
+
+  elements.domains.value = (storage.domains || defaults.domains).join('\n');
+
+  if (storage.enabled !== false) {
+    elements.enabledToggle.classList.add('active');
+  } else {
+    elements.enabledToggle.classList.remove('active');
+  }
+
+  const providers = storage.providers?.length ? storage.providers : defaults.providers;
+  elements.providerList.innerHTML = '';
+  providers.forEach(addProviderRow);
+  refreshDefaultProviderOptions(storage.defaultProviderId || defaults.defaultProviderId);
+
+  elements.providerRules.value = (storage.providerRules || defaults.providerRules)
+    .map(rule => `${rule.pattern} = ${rule.providerId}`)
+    .join('\n');
+
+  elements.codeContextFrames.value = storage.codeContextFrames ?? defaults.codeContextFrames;
+  elements.codeContextLines.value = storage.codeContextLines ?? defaults.codeContextLines;
+  elements.analysisCacheDays.value = storage.analysisCacheDays ?? defaults.analysisCacheDays;
+  elements.retentionDays.value = storage.retentionDays ?? defaults.retentionDays;
+  elements.retentionMaxCount.value = storage.retentionMaxCount ?? defaults.retentionMaxCount;
+  elements.retentionMaxMb.value = storage.retentionMaxMb ?? defaults.retentionMaxMb;
+
+  loadBudgetSettings(storage.budgets || defaults.budgets, storage.modelPricing || defaults.modelPricing);
+  loadAnalysisPolicy(storage.analysisPolicy || defaults.analysisPolicy);
+  loadUsage();
+
+  loadRedactionSettings(DebugBuddyRedaction.normalizeSettings(storage.redaction));
+  loadCaptureSettings(DebugBuddyCaptureSettings.normalizeSettings(storage.captureSettings));
+  elements.ignoreRuleList.innerHTML = '';
+  (ignoreRules || defaults.ignoreRules).forEach(addIgnoreRuleRow);
+  elements.networkBodiesToggle.classList.toggle('active', storage.captureNetworkBodies === true);
+  elements.networkBodyMaxBytes.value = storage.networkBodyMaxBytes ?? defaults.networkBodyMaxBytes;
+  elements.deepCaptureToggle.classList.toggle('active', storage.deepCapture === true);
+  loadIssueSettings(storage.issueTracker || defaults.issueTracker, storage.issueTemplates || defaults.issueTemplates);
+}
+
+// Save settings
+async function saveSettings() {
+  const apiKey = elements.apiKey.value.trim() || 'YOUR_API_KEY_HERE';
+  const domains = elements.domains.value
+    .split('\n')
+    .map(d => d.trim())
+    .filter(d => d.length > 0);
+  const enabled = elements.enabledToggle.classList.contains('active');
+
+  const providers = readProviderRows();
+  const providerIds = providers.map(p => p.id);
+
+  if (new Set(providerIds).size !== providerIds.length) {
+    showStatus('Each provider needs a unique ID.', 'error');
+    return;
+  }
+
+  let providerRules;
+  let redaction;
+  let captureSettings;
+  let ignoreRules;
+  let modelPricing;
+  let issueTracker;
+  let templateOverrides;
+  try {
+    providerRules = parseProviderRules(elements.providerRules.value, providerIds);
+    redaction = readRedactionSettings();
+    captureSettings = readCaptureSettings();
+    ignoreRules = readIgnoreRuleRows();
+    modelPricing = parseModelPricing(elements.modelPricing.value);
+    issueTracker = readIssueTracker();
+    templateOverrides = readIssueTemplates();
+  } catch (error) {
+    showStatus(error.message, 'error');
+    return;
+  }
+
+  try {
+    await chrome.storage.sync.set({
+      apiKey,
+      domains: domains.length > 0 ? domains : defaults.domains,
+      enabled,
+      providers,
+      defaultProviderId: elements.defaultProvider.value || providerIds[0],
+      providerRules,
+      codeContextFrames: readNumber(elements.codeContextFrames, defaults.codeContextFrames),
+      codeContextLines: readNumber(elements.codeContextLines, defaults.codeContextLines),
+      analysisCacheDays: readNumber(elements.analysisCacheDays, defaults.analysisCacheDays),
+      retentionDays: readNumber(elements.retentionDays, defaults.retentionDays),
+      retentionMaxCount: readNumber(elements.retentionMaxCount, defaults.retentionMaxCount),
+      retentionMaxMb: readNumber(elements.retentionMaxMb, defaults.retentionMaxMb),
+      budgets: readBudgets(),
+      modelPricing,
+      analysisPolicy: readAnalysisPolicy(),
+      redaction,
+      captureSettings,
+      captureNetworkBodies: elements.networkBodiesToggle.classList.contains('active'),
+      deepCapture: elements.deepCaptureToggle.classList.contains('active'),
+      networkBodyMaxBytes: readNumber(elements.networkBodyMaxBytes, defaults.networkBodyMaxBytes),
+      issueTracker,
+      issueTemplates: templateOverrides
+    });
+    await chrome.storage.local.set({ ignoreRules });
+
+    showStatus('Settings saved successfully!', 'success');
+    loadUsage();
+    elements.saveBtn.textContent = 'Saved!';
+    elements.saveBtn.classList.add('success');
+
+    setTimeout(() => {
+      elements.saveBtn.textContent = 'Save Settings';
+      elements.saveBtn.classList.remove('success');
+    }, 2000);
+  } catch (error) {
+    showStatus('Failed to save settings: ' + error.message, 'error');
+  }
+}
+
+// Reset to defaults
+async function resetSettings() {
+  if (!confirm('Are you sure you want to reset all settings to defaults?')) {
+    return;
+  }
+
+  elements.apiKey.value = '';
+  elements.domains.value = defaults.domains.join('\n');
+  elements.enabledToggle.classList.add('active');
+
+  await chrome.storage.sync.set({
+    apiKey: 'YOUR_API_KEY_HERE',
+    domains: defaults.domains,
+    enabled: true,
+    providers: defaults.providers,
+    defaultProviderId: defaults.defaultProviderId,
+    providerRules: defaults.providerRules,
+    codeContextFrames: defaults.codeContextFrames,
+    codeContextLines: defaults.codeContextLines,
+    analysisCacheDays: defaults.analysisCacheDays,
+    retentionDays: defaults.retentionDays,
+    retentionMaxCount: defaults.retentionMaxCount,
+    retentionMaxMb: defaults.retentionMaxMb,
+    budgets: defaults.budgets,
+    modelPricing: defaults.modelPricing,
+    analysisPolicy: defaults.analysisPolicy,
+    redaction: defaults.redaction,
+    captureSettings: defaults.captureSettings,
+    captureNetworkBodies: defaults.captureNetworkBodies,
+    deepCapture: defaults.deepCapture,
+    networkBodyMaxBytes: defaults.networkBodyMaxBytes,
+    issueTracker: defaults.issueTracker,
+    issueTemplates: defaults.issueTemplates
+  });
+  await chrome.storage.local.set({ ignoreRules: defaults.ignoreRules });
+
+  await loadSettings();
+  showStatus('Settings reset to defaults.', 'success');
+}
+
+// ============================================
+// AI PROVIDERS
+// ============================================
+
+function addProviderRow(provider) {
+  const row = document.createElement('div');
+  row.className = 'provider-row';
+  row.innerHTML = `
+    <div class="provider-grid">
+      <div><label>ID</label><input type="text" data-field="id"></div>
+      <div><label>Name</label><input type="text" data-field="name"></div>
+      <div><label>Type</label><select data-field="type">
+        ${Object.entries(providerTypeHints).map(([type, hint]) => `<option value="${type}">${hint.label}</option>`).join('')}
+      </select></div>
+      <div><label>Max tokens</label><input type="text" data-field="maxTokens" inputmode="numeric"></div>
+      <div class="wide"><label>Base URL</label><input type="text" data-field="baseUrl"></div>
+      <div><label>Model</label><input type="text" data-field="model"></div>
+      <div><label>API key</label><input type="password" data-field="apiKey" placeholder="optional"></div>
+    </div>
+    <button class="btn btn-secondary remove-provider">Remove</button>
+  `;
+
+  for (const input of row.querySelectorAll('[data-field]')) {
+    input.value = provider[input.dataset.field] ?? '';
+  }
+  if (!provider.type) {
+    row.querySelector('[data-field="type"]').value = 'openai';
+  }
+
+  const typeSelect = row.querySelector('[data-field="type"]');
+  const updatePlaceholders = () => {
+    const hint = providerTypeHints[typeSelect.value];
+    row.querySelector('[data-field="baseUrl"]').placeholder = hint.baseUrl;
+    row.querySelector('[data-field="model"]').placeholder = hint.model;
+  };
+  typeSelect.addEventListener('change', updatePlaceholders);
+  updatePlaceholders();
+
+  row.querySelector('[data-field="id"]').addEventListener('change', () => refreshDefaultProviderOptions());
+  row.querySelector('.remove-provider').addEventListener('click', () => {
+    if (elements.providerList.children.length <= 1) {
+      showStatus('At least one provider is required.', 'error');
+      return;
+    }
+    row.remove();
+    refreshDefaultProviderOptions();
+  });
+
+  elements.providerList.appendChild(row);
+}
+
+function readProviderRows() {
+  return [...elements.providerList.querySelectorAll('.provider-row')].map((row, index) => {
+    const provider = {};
+    for (const input of row.querySelectorAll('[data-field]')) {
+      provider[input.dataset.field] = input.value.trim();
+    }
+    provider.id = provider.id || `provider-${index + 1}`;
+    provider.maxTokens = parseInt(provider.maxTokens, 10) || 1024;
+    return provider;
+  });
+}
+
+function refreshDefaultProviderOptions(selectedId = elements.defaultProvider.value) {
+  const providers = readProviderRows();
+  elements.defaultProvider.innerHTML = '';
+  providers.forEach(p => {
+    elements.defaultProvider.appendChild(new Option(`${p.name || p.id} (${p.id})`, p.id));
+  });
+  if (providers.some(p => p.id === selectedId)) {
+    elements.defaultProvider.value = selectedId;
+  }
+}
+
+// Rules are written one per line as "domain-pattern = provider-id"
+function parseProviderRules(text, providerIds) {
+  return text
+    .split('\n')
+    .map(line => line.trim())
+    .filter(line => line.length > 0)
+    .map(line => {
+      const [pattern, providerId] = line.split('=').map(part => part.trim());
+      if (!pattern || !providerId) {
+        throw new Error(`Invalid provider rule: "${line}"`);
+      }
+      if (!providerIds.includes(providerId)) {
+        throw new Error(`Provider rule "${line}" references unknown provider "${providerId}"`);
+      }
+      return { pattern, providerId };
+    });
+}
+
+// ============================================
+// PRIVACY & REDACTION
+// ============================================
+
+function loadRedactionSettings(redaction) {
+  elements.redactionToggle.classList.toggle('active', redaction.enabled);
+
+  elements.redactionDetectors.innerHTML = '';
+  for (const [key, detector] of Object.entries(DebugBuddyRedaction.DETECTORS)) {
+    const label = document.createElement('label');
+    const checkbox = document.createElement('input');
+    checkbox.type = 'checkbox';
+    checkbox.dataset.detector = key;
+    checkbox.checked = redaction.detectors[key] !== false;
+    label.append(checkbox, detector.label);
+    elements.redactionDetectors.appendChild(label);
+  }
+
+  elements.redactionRules.value = redaction.customRules.join('\n');
+  elements.allowedQueryParams.value = redaction.allowedQueryParams.join(', ');
+}
+
+function readRedactionSettings() {
+  const detectors = {};
+  for (const checkbox of elements.redactionDetectors.querySelectorAll('[data-detector]')) {
+    detectors[checkbox.dataset.detector] = checkbox.checked;
+  }
+
+  const customRules = elements.redactionRules.value
+    .split('\n')
+    .map(line => line.trim())
+    .filter(line => line.length > 0);
+
+  // Reject bad patterns here rather than silently skipping them at capture time
+  for (const rule of customRules) {
+    const literal = rule.match(/^\/(.+)\/([a-z]*)$/);
+    try {
+      new RegExp(literal ? literal[1] : rule, literal ? literal[2] : '');
+    } catch (error) {
+      throw new Error(`Invalid redaction rule "${rule}": ${error.message}`);
+    }
+  }
+
+  return {
+    enabled: elements.redactionToggle.classList.contains('active'),
+    detectors,
+    customRules,
+    allowedQueryParams: elements.allowedQueryParams.value
+      .split(',')
+      .map(param => param.trim())
+      .filter(param => param.length > 0)
+  };
+}
+
+// ============================================
+// USAGE & BUDGETS
+// ============================================
+
+function loadBudgetSettings(budgets, modelPricing) {
+  elements.budgetDailyTokens.value = budgets.dailyTokens || 0;
+  elements.budgetDailyCost.value = budgets.dailyCost || 0;
+  elements.budgetMonthlyTokens.value = budgets.monthlyTokens || 0;
+  elements.budgetMonthlyCost.value = budgets.monthlyCost || 0;
+  elements.modelPricing.value = modelPricing
+    .map(entry => `${entry.model} = ${entry.input} / ${entry.output}`)
+    .join('\n');
+}
+
+function readBudgets() {
+  return {
+    dailyTokens: readNumber(elements.budgetDailyTokens, 0),
+    dailyCost: readDecimal(elements.budgetDailyCost, 0),
+    monthlyTokens: readNumber(elements.budgetMonthlyTokens, 0),
+    monthlyCost: readDecimal(elements.budgetMonthlyCost, 0)
+  };
+}
+
+// Prices are written one per line as "model-prefix = input / output"
+function parseModelPricing(text) {
+  return text
+    .split('\n')
+    .map(line => line.trim())
+    .filter(line => line.length > 0)
+    .map(line => {
+      const match = line.match(/^(\S+)\s*=\s*([\d.]+)\s*\/\s*([\d.]+)$/);
+      if (!match || !Number.isFinite(Number(match[2])) || !Number.isFinite(Number(match[3]))) {
+        throw new Error(`Invalid model price: "${line}"`);
+      }
+      return { model: match[1], input: Number(match[2]), output: Number(match[3]) };
+    });
+}
+
+function loadAnalysisPolicy(policy) {
+  const groups = [
+    ...Object.entries(policyLevels).map(([key, label]) => ['severities', key, label]),
+    ...Object.entries(policyCategories).map(([key, label]) => ['categories', key, label])
+  ];
+
+  elements.analysisPolicy.innerHTML = '';
+  for (const [group, key, label] of groups) {
+    const field = document.createElement('div');
+    field.innerHTML = `<label>${label}</label><select data-group="${group}" data-key="${key}">
+      <option value="auto">Analyze automatically</option>
+      <option value="manual">On demand</option>
+    </select>`;
+    field.querySelector('select').value = policy[group]?.[key] || 'auto';
+    elements.analysisPolicy.appendChild(field);
+  }
+}
+
+function readAnalysisPolicy() {
+  const policy = { severities: {}, categories: {} };
+  for (const select of elements.analysisPolicy.querySelectorAll('select')) {
+    policy[select.dataset.group][select.dataset.key] = select.value;
+  }
+  return policy;
+}
+
+async function loadUsage() {
+  const usage = await chrome.runtime.sendMessage({ type: 'GET_USAGE' }).catch(() => null);
+  if (!usage?.success) {
+    elements.usageSummary.innerHTML = '<p class="hint">Usage is unavailable.</p>';
+    return;
+  }
+
+  const { budgets } = usage;
+  const total = (label, totals, tokenLimit, costLimit) => {
+    const ratio = Math.max(
+      tokenLimit > 0 ? totals.tokens / tokenLimit : 0,
+      costLimit > 0 ? totals.cost / costLimit : 0
+    );
+    const bar = tokenLimit > 0 || costLimit > 0
+      ? `<div class="usage-bar${ratio >= 1 ? ' exceeded' : ''}"><span style="width: ${Math.min(100, ratio * 100)}%"></span></div>`
+      : '';
+    return `<div class="usage-total">
+      <div class="usage-detail">${label}</div>
+      <div class="usage-value">${formatTokens(totals.tokens)} tokens · ${formatCost(totals.cost)}</div>
+      <div class="usage-detail">${totals.requests} requests${tokenLimit > 0 ? ` · limit ${formatTokens(tokenLimit)}` : ''}${costLimit > 0 ? ` · limit ${formatCost(costLimit)}` : ''}</div>
+      ${bar}
+    </div>`;
+  };
+
+  const peak = Math.max(1, ...usage.days.map(day => day.tokens));
+  const chart = usage.days
+    .map(day => `<span style="height: ${(day.tokens / peak) * 100}%" title="${day.day}: ${formatTokens(day.tokens)} tokens, ${formatCost(day.cost)}"></span>`)
+    .join('');
+
+  const models = usage.models.length
+    ? `<table class="usage-models">
+        <tr><th>Model (this month)</th><th>Input</th><th>Output</th><th>Cost</th></tr>
+        ${usage.models.map(m => `<tr><td>${escapeHtml(m.model)}</td><td>${formatTokens(m.inputTokens)}</td><td>${formatTokens(m.outputTokens)}</td><td>${formatCost(m.cost)}</td></tr>`).join('')}
+      </table>`
+    : '';
+
+  elements.usageSummary.innerHTML = `
+    <div class="usage-totals">
+      ${total('Today', usage.today, budgets.dailyTokens, budgets.dailyCost)}
+      ${total('This month', usage.month, budgets.monthlyTokens, budgets.monthlyCost)}
+    </div>
+    <div class="usage-chart" title="Tokens per day, last 30 days">${chart}</div>
+    ${models}
+    ${usage.budget.exceeded ? `<p class="hint">${escapeHtml(usage.budget.reason)}: auto-analysis is paused.</p>` : ''}
+  `;
+}
+
+function formatTokens(count) {
+  return count >= 1000000 ? `${(count / 1000000).toFixed(1)}M` : count >= 1000 ? `${(count / 1000).toFixed(1)}k` : String(count);
+}
+
+function formatCost(cost) {
+  return `$${cost.toFixed(cost > 0 && cost < 1 ? 3 : 2)}`;
+}
+
+function escapeHtml(text) {
+  const div = document.createElement('div');
+  div.textContent = text;
+  return div.innerHTML;
+}
+
+// ============================================
+// IGNORE RULES
+// ============================================
+
+function addIgnoreRuleRow(rule) {
+  const row = document.createElement('div');
+  row.className = 'provider-row ignore-rule-row';
+  row.dataset.id = rule.id || `rule-${Date.now().toString(36)}-${elements.ignoreRuleList.children.length}`;
+  row.dataset.createdAt = rule.createdAt || Date.now();
+  row.innerHTML = `
+    <div class="provider-grid">
+      ${Object.entries(DebugBuddyIgnoreRules.RULE_FIELDS).map(([field, { label }]) => `
+        <div class="${field === 'message' || field === 'filename' ? 'wide' : ''}"><label>${label}</label><input type="text" data-field="${field}" spellcheck="false"></div>
+      `).join('')}
+    </div>
+    <button class="btn btn-secondary remove-rule">Remove</button>
+  `;
+
+  for (const input of row.querySelectorAll('[data-field]')) {
+    input.value = rule[input.dataset.field] ?? '';
+  }
+  row.querySelector('[data-field="type"]').placeholder = 'network_error';
+  row.querySelector('[data-field="filename"]').placeholder = 'https://cdn.example.com/*';
+  row.querySelector('.remove-rule').addEventListener('click', () => row.remove());
+
+  elements.ignoreRuleList.appendChild(row);
+}
+
+function readIgnoreRuleRows() {
+  return [...elements.ignoreRuleList.querySelectorAll('.ignore-rule-row')].map(row => {
+    const rule = { id: row.dataset.id, createdAt: Number(row.dataset.createdAt) };
+    for (const input of row.querySelectorAll('[data-field]')) {
+      rule[input.dataset.field] = input.value.trim();
+    }
+    DebugBuddyIgnoreRules.validateRule(rule);
+    return rule;
+  });
+}
+
+// ============================================
+// CAPTURE
+// ============================================
+
+function loadCaptureSettings(captureSettings) {
+  const { COLLECTORS, THRESHOLDS } = DebugBuddyCaptureSettings;
+
+  elements.captureCollectors.innerHTML = '';
+  for (const [key, collector] of Object.entries(COLLECTORS)) {
+    const label = document.createElement('label');
+    const checkbox = document.createElement('input');
+    checkbox.type = 'checkbox';
+    checkbox.dataset.collector = key;
+    checkbox.checked = captureSettings.collectors[key] !== false;
+    label.append(checkbox, collector.label);
+    elements.captureCollectors.appendChild(label);
+  }
+
+  elements.captureThresholds.innerHTML = '';
+  for (const [key, threshold] of Object.entries(THRESHOLDS)) {
+    const field = document.createElement('div');
+    const label = document.createElement('label');
+    const input = document.createElement('input');
+    label.textContent = threshold.label;
+    label.htmlFor = `threshold-${key}`;
+    input.type = 'text';
+    input.id = `threshold-${key}`;
+    input.inputMode = 'decimal';
+    input.dataset.threshold = key;
+    input.placeholder = String(threshold.default);
+    input.value = captureSettings.thresholds[key];
+    field.append(label, input);
+    elements.captureThresholds.appendChild(field);
+  }
+
+  elements.captureOverrides.value = captureSettings.overrides.map(override => {
+    const values = [
+      ...Object.entries(override.collectors || {}).map(([key, enabled]) => `${key}=${enabled ? 'on' : 'off'}`),
+      ...Object.entries(override.thresholds || {}).map(([key, value]) => `${key}=${value}`)
+    ];
+    return `${override.pattern}: ${values.join(', ')}`;
+  }).join('\n');
+}
+
+function readCaptureSettings() {
+  const { THRESHOLDS } = DebugBuddyCaptureSettings;
+
+  const collectors = {};
+  for (const checkbox of elements.captureCollectors.querySelectorAll('[data-collector]')) {
+    collectors[checkbox.dataset.collector] = checkbox.checked;
+  }
+
+  const thresholds = {};
+  for (const input of elements.captureThresholds.querySelectorAll('[data-threshold]')) {
+    const key = input.dataset.threshold;
+    thresholds[key] = input.value.trim() === ''
+      ? THRESHOLDS[key].default
+      : parseThreshold(input.value, THRESHOLDS[key].label);
+  }
+
+  return {
+    collectors,
+    thresholds,
+    overrides: parseCaptureOverrides(elements.captureOverrides.value)
+  };
+}
+
+// "pattern: fetch=off, slowRequestMs=2000" -> { pattern, collectors, thresholds }
+function parseCaptureOverrides(text) {
+  const { COLLECTORS, THRESHOLDS } = DebugBuddyCaptureSettings;
+
+  return text
+    .split('\n')
+    .map(line => line.trim())
+    .filter(line => line.length > 0)
+    .map(line => {
+      const separator = line.indexOf(':');
+      const pattern = line.slice(0, separator).trim();
+      if (separator < 0 || !pattern) {
+        throw new Error(`Invalid capture override: "${line}"`);
+      }
+
+      const override = { pattern, collectors: {}, thresholds: {} };
+      for (const assignment of line.slice(separator + 1).split(',').map(part => part.trim()).filter(Boolean)) {
+        const [key, value = ''] = assignment.split('=').map(part => part.trim());
+        if (key in COLLECTORS && ['on', 'off'].includes(value)) {
+          override.collectors[key] = value === 'on';
+        } else if (key in THRESHOLDS) {
+          override.thresholds[key] = parseThreshold(value, `${key} in "${line}"`);
+        } else {
+          throw new Error(`Unknown capture setting "${assignment}" in "${line}"`);
+        }
+      }
+      return override;
+    });
+}
+
+function parseThreshold(value, name) {
+  const number = Number(value);
+  if (value.trim() === '' || !Number.isFinite(number) || number < 0) {
+    throw new Error(`${name} must be a non-negative number`);
+  }
+  return number;
+}
+
+// ============================================
+// ISSUE TRACKER
+// ============================================
+
+function loadIssueSettings(issueTracker, templates) {
+  const formats = Object.entries(DebugBuddyIssueTemplates.DEFAULT_TEMPLATES);
+  for (const select of [elements.issueFormat, elements.templateFormat]) {
+    select.innerHTML = '';
+    formats.forEach(([format, template]) => select.appendChild(new Option(template.label, format)));
+  }
+
+  elements.issueFormat.value = issueTracker.format || defaults.issueTracker.format;
+  elements.issueEndpoint.value = issueTracker.endpoint || '';
+  elements.issueAuthorization.value = issueTracker.authorization || '';
+  elements.issueLabels.value = (issueTracker.labels || []).join(', ');
+
+  issueTemplates = structuredClone(templates);
+  elements.templateFormat.value = elements.issueFormat.value;
+  showTemplate(elements.templateFormat.value);
+}
+
+function showTemplate(format) {
+  const template = { ...DebugBuddyIssueTemplates.DEFAULT_TEMPLATES[format], ...(issueTemplates[format] || {}) };
+  elements.templateTitle.value = template.title;
+  elements.templateBody.value = template.body;
+  elements.templateFormat.dataset.current = format;
+}
+
+// Keep the editor's contents when switching to another format
+function stashTemplate() {
+  const format = elements.templateFormat.dataset.current;
+  if (format) {
+    issueTemplates[format] = { title: elements.templateTitle.value, body: elements.templateBody.value };
+  }
+}
+
+function readIssueTracker() {
+  const endpoint = elements.issueEndpoint.value.trim();
+  if (endpoint && !/^https?:\/\//.test(endpoint)) {
+    throw new Error('Issue tracker endpoint must be an http(s) URL');
+  }
+
+  return {
+    format: elements.issueFormat.value,
+    endpoint,
+    authorization: elements.issueAuthorization.value.trim(),
+    labels: elements.issueLabels.value.split(',').map(l => l.trim()).filter(l => l.length > 0)
+  };
+}
+
+// Only store templates that differ from the built-in defaults
+function readIssueTemplates() {
+  stashTemplate();
+
+  const overrides = {};
+  for (const [format, template] of Object.entries(issueTemplates)) {
+    const defaultTemplate = DebugBuddyIssueTemplates.DEFAULT_TEMPLATES[format];
+    if (!defaultTemplate) continue;
+
+    const unknown = DebugBuddyIssueTemplates.findUnknownPlaceholders(`${template.title}\n${template.body}`);
+    if (unknown.length > 0) {
+      throw new Error(`Unknown placeholder${unknown.length === 1 ? '' : 's'} in the ${defaultTemplate.label} template: ${unknown.map(key => `{{${key}}}`).join(', ')}`);
+    }
+    if (template.title !== defaultTemplate.title || template.body !== defaultTemplate.body) {
+      overrides[format] = { title: template.title, body: template.body };
+    }
+  }
+  return overrides;
+}
+
+// Parse a non-negative decimal field (dollar amounts), falling back to a default
+function readDecimal(input, fallback) {
+  const value = parseFloat(input.value);
+  return Number.isFinite(value) && value >= 0 ? value : fallback;
+}
+
+// Parse a non-negative integer field, falling back to a default
+function readNumber(input, fallback) {
+  const value = parseInt(input.value, 10);
+  return Number.isFinite(value) && value >= 0 ? value : fallback;
+}
+
+// Show status message
+function showStatus(message, type) {
+  elements.statusMessage.textContent = message;
+  elements.statusMessage.className = `status ${type}`;
+
+  setTimeout(() => {
+    elements.statusMessage.classList.add('hidden');
+  }, 3000);
+}
+
+// Event listeners
+elements.toggleKey.addEventListener('click', () => {
+  if (elements.apiKey.type === 'password') {
+    elements.apiKey.type = 'text';
+    elements.toggleKey.textContent = 'Hide';
+  } else {
+    elements.apiKey.type = 'password';
+    elements.toggleKey.textContent = 'Show';
+  }
+});
+
+elements.enabledToggle.addEventListener('click', () => {
+  elements.enabledToggle.classList.toggle('active');
+});
+
+elements.redactionToggle.addEventListener('click', () => {
+  elements.redactionToggle.classList.toggle('active');
+});
+
+elements.resetUsageBtn.addEventListener('click', async () => {
+  if (!confirm('Reset all recorded token usage?')) return;
+  await chrome.runtime.sendMessage({ type: 'RESET_USAGE' });
+  loadUsage();
+});
+
+elements.clearAnalysisCacheBtn.addEventListener('click', async () => {
+  if (!confirm('Forget all cached analyses?')) return;
+  await chrome.runtime.sendMessage({ type: 'CLEAR_ANALYSIS_CACHE' });
+  showStatus('Analysis cache cleared.', 'success');
+});
+
+elements.addIgnoreRuleBtn.addEventListener('click', () => {
+  addIgnoreRuleRow({});
+});
+
+elements.networkBodiesToggle.addEventListener('click', () => {
+  elements.networkBodiesToggle.classList.toggle('active');
+});
+
+// The debugger permission is optional and has to be requested from a click
+elements.deepCaptureToggle.addEventListener('click', async () => {
+  if (!elements.deepCaptureToggle.classList.contains('active')) {
+    const granted = await chrome.permissions.request({ permissions: ['debugger'] });
+    if (!granted) {
+      showStatus('Deep capture needs the debugger permission.', 'error');
+      return;
+    }
+  }
+  elements.deepCaptureToggle.classList.toggle('active');
+});
+
+elements.templateFormat.addEventListener('change', () => {
+  stashTemplate();
+  showTemplate(elements.templateFormat.value);
+});
+
+elements.restoreTemplateBtn.addEventListener('click', () => {
+  const format = elements.templateFormat.value;
+  delete issueTemplates[format];
+  showTemplate(format);
+});
+
+elements.addProviderBtn.addEventListener('click', () => {
+  const id = `provider-${elements.providerList.children.length + 1}`;
+  addProviderRow({ id, name: '', type: 'openai', maxTokens: 1024 });
+  refreshDefaultProviderOptions();
+});
+
+elements.saveBtn.addEventListener('click', saveSettings);
+elements.resetBtn.addEventListener('click', resetSettings);
+
+// Initialize
+loadSettings();
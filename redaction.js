@@ -0,0 +1,196 @@
+/**
+ * Debug Buddy - Redaction
+ *
+ * Scrubs PII and secrets from captured data. Shared by:
+ * 1. content.js - scrubs records before they leave the page
+ * 2. background.js - scrubs the final prompt before it leaves the browser
+ *
+ * Loaded as a plain script in both places (a content script and a
+ * side-effect import in the service worker), so it publishes a global
+ * instead of using exports.
+ */
+
+(function() {
+  'use strict';
+
+  if (globalThis.DebugBuddyRedaction) {
+    return;
+  }
+
+  // Built-in detectors, each individually toggleable in settings
+  const DETECTORS = {
+    email: {
+      label: 'Email addresses',
+      pattern: /[A-Z0-9._%+-]+@[A-Z0-9.-]+\.[A-Z]{2,}/gi,
+      replacement: '[EMAIL]'
+    },
+    jwt: {
+      label: 'JSON Web Tokens',
+      pattern: /\beyJ[A-Za-z0-9_-]{5,}\.[A-Za-z0-9_-]{5,}\.[A-Za-z0-9_-]{5,}/g,
+      replacement: '[JWT]'
+    },
+    bearer: {
+      label: 'Bearer / Basic credentials',
+      pattern: /\b(Bearer|Basic)\s+[A-Za-z0-9._~+/=-]{8,}/gi,
+      replacement: '$1 [TOKEN]'
+    },
+    apiKey: {
+      label: 'API keys and secrets',
+      pattern: /\b(?:sk|pk|rk)[-_](?:live|test|ant|proj)?[-_]?[A-Za-z0-9_-]{16,}|\bAKIA[0-9A-Z]{16}\b|\bgh[pousr]_[A-Za-z0-9]{36,}\b|\bAIza[0-9A-Za-z_-]{35}\b|\bxox[abprs]-[A-Za-z0-9-]{10,}/g,
+      replacement: '[API_KEY]'
+    },
+    secretAssignment: {
+      label: 'password=, token=, api_key= values',
+      pattern: /((?:api[_-]?key|secret|token|password|passwd|pwd|auth|session[_-]?id)["']?\s*[:=]\s*["']?)[^"'\s&,;}]+/gi,
+      replacement: '$1[REDACTED]'
+    },
+    creditCard: {
+      label: 'Credit card numbers',
+      pattern: /\b(?:\d[ -]?){12,18}\d\b/g,
+      replacement: (match) => passesLuhn(match.replace(/\D/g, '')) ? '[CARD]' : match
+    }
+  };
+
+  const DEFAULT_SETTINGS = {
+    enabled: true,
+    detectors: Object.fromEntries(Object.keys(DETECTORS).map(key => [key, true])),
+    customRules: [],        // Regex strings, "pattern" or "/pattern/flags"
+    allowedQueryParams: []  // Query params kept verbatim; all others are masked
+  };
+
+  const URL_PATTERN = /\bhttps?:\/\/[^\s"'<>`]+/g;
+
+  /**
+   * Fill in defaults for stored settings
+   */
+  function normalizeSettings(settings) {
+    return {
+      ...DEFAULT_SETTINGS,
+      ...(settings || {}),
+      detectors: { ...DEFAULT_SETTINGS.detectors, ...(settings?.detectors || {}) }
+    };
+  }
+
+  /**
+   * Compile user rules once; invalid patterns are skipped
+   */
+  function compileCustomRules(customRules) {
+    return (customRules || []).map(rule => {
+      try {
+        const literal = rule.match(/^\/(.+)\/([a-z]*)$/);
+        const pattern = literal ? literal[1] : rule;
+        const flags = literal ? literal[2] : '';
+        return new RegExp(pattern, flags.includes('g') ? flags : `${flags}g`);
+      } catch (e) {
+        return null;
+      }
+    }).filter(Boolean);
+  }
+
+  /**
+   * Build a text scrubber for the given settings
+   */
+  function createRedactor(settings) {
+    const resolved = normalizeSettings(settings);
+    const customRules = compileCustomRules(resolved.customRules);
+    const allowedParams = new Set(resolved.allowedQueryParams.map(p => p.toLowerCase()));
+
+    return function redactText(text) {
+      if (!resolved.enabled || typeof text !== 'string' || text.length === 0) {
+        return text;
+      }
+
+      let result = text.replace(URL_PATTERN, url => scrubUrl(url, allowedParams));
+
+      for (const [key, detector] of Object.entries(DETECTORS)) {
+        if (resolved.detectors[key]) {
+          result = result.replace(detector.pattern, detector.replacement);
+        }
+      }
+
+      for (const rule of customRules) {
+        result = result.replace(rule, '[REDACTED]');
+      }
+
+      return result;
+    };
+  }
+
+  /**
+   * Mask every query (and hash) parameter value that isn't allowlisted
+   */
+  function scrubUrl(url, allowedParams) {
+    let parsed;
+    try {
+      parsed = new URL(url);
+    } catch (e) {
+      return url;
+    }
+
+    let changed = false;
+    for (const key of [...parsed.searchParams.keys()]) {
+      if (!allowedParams.has(key.toLowerCase()) && parsed.searchParams.get(key) !== '') {
+        parsed.searchParams.set(key, 'REDACTED');
+        changed = true;
+      }
+    }
+
+    // OAuth-style fragments (#access_token=...) carry secrets too
+    if (parsed.hash.includes('=')) {
+      const hashParams = new URLSearchParams(parsed.hash.slice(1));
+      for (const key of [...hashParams.keys()]) {
+        if (!allowedParams.has(key.toLowerCase())) {
+          hashParams.set(key, 'REDACTED');
+          changed = true;
+        }
+      }
+      parsed.hash = hashParams.toString();
+    }
+
+    return changed ? parsed.toString() : url;
+  }
+
+  /**
+   * Deep-copy a value, scrubbing every string inside it
+   */
+  function redactValue(value, redactText) {
+    if (typeof value === 'string') {
+      return redactText(value);
+    }
+    if (Array.isArray(value)) {
+      return value.map(item => redactValue(item, redactText));
+    }
+    if (value && typeof value === 'object') {
+      const copy = {};
+      for (const [key, item] of Object.entries(value)) {
+        copy[key] = redactValue(item, redactText);
+      }
+      return copy;
+    }
+    return value;
+  }
+
+  function passesLuhn(digits) {
+    if (digits.length < 13 || digits.length > 19) return false;
+
+    let sum = 0;
+    for (let i = 0; i < digits.length; i++) {
+      let digit = parseInt(digits[digits.length - 1 - i], 10);
+      if (i % 2 === 1) {
+        digit *= 2;
+        if (digit > 9) digit -= 9;
+      }
+      sum += digit;
+    }
+    return sum % 10 === 0;
+  }
+
+  globalThis.DebugBuddyRedaction = {
+    DETECTORS,
+    DEFAULT_SETTINGS,
+    normalizeSettings,
+    createRedactor,
+    redactValue
+  };
+
+})();
@@ -5,7 +5,7 @@
  * 1. Displaying captured errors with new categories
  * 2. Showing AI analysis for each error
  * 3. Copy-to-clipboard functionality for fixes
- * 4. Settings management (API key, domains)
+ * 4. Settings management (API key, domains, source maps)
  * 5. Real-time updates from background script
  */
 
@@ -14,11 +14,34 @@
 // ============================================
 
 const state = {
-  errors: [],
+  errors: [],        // Loaded pages of errors, most recently seen first
+  nextCursor: null,  // Cursor for the next GET_ERRORS page, null when exhausted
+  pageRequest: null, // In-flight GET_ERRORS request
+  selectedIds: new Set(), // Cards picked with Ctrl/⌘-click for export
+  imported: null,    // { fileName } while reviewing an imported bundle
   currentFilter: 'all',
-  selectedErrorId: null
+  search: {          // Search bar query plus the filter drop-downs
+    query: '',
+    domain: '',
+    timeRange: '',
+    analysis: '',
+    currentTabOnly: false,
+    showMuted: false,  // Errors matching an ignore rule are hidden by default
+    groupBy: ''        // '', 'context' or 'frame'
+  },
+  parsedQuery: null, // Cached parseSearchQuery(state.search.query)
+  activeTab: null,   // { id, url } of the tab the panel is attached to
+  presets: [],       // Saved filter presets: { name, search, filter }
+  selectedErrorId: null,
+  streamingText: {}, // Partial analysis text by error ID while streaming
+  followUpText: {},  // Partial follow-up replies by error ID while streaming
+  queue: null,       // Latest analysis queue status from the background worker
+  vitals: null       // { key, page } Web Vitals history for the active tab's page
 };
 
+const PAGE_SIZE = 50;
+const STATS_REFRESH_MS = 300;
+
 const elements = {
   errorList: document.getElementById('errorList'),
   emptyState: document.getElementById('emptyState'),
@@ -26,6 +49,9 @@ const elements = {
   networkCount: document.getElementById('networkCount'),
   perfCount: document.getElementById('perfCount'),
   analyzedCount: document.getElementById('analyzedCount'),
+  mutedCount: document.getElementById('mutedCount'),
+  queueStatus: document.getElementById('queueStatus'),
+  vitalsCard: document.getElementById('vitalsCard'),
   apiKeyWarning: document.getElementById('apiKeyWarning'),
   settingsPanel: document.getElementById('settingsPanel'),
   errorModal: document.getElementById('errorModal'),
@@ -41,7 +67,28 @@ const elements = {
   saveSettings: document.getElementById('saveSettings'),
   toggleApiKey: document.getElementById('toggleApiKey'),
   configureApiKey: document.getElementById('configureApiKey'),
-  filterTabs: document.querySelectorAll('.filter-tab')
+  sourceMapInput: document.getElementById('sourceMapInput'),
+  sourceMapList: document.getElementById('sourceMapList'),
+  filterTabs: document.querySelectorAll('.filter-tab'),
+  searchInput: document.getElementById('searchInput'),
+  toggleFilters: document.getElementById('toggleFilters'),
+  searchFilters: document.getElementById('searchFilters'),
+  domainFilter: document.getElementById('domainFilter'),
+  timeFilter: document.getElementById('timeFilter'),
+  analysisFilter: document.getElementById('analysisFilter'),
+  groupBySelect: document.getElementById('groupBySelect'),
+  currentTabFilter: document.getElementById('currentTabFilter'),
+  showMutedFilter: document.getElementById('showMutedFilter'),
+  presetSelect: document.getElementById('presetSelect'),
+  savePresetBtn: document.getElementById('savePresetBtn'),
+  deletePresetBtn: document.getElementById('deletePresetBtn'),
+  exportBtn: document.getElementById('exportBtn'),
+  exportMenu: document.getElementById('exportMenu'),
+  exportScope: document.getElementById('exportScope'),
+  importInput: document.getElementById('importInput'),
+  importBanner: document.getElementById('importBanner'),
+  importLabel: document.getElementById('importLabel'),
+  closeImport: document.getElementById('closeImport')
 };
 
 // ============================================
@@ -51,18 +98,57 @@ const elements = {
 async function initialize() {
   await loadErrors();
   await loadConfig();
+  await loadSourceMaps();
+  await loadPresets();
+  await loadQueueStatus();
+  await loadVitals();
   setupEventListeners();
+  setupVitalsTracking();
+  setupSearch();
+  setupExport();
   setupMessageListener();
   console.log('[Debug Buddy] Side panel initialized');
 }
 
 async function loadErrors() {
+  state.errors = [];
+  state.nextCursor = null;
+  await loadNextPage();
+  updateStats();
+}
+
+/**
+ * Append the next page of stored errors. Keeps loading while the list
+ * isn't tall enough to scroll, so filtered views still fill the panel.
+ */
+async function loadNextPage() {
+  if (state.pageRequest) return state.pageRequest;
+  
+  state.pageRequest = fetchErrorPage();
   try {
-    const response = await chrome.runtime.sendMessage({ type: 'GET_ERRORS' });
-    if (response?.success) {
-      state.errors = response.errors || [];
+    await state.pageRequest;
+  } finally {
+    state.pageRequest = null;
+  }
+  
+  const list = elements.errorList;
+  if (state.nextCursor && list.scrollHeight <= list.clientHeight) {
+    await loadNextPage();
+  }
+}
+
+async function fetchErrorPage() {
+  try {
+    const response = await chrome.runtime.sendMessage({
+      type: 'GET_ERRORS',
+      cursor: state.nextCursor,
+      limit: PAGE_SIZE
+    });
+    if (response?.success && !state.imported) {
+      const loadedIds = new Set(state.errors.map(e => e.id));
+      state.errors = [...state.errors, ...response.errors.filter(e => !loadedIds.has(e.id))];
+      state.nextCursor = response.nextCursor;
       renderErrors();
-      updateStats();
     }
   } catch (error) {
     console.error('[Debug Buddy] Failed to load errors:', error);
@@ -140,36 +226,90 @@ function setupEventListeners() {
     elements.apiKeyInput.focus();
   });
   
+  elements.sourceMapInput.addEventListener('change', uploadSourceMaps);
+  
+  elements.sourceMapList.addEventListener('click', async (e) => {
+    const btn = e.target.closest('[data-remove-map]');
+    if (btn) {
+      await chrome.runtime.sendMessage({ type: 'DELETE_SOURCE_MAP', name: btn.dataset.removeMap });
+      await loadSourceMaps();
+    }
+  });
+  
   elements.filterTabs.forEach(tab => {
     tab.addEventListener('click', () => {
       elements.filterTabs.forEach(t => t.classList.remove('active'));
       tab.classList.add('active');
       state.currentFilter = tab.dataset.filter;
-      renderErrors();
+      applyFilters();
     });
   });
+  
+  // Lazy-load older errors as the list nears the bottom
+  elements.errorList.addEventListener('scroll', () => {
+    const list = elements.errorList;
+    if (state.nextCursor && list.scrollTop + list.clientHeight >= list.scrollHeight - 200) {
+      loadNextPage();
+    }
+  });
 }
 
 function setupMessageListener() {
   chrome.runtime.onMessage.addListener((message) => {
+    // An imported bundle is a static snapshot; live updates resume on close
+    if (state.imported) return;
+    
     switch (message.type) {
       case 'NEW_ERROR':
         handleNewError(message.payload);
         break;
+      case 'ERROR_UPDATED':
+        handleErrorUpdated(message.payload);
+        break;
       case 'ANALYSIS_COMPLETED':
         handleAnalysisCompleted(message.payload);
         break;
       case 'ANALYSIS_FAILED':
         handleAnalysisFailed(message.payload);
         break;
+      case 'ANALYSIS_PROGRESS':
+        handleAnalysisProgress(message.payload);
+        break;
+      case 'ANALYSIS_CANCELLED':
+        handleAnalysisCancelled(message.payload);
+        break;
+      case 'CONVERSATION_UPDATED':
+        handleConversationUpdated(message.payload);
+        break;
+      case 'FOLLOW_UP_PROGRESS':
+        handleFollowUpProgress(message.payload);
+        break;
       case 'ERROR_STATUS_UPDATED':
         handleStatusUpdated(message.payload);
         break;
       case 'ERRORS_CLEARED':
         state.errors = [];
+        state.nextCursor = null;
         renderErrors();
         updateStats();
         break;
+      case 'ERRORS_REMOVED':
+        handleErrorsRemoved(message.payload);
+        break;
+        
+      case 'ERRORS_MUTED':
+        handleErrorsMuted(message.payload);
+        break;
+        
+      case 'QUEUE_UPDATED':
+        renderQueueStatus(message.payload);
+        break;
+        
+      case 'VITALS_UPDATED':
+        if (message.payload.key === state.vitals?.key) {
+          renderVitals(message.payload.key, message.payload.page);
+        }
+        break;
     }
   });
 }
@@ -182,10 +322,28 @@ function handleNewError(errorRecord) {
   state.errors = [errorRecord, ...state.errors.filter(e => e.id !== errorRecord.id)];
   renderErrors();
   updateStats();
-  showNotification();
+  if (!errorRecord.mutedBy) {
+    showNotification();
+  }
+}
+
+function handleErrorUpdated(errorRecord) {
+  // Only a new occurrence moves the error to the top of the list
+  const index = state.errors.findIndex(e => e.id === errorRecord.id);
+  if (index !== -1 && state.errors[index].lastSeen === errorRecord.lastSeen) {
+    state.errors[index] = errorRecord;
+  } else {
+    state.errors = [errorRecord, ...state.errors.filter(e => e.id !== errorRecord.id)];
+  }
+  renderErrors();
+  updateStats();
+  if (state.selectedErrorId === errorRecord.id) {
+    showErrorDetail(errorRecord);
+  }
 }
 
 function handleAnalysisCompleted(errorRecord) {
+  delete state.streamingText[errorRecord.id];
   const index = state.errors.findIndex(e => e.id === errorRecord.id);
   if (index !== -1) {
     state.errors[index] = errorRecord;
@@ -198,6 +356,7 @@ function handleAnalysisCompleted(errorRecord) {
 }
 
 function handleAnalysisFailed(data) {
+  delete state.streamingText[data.id];
   const error = state.errors.find(e => e.id === data.id);
   if (error) {
     error.status = 'failed';
@@ -209,18 +368,102 @@ function handleAnalysisFailed(data) {
   }
 }
 
+function handleAnalysisProgress(data) {
+  state.streamingText[data.id] = data.text;
+  
+  // Update only the streaming block so the modal doesn't jump while reading
+  if (state.selectedErrorId === data.id) {
+    const container = document.getElementById('streamingAnalysis');
+    if (container) {
+      container.innerHTML = renderStreamingAnalysis(data.text);
+    } else {
+      const error = state.errors.find(e => e.id === data.id);
+      if (error) showErrorDetail(error);
+    }
+  }
+}
+
+function handleAnalysisCancelled(data) {
+  delete state.streamingText[data.id];
+  const error = state.errors.find(e => e.id === data.id);
+  if (error) {
+    error.status = 'pending';
+    error.analysis = null;
+    updateErrorCard(error);
+    if (state.selectedErrorId === data.id) {
+      showErrorDetail(error);
+    }
+  }
+}
+
+function handleConversationUpdated(data) {
+  delete state.followUpText[data.id];
+  const error = state.errors.find(e => e.id === data.id);
+  if (error) {
+    error.conversation = data.conversation;
+    error.followUpPending = data.followUpPending;
+    if (state.selectedErrorId === data.id) {
+      showErrorDetail(error);
+    }
+  }
+}
+
+function handleFollowUpProgress(data) {
+  state.followUpText[data.id] = data.text;
+  
+  if (state.selectedErrorId === data.id) {
+    const bubble = document.getElementById('followUpStreaming');
+    if (bubble) {
+      bubble.innerHTML = renderChatContent(data.text);
+    }
+  }
+}
+
 function handleStatusUpdated(data) {
   const error = state.errors.find(e => e.id === data.id);
   if (error) {
     error.status = data.status;
     updateErrorCard(error);
   }
+  updateStats();
+}
+
+function handleErrorsRemoved(data) {
+  const removed = new Set(data.ids);
+  state.errors = state.errors.filter(e => !removed.has(e.id));
+  renderErrors();
+  updateStats();
+  if (removed.has(state.selectedErrorId)) {
+    elements.errorModal.classList.add('hidden');
+    state.selectedErrorId = null;
+  }
+}
+
+/**
+ * Ignore rules changed in the background; flag or unflag loaded errors
+ */
+function handleErrorsMuted(data) {
+  const changes = new Map(data.changes.map(change => [change.id, change.mutedBy]));
+  state.errors = state.errors.map(error => {
+    if (!changes.has(error.id)) return error;
+    const { mutedBy, ...rest } = error;
+    return changes.get(error.id) ? { ...rest, mutedBy: changes.get(error.id) } : rest;
+  });
+  renderErrors();
+  updateStats();
 }
 
 async function clearErrors() {
+  // Never wipe stored history while reviewing an import
+  if (state.imported) {
+    await closeImport();
+    return;
+  }
+  
   try {
     await chrome.runtime.sendMessage({ type: 'CLEAR_ERRORS' });
     state.errors = [];
+    state.nextCursor = null;
     renderErrors();
     updateStats();
   } catch (error) {
@@ -237,79 +480,162 @@ function renderErrors() {
   
   if (filteredErrors.length === 0) {
     elements.emptyState.classList.remove('hidden');
-    const cards = elements.errorList.querySelectorAll('.error-card');
+    const cards = elements.errorList.querySelectorAll('.error-card, .error-group-header');
     cards.forEach(card => card.remove());
     return;
   }
   
   elements.emptyState.classList.add('hidden');
   
-  const existingCards = elements.errorList.querySelectorAll('.error-card');
+  const existingCards = elements.errorList.querySelectorAll('.error-card, .error-group-header');
   existingCards.forEach(card => card.remove());
   
+  if (state.search.groupBy) {
+    renderGroupedErrors(filteredErrors);
+    return;
+  }
+  
   filteredErrors.forEach(error => {
     const card = createErrorCard(error);
     elements.errorList.appendChild(card);
   });
 }
 
-function filterErrors(errors) {
-  if (state.currentFilter === 'all') return errors;
+/**
+ * One header per context or frame, groups ordered by their most recent
+ * error and the page itself first
+ */
+function renderGroupedErrors(errors) {
+  const groups = new Map();
+  for (const error of errors) {
+    const key = getErrorGroup(error, state.search.groupBy);
+    if (!groups.has(key.id)) groups.set(key.id, { ...key, errors: [] });
+    groups.get(key.id).errors.push(error);
+  }
   
-  return errors.filter(error => {
-    switch (state.currentFilter) {
-      case 'error': 
-        return error.type === 'error' || error.type === 'exception' || error.type === 'promise_rejection';
-      case 'warning': 
-        return error.type === 'warning' || error.type === 'deprecation';
-      case 'network': 
-        return error.type === 'network_error' || error.type === 'network_slow' || 
-               error.type === 'network_timeout' || error.type === 'resource_error' ||
-               error.type === 'csp_violation' || error.category === 'network';
-      case 'dom':
-        return error.type === 'dom_error' || error.category === 'dom';
-      case 'performance':
-        return error.type === 'performance_longtask' || error.type === 'performance_cls' ||
-               error.type === 'network_slow' || error.category === 'performance';
-      default: 
-        return true;
-    }
-  });
+  const ordered = [...groups.values()].sort((a, b) => (b.id === 'page') - (a.id === 'page'));
+  for (const group of ordered) {
+    const header = document.createElement('div');
+    header.className = 'error-group-header';
+    header.title = group.title || '';
+    header.innerHTML = `<span class="error-group-label">${escapeHtml(group.label)}</span><span class="error-group-count">${group.errors.length}</span>`;
+    elements.errorList.appendChild(header);
+    
+    group.errors.forEach(error => elements.errorList.appendChild(createErrorCard(error)));
+  }
+}
+
+const CONTEXT_LABELS = {
+  page: 'Page',
+  iframe: 'Iframe',
+  worker: 'Dedicated worker',
+  shared_worker: 'Shared worker',
+  service_worker: 'Service worker'
+};
+
+function getErrorGroup(error, groupBy) {
+  const context = error.context || 'page';
+  
+  if (groupBy === 'context') {
+    return { id: context, label: CONTEXT_LABELS[context] || context };
+  }
+  
+  // Frames are told apart by URL without query or hash; workers by their script
+  const frameUrl = (error.frameUrl || error.url || '').split(/[?#]/)[0];
+  if (context === 'page') {
+    return { id: 'page', label: 'Top frame', title: frameUrl };
+  }
+  const scriptUrl = error.metadata?.scriptUrl;
+  const url = scriptUrl && context !== 'iframe' ? scriptUrl : frameUrl;
+  return { id: `${context}|${url}`, label: `${CONTEXT_LABELS[context] || context}: ${getFileName(url) || url}`, title: url };
+}
+
+function filterErrors(errors) {
+  return errors.filter(error => matchesFilterTab(error) && matchesSearch(error));
+}
+
+function matchesFilterTab(error) {
+  switch (state.currentFilter) {
+    case 'error': 
+      return error.type === 'error' || error.type === 'exception' || error.type === 'promise_rejection' ||
+             error.type === 'worker_error';
+    case 'warning': 
+      return error.type === 'warning' || error.type === 'deprecation';
+    case 'network': 
+      return error.type === 'network_error' || error.type === 'network_slow' || 
+             error.type === 'network_timeout' || error.type === 'resource_error' ||
+             error.type === 'csp_violation' || error.category === 'network';
+    case 'dom':
+      return error.type === 'dom_error' || error.category === 'dom';
+    case 'performance':
+      return error.type.startsWith('performance_') ||
+             error.type === 'network_slow' || error.category === 'performance';
+    default: 
+      return true;
+  }
 }
 
 function createErrorCard(error) {
   const card = document.createElement('div');
-  card.className = `error-card ${error.type} ${error.status}`;
+  card.className = `error-card ${error.type} ${error.status}${error.mutedBy ? ' muted' : ''}${state.selectedIds.has(error.id) ? ' selected' : ''}`;
   card.dataset.id = error.id;
   
   const icon = getTypeIcon(error.type);
-  const severityBadge = error.analysis?.severity 
-    ? `<span class="severity-badge ${error.analysis.severity}">${error.analysis.severity}</span>`
+  const severityBadge = error.analysis?.unstructured
+    ? '<span class="unstructured-badge" title="The analysis didn\'t match the expected format">unstructured</span>'
+    : error.analysis?.severity 
+      ? `<span class="severity-badge ${escapeAttr(String(error.analysis.severity))}">${escapeHtml(error.analysis.severity)}</span>`
+      : '';
+  const cachedBadge = error.analysisCached && error.status === 'completed'
+    ? `<span class="cached-badge" title="Reused an analysis from ${escapeAttr(new Date(error.analysisCached.cachedAt).toLocaleString())}">cached</span>`
     : '';
   const statusIndicator = getStatusIndicator(error.status);
-  const truncatedMessage = truncateText(error.message, 100);
+  const terms = state.parsedQuery?.terms || [];
+  const messageHtml = highlightMatches(error.message, terms, 100);
   const fileInfo = error.filename 
-    ? `<span class="file-info">${getFileName(error.filename)}:${error.lineno || '?'}</span>`
+    ? `<span class="file-info">${highlightMatches(getFileName(error.filename), terms)}:${escapeHtml(error.lineno || '?')}</span>`
+    : '';
+  const occurrenceInfo = error.count > 1
+    ? `<span class="occurrence-count" title="${error.count} occurrences">×${error.count}</span>${renderSparkline(error.occurrences)}`
     : '';
+  const contextBadge = error.context && error.context !== 'page'
+    ? `<span class="context-badge" title="${escapeAttr(error.frameUrl || '')}">${escapeHtml(CONTEXT_LABELS[error.context] || error.context)}</span>`
+    : '';
+  const muteAction = error.mutedBy
+    ? `<span class="muted-badge" title="Matched ignore rule ${escapeAttr(error.mutedBy)}">muted</span>`
+    : error.imported ? '' : `<button class="card-mute" title="Mute similar errors">${MUTE_ICON}</button>`;
   
   card.innerHTML = `
     <div class="error-card-header">
       <div class="error-type-icon">${icon}</div>
       <div class="error-info">
-        <div class="error-message">${escapeHtml(truncatedMessage)}</div>
+        <div class="error-message">${messageHtml}</div>
         <div class="error-meta">
+          ${contextBadge}
           ${fileInfo}
+          ${occurrenceInfo}
           <span class="error-time">${formatTime(error.timestamp)}</span>
         </div>
       </div>
       <div class="error-status">
+        ${muteAction}
+        ${cachedBadge}
         ${severityBadge}
         ${statusIndicator}
       </div>
     </div>
   `;
   
-  card.addEventListener('click', () => {
+  card.querySelector('.card-mute')?.addEventListener('click', (e) => {
+    e.stopPropagation();
+    muteSimilar(error);
+  });
+  
+  card.addEventListener('click', (e) => {
+    if (e.ctrlKey || e.metaKey) {
+      toggleSelection(error.id, card);
+      return;
+    }
     state.selectedErrorId = error.id;
     showErrorDetail(error);
   });
@@ -317,10 +643,29 @@ function createErrorCard(error) {
   return card;
 }
 
+const MUTE_ICON = `<svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><path d="M18 8a6 6 0 00-9.33-5"/><path d="M6.26 6.26A6 6 0 006 8c0 7-3 9-3 9h14"/><path d="M13.73 21a2 2 0 01-3.46 0"/><line x1="1" y1="1" x2="23" y2="23"/></svg>`;
+
+/**
+ * Add an ignore rule built from this error; the background flags it and
+ * any matching errors (ERRORS_MUTED) and skips their analysis from now on
+ */
+async function muteSimilar(error) {
+  const rule = DebugBuddyIgnoreRules.createRuleFromError(error);
+  try {
+    const response = await chrome.runtime.sendMessage({ type: 'ADD_IGNORE_RULE', rule });
+    if (!response?.success) {
+      throw new Error(response?.error || 'Could not save the rule');
+    }
+  } catch (err) {
+    console.error('[Debug Buddy] Failed to mute error:', err);
+    alert(`Could not mute: ${err.message}`);
+  }
+}
+
 function updateErrorCard(error) {
   const card = document.querySelector(`.error-card[data-id="${error.id}"]`);
   if (card) {
-    card.className = `error-card ${error.type} ${error.status}`;
+    card.className = `error-card ${error.type} ${error.status}${error.mutedBy ? ' muted' : ''}${state.selectedIds.has(error.id) ? ' selected' : ''}`;
     const statusEl = card.querySelector('.error-status');
     if (statusEl) {
       statusEl.innerHTML = getStatusIndicator(error.status);
@@ -329,6 +674,13 @@ function updateErrorCard(error) {
 }
 
 function showErrorDetail(error) {
+  // Keep an unsent follow-up draft and scroll position when re-rendering the same error
+  const isRerender = elements.modalBody.dataset.errorId === error.id;
+  const draft = isRerender ? document.getElementById('followUpInput')?.value || '' : '';
+  const scrollTop = isRerender ? elements.modalBody.scrollTop : 0;
+  const previewOpen = isRerender && document.getElementById('requestPreview')?.open;
+  const issueDraft = isRerender && document.getElementById('fileIssue')?.open ? readIssueForm() : null;
+  
   elements.modalTitle.textContent = getTypeLabel(error.type);
   
   let content = `
@@ -339,14 +691,33 @@ function showErrorDetail(error) {
     
     <div class="detail-section">
       <h3>Location</h3>
-      <div class="location-info">
-        <span class="label">File:</span> ${escapeHtml(error.filename || 'Unknown')}
-        <span class="label">Line:</span> ${error.lineno || 'Unknown'}
-        <span class="label">Column:</span> ${error.colno || 'Unknown'}
-      </div>
+      ${renderLocation(error)}
     </div>
   `;
   
+  if (error.context || error.frameUrl) {
+    content += `<div class="detail-section"><h3>Context</h3><div class="metadata-grid">
+      <div class="metadata-item"><span class="metadata-label">Context:</span><span class="metadata-value">${escapeHtml(CONTEXT_LABELS[error.context] || error.context || 'Page')}</span></div>`;
+    if (error.frameUrl) {
+      content += `<div class="metadata-item"><span class="metadata-label">Frame URL:</span><span class="metadata-value">${escapeHtml(error.frameUrl)}</span></div>`;
+    }
+    if (error.frameId !== undefined && error.frameId !== null) {
+      content += `<div class="metadata-item"><span class="metadata-label">Frame ID:</span><span class="metadata-value">${escapeHtml(String(error.frameId))}</span></div>`;
+    }
+    content += `</div></div>`;
+  }
+  
+  if (error.count > 1) {
+    content += `<div class="detail-section"><h3>Occurrences</h3><div class="occurrence-info">
+      <div class="occurrence-summary"><span class="occurrence-count">×${error.count}</span>${renderSparkline(error.occurrences, 160, 28)}</div>
+      <div class="metadata-item"><span class="metadata-label">First seen:</span><span class="metadata-value">${new Date(error.firstSeen).toLocaleString()}</span></div>
+      <div class="metadata-item"><span class="metadata-label">Last seen:</span><span class="metadata-value">${new Date(error.lastSeen).toLocaleString()}</span></div>`;
+    if (error.affectedUrls?.length) {
+      content += `<div class="metadata-label">Affected pages:</div><ul class="affected-urls">${error.affectedUrls.map(url => `<li>${escapeHtml(url)}</li>`).join('')}</ul>`;
+    }
+    content += `</div></div>`;
+  }
+  
   if (error.metadata) {
     content += `<div class="detail-section"><h3>Details</h3><div class="metadata-grid">`;
     for (const [key, value] of Object.entries(error.metadata)) {
@@ -363,143 +734,1509 @@ function showErrorDetail(error) {
     content += `<div class="detail-section"><h3>Source</h3><div class="source-info">${escapeHtml(error.source)}</div></div>`;
   }
   
-  if (error.stack) {
+  if (error.resolvedFrames) {
+    content += `<div class="detail-section"><h3>Stack Trace</h3>${renderResolvedStack(error)}</div>`;
+  } else if (error.stack) {
     content += `<div class="detail-section"><h3>Stack Trace</h3><pre class="stack-trace">${escapeHtml(error.stack)}</pre></div>`;
   }
   
-  if (error.status === 'analyzing') {
-    content += `<div class="detail-section analysis-section"><h3>AI Analysis</h3><div class="analyzing-indicator"><div class="spinner"></div><span>Analyzing error...</span></div></div>`;
+  if (error.breadcrumbs?.length) {
+    content += `<div class="detail-section"><h3>Breadcrumbs</h3>${renderBreadcrumbs(error)}</div>`;
+  }
+  
+  if (error.network) {
+    content += `<details class="detail-section network-detail"><summary><h3>Network</h3></summary>${renderNetworkExchange(error.network)}</details>`;
+  }
+  
+  if (error.scripts?.length) {
+    content += `<div class="detail-section"><h3>Main-thread Scripts</h3>${renderScriptAttribution(error.scripts)}</div>`;
+  }
+  
+  if (error.codeContext?.length) {
+    content += `<details class="detail-section code-context"><summary><h3>Code Context</h3></summary>${error.codeContext.map(context => `
+      <div class="code-context-file">${escapeHtml(context.file)}:${escapeHtml(context.highlightLine)}:${escapeHtml(context.colno)} <span class="code-context-fn">${escapeHtml(context.functionName)}</span></div>
+      ${renderSourceContext(context)}`).join('')}</details>`;
+  }
+  
+  if (!error.imported) content += `<details class="detail-section request-preview" id="requestPreview"><summary><h3>Preview what will be sent</h3></summary><div id="requestPreviewBody"></div></details>`;
+  
+  if (error.status === 'analyzing' && !error.imported) {
+    const streamingText = state.streamingText[error.id];
+    const progress = streamingText
+      ? renderStreamingAnalysis(streamingText)
+      : `<div class="analyzing-indicator"><div class="spinner"></div><span>Analyzing error...</span></div>`;
+    content += `<div class="detail-section analysis-section"><div class="analysis-header"><h3>AI Analysis</h3><button class="btn btn-secondary" id="cancelAnalysisBtn">Cancel</button></div><div id="streamingAnalysis">${progress}</div></div>`;
   } else if (error.status === 'completed' && error.analysis) {
-    content += renderAnalysis(error.analysis);
+    content += renderAnalysis(error);
+    content += renderConversation(error, { readOnly: error.imported });
   } else if (error.status === 'failed' && error.analysis?.error) {
     content += `<div class="detail-section analysis-section"><h3>AI Analysis</h3><div class="analysis-error"><svg width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><circle cx="12" cy="12" r="10"/><line x1="12" y1="8" x2="12" y2="12"/><line x1="12" y1="16" x2="12.01" y2="16"/></svg><span>${escapeHtml(error.analysis.error)}</span></div></div>`;
+  } else if (error.imported) {
+    content += `<div class="detail-section analysis-section"><h3>AI Analysis</h3><div class="pending-indicator"><span>Not analyzed in this export</span></div></div>`;
   } else if (error.status === 'pending') {
-    content += `<div class="detail-section analysis-section"><h3>AI Analysis</h3><div class="pending-indicator"><span>Waiting for analysis...</span></div></div>`;
+    content += `<div class="detail-section analysis-section"><div class="analysis-header"><h3>AI Analysis</h3><button class="btn btn-secondary" id="analyzeNowBtn">Analyze now</button></div><div class="pending-indicator"><span>${escapeHtml(error.analysisDeferred || 'Waiting for analysis...')}</span></div></div>`;
   }
   
+  content += renderIssueSection(error);
+  
   elements.modalBody.innerHTML = content;
+  elements.modalBody.dataset.errorId = error.id;
   elements.errorModal.classList.remove('hidden');
   setupCopyButtons();
+  setupAnalysisActions(error);
+  setupRequestPreview(error, previewOpen);
+  setupIssueForm(error, issueDraft);
+  setupConversation(error, draft);
+  elements.modalBody.scrollTop = scrollTop;
 }
 
-function renderAnalysis(analysis) {
-  let html = `<div class="detail-section analysis-section"><h3>AI Analysis</h3><div class="analysis-severity ${analysis.severity || 'medium'}"><span class="severity-label">Severity:</span><span class="severity-value">${(analysis.severity || 'medium').toUpperCase()}</span></div>`;
-  
-  if (analysis.explanation) {
-    html += `<div class="analysis-block"><h4>What happened?</h4><p>${escapeHtml(analysis.explanation)}</p></div>`;
-  }
-  
-  if (analysis.cause) {
-    html += `<div class="analysis-block"><h4>Root Cause</h4><p>${escapeHtml(analysis.cause)}</p></div>`;
-  }
-  
-  if (analysis.fix) {
-    html += `<div class="analysis-block"><h4>Suggested Fix</h4><div class="code-block"><button class="copy-btn" data-copy="${escapeAttr(analysis.fix)}"><svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><rect x="9" y="9" width="13" height="13" rx="2" ry="2"/><path d="M5 15H4a2 2 0 01-2-2V4a2 2 0 012-2h9a2 2 0 012 2v1"/></svg>Copy Fix</button><pre><code>${escapeHtml(analysis.fix)}</code></pre></div></div>`;
-  }
+function setupAnalysisActions(error) {
+  document.getElementById('cancelAnalysisBtn')?.addEventListener('click', async (e) => {
+    e.target.disabled = true;
+    e.target.textContent = 'Cancelling...';
+    await chrome.runtime.sendMessage({ type: 'CANCEL_ANALYSIS', id: error.id });
+  });
   
-  if (analysis.prevention) {
-    html += `<div class="analysis-block"><h4>Prevention</h4><p>${escapeHtml(analysis.prevention)}</p></div>`;
-  }
+  document.getElementById('analyzeNowBtn')?.addEventListener('click', async (e) => {
+    e.target.disabled = true;
+    await chrome.runtime.sendMessage({ type: 'ANALYZE_ERROR', payload: { id: error.id } });
+  });
   
-  html += '</div>';
-  return html;
-}
-
-function setupCopyButtons() {
-  const copyBtns = document.querySelectorAll('.copy-btn');
-  copyBtns.forEach(btn => {
-    btn.addEventListener('click', async (e) => {
-      e.stopPropagation();
-      const text = btn.dataset.copy;
-      
-      try {
-        await navigator.clipboard.writeText(text);
-        const originalHtml = btn.innerHTML;
-        btn.innerHTML = `<svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><polyline points="20 6 9 17 4 12"/></svg>Copied!`;
-        btn.classList.add('copied');
-        setTimeout(() => {
-          btn.innerHTML = originalHtml;
-          btn.classList.remove('copied');
-        }, 2000);
-      } catch (err) {
-        console.error('Failed to copy:', err);
-      }
-    });
+  document.getElementById('reanalyzeBtn')?.addEventListener('click', async (e) => {
+    e.target.disabled = true;
+    await chrome.runtime.sendMessage({ type: 'ANALYZE_ERROR', payload: { id: error.id }, bypassCache: true });
   });
 }
 
-// ============================================
-// SETTINGS
-// ============================================
-
-async function saveSettings() {
-  const apiKey = elements.apiKeyInput.value.trim();
-  const domains = elements.domainsInput.value
-    .split('\n')
-    .map(d => d.trim())
-    .filter(d => d.length > 0);
-  const enabled = elements.enabledToggle.checked;
+/**
+ * Fetch the redacted prompt from the background worker when the preview
+ * is expanded, so it always reflects the current privacy settings.
+ */
+function setupRequestPreview(error, open) {
+  const preview = document.getElementById('requestPreview');
+  const body = document.getElementById('requestPreviewBody');
+  if (!preview) return;
   
-  try {
-    await chrome.storage.sync.set({
-      apiKey: apiKey || 'YOUR_API_KEY_HERE',
-      domains: domains.length > 0 ? domains : ['localhost', '127.0.0.1'],
-      enabled
-    });
+  const loadPreview = async () => {
+    body.innerHTML = `<div class="pending-indicator"><span>Building request...</span></div>`;
     
-    if (apiKey && apiKey !== 'YOUR_API_KEY_HERE') {
-      elements.apiKeyWarning.classList.add('hidden');
-    } else {
-      elements.apiKeyWarning.classList.remove('hidden');
+    const response = await chrome.runtime.sendMessage({ type: 'PREVIEW_ANALYSIS_REQUEST', id: error.id });
+    if (!response?.success) {
+      body.innerHTML = `<div class="analysis-error"><span>${escapeHtml(response?.error || 'Preview unavailable')}</span></div>`;
+      return;
     }
     
-    elements.saveSettings.textContent = 'Saved!';
-    elements.saveSettings.classList.add('success');
+    body.innerHTML = `
+      <div class="request-preview-target">${escapeHtml(response.provider.name)} · ${escapeHtml(response.provider.model)} · ${escapeHtml(response.url)}</div>
+      <pre class="stack-trace">${escapeHtml(response.prompt)}</pre>
+    `;
+  };
+  
+  preview.addEventListener('toggle', () => {
+    if (preview.open) loadPreview();
+  });
+  preview.open = Boolean(open);
+}
+
+/**
+ * Timeline of what happened before the error, newest last, with times
+ * relative to the first occurrence
+ */
+function renderBreadcrumbs(error) {
+  const errorTime = error.firstSeen || error.timestamp;
+  const items = error.breadcrumbs.map(crumb => {
+    const seconds = ((crumb.timestamp - errorTime) / 1000).toFixed(1);
+    return `<li class="breadcrumb-item ${escapeAttr(crumb.type)}">
+      <span class="breadcrumb-time">${seconds}s</span>
+      <span class="breadcrumb-type">${escapeHtml(crumb.type)}</span>
+      <span class="breadcrumb-message">${escapeHtml(crumb.message)}</span>
+    </li>`;
+  }).join('');
+  
+  return `<ol class="breadcrumb-timeline">${items}<li class="breadcrumb-item current">
+    <span class="breadcrumb-time">0.0s</span>
+    <span class="breadcrumb-type">error</span>
+    <span class="breadcrumb-message">${escapeHtml(truncateMessage(error.message))}</span>
+  </li></ol>`;
+}
+
+/**
+ * Request/response headers and bodies of a failing call; JSON bodies are
+ * pretty-printed when they parse (truncated ones usually won't)
+ */
+function renderNetworkExchange(network) {
+  const renderSide = (label, side) => {
+    if (!side) {
+      return `<div class="network-side"><h4>${label}</h4><div class="pending-indicator"><span>No response received</span></div></div>`;
+    }
     
-    setTimeout(() => {
-      elements.saveSettings.textContent = 'Save Settings';
-      elements.saveSettings.classList.remove('success');
-      elements.settingsPanel.classList.add('hidden');
-    }, 1500);
+    const headers = Object.entries(side.headers || {})
+      .map(([name, value]) => `<div class="network-header"><span class="network-header-name">${escapeHtml(name)}:</span> ${escapeHtml(value)}</div>`)
+      .join('');
+    const truncated = side.bodyTruncated ? '<span class="network-truncated">truncated</span>' : '';
     
-  } catch (error) {
-    console.error('[Debug Buddy] Failed to save settings:', error);
-    alert('Failed to save settings. Please try again.');
+    return `<div class="network-side">
+      <h4>${label}${side.contentType ? ` <span class="network-content-type">${escapeHtml(side.contentType)}</span>` : ''}</h4>
+      <div class="network-headers">${headers || '<span class="network-empty">No headers</span>'}</div>
+      ${side.body ? `<pre class="stack-trace network-body">${escapeHtml(formatBody(side.body))}</pre>${truncated}` : '<span class="network-empty">Empty body</span>'}
+    </div>`;
+  };
+  
+  return renderSide('Request', network.request) + renderSide('Response', network.response);
+}
+
+/**
+ * Scripts that ran in a long animation frame, longest first, with their
+ * running totals on the page
+ */
+function renderScriptAttribution(scripts) {
+  const items = scripts.map(script => {
+    const invoker = script.invoker ? `${script.invokerType ? `${script.invokerType}: ` : ''}${script.invoker}` : '';
+    const forced = script.forcedStyleLayoutMs ? ` · ${script.forcedStyleLayoutMs}ms forced style/layout` : '';
+    return `<li class="script-item">
+      <div class="script-name">${escapeHtml(script.functionName || '(anonymous)')} <span class="script-duration">${script.durationMs}ms</span></div>
+      <div class="script-source">${escapeHtml(script.sourceUrl || 'inline script')}</div>
+      <div class="script-stats">${invoker ? `${escapeHtml(invoker)} · ` : ''}${script.count} long frame${script.count === 1 ? '' : 's'}, ${script.totalMs}ms total${forced}</div>
+    </li>`;
+  }).join('');
+  
+  return `<ol class="script-list">${items}</ol>`;
+}
+
+function formatBody(body) {
+  try {
+    return JSON.stringify(JSON.parse(body), null, 2);
+  } catch (e) {
+    return body;
   }
 }
 
-// ============================================
-// UTILITIES
-// ============================================
+function truncateMessage(message) {
+  const firstLine = message.split('\n')[0];
+  return firstLine.length > 120 ? `${firstLine.slice(0, 120)}...` : firstLine;
+}
 
-function updateStats() {
-  const errors = state.errors.filter(e => 
-    e.type === 'error' || e.type === 'exception' || e.type === 'promise_rejection' ||
-    e.type === 'warning' || e.type === 'deprecation' || e.type === 'dom_error' ||
-    e.type === 'csp_violation'
-  ).length;
-  
-  const network = state.errors.filter(e => 
-    e.type === 'network_error' || e.type === 'network_slow' || 
-    e.type === 'network_timeout' || e.type === 'resource_error'
-  ).length;
-  
-  const perf = state.errors.filter(e => 
-    e.type === 'performance_longtask' || e.type === 'performance_cls' ||
-    e.type === 'network_slow'
-  ).length;
-  
-  const analyzed = state.errors.filter(e => e.status === 'completed').length;
+function renderIssueSection(error) {
+  const formats = Object.entries(DebugBuddyIssueTemplates.DEFAULT_TEMPLATES)
+    .map(([format, template]) => `<option value="${format}">${template.label}</option>`)
+    .join('');
+  const filed = error.issue
+    ? `<div class="issue-status">Filed ${error.issue.url ? `<a href="${escapeAttr(error.issue.url)}" target="_blank" rel="noopener">${escapeHtml(String(error.issue.key || error.issue.url))}</a>` : ''} ${formatTime(error.issue.filedAt)}</div>`
+    : '';
   
-  elements.errorCount.textContent = errors;
-  elements.networkCount.textContent = network;
-  elements.perfCount.textContent = perf;
-  elements.analyzedCount.textContent = analyzed;
+  return `<details class="detail-section issue-section" id="fileIssue"><summary><h3>File issue</h3></summary>
+    ${filed}
+    <div class="issue-form">
+      <select class="input" id="issueFormat">${formats}</select>
+      <input type="text" class="input" id="issueTitle" placeholder="Title">
+      <textarea class="textarea" id="issueBody" rows="12" spellcheck="false"></textarea>
+      <div class="issue-actions">
+        <button class="btn btn-secondary" id="copyIssueBtn">Copy</button>
+        <button class="btn btn-primary hidden" id="sendIssueBtn">Send to tracker</button>
+      </div>
+      <div class="issue-status" id="issueStatus"></div>
+    </div>
+  </details>`;
 }
 
-function showNotification() {
-  document.body.classList.add('new-error');
-  setTimeout(() => document.body.classList.remove('new-error'), 300);
+function readIssueForm() {
+  return {
+    format: document.getElementById('issueFormat').value,
+    title: document.getElementById('issueTitle').value,
+    body: document.getElementById('issueBody').value
+  };
+}
+
+/**
+ * Fill the ticket from the configured templates when the section opens;
+ * an in-progress draft survives re-renders of the same error
+ */
+function setupIssueForm(error, draft) {
+  const section = document.getElementById('fileIssue');
+  const formatSelect = document.getElementById('issueFormat');
+  const titleInput = document.getElementById('issueTitle');
+  const bodyInput = document.getElementById('issueBody');
+  const sendBtn = document.getElementById('sendIssueBtn');
+  const status = document.getElementById('issueStatus');
+  let settings = null;
+  
+  const loadSettings = async () => {
+    if (!settings) {
+      settings = await chrome.storage.sync.get(['issueTemplates', 'issueTracker']);
+      sendBtn.classList.toggle('hidden', !settings.issueTracker?.endpoint);
+    }
+    return settings;
+  };
+  
+  const fillFromTemplate = async () => {
+    const { issueTemplates } = await loadSettings();
+    const issue = DebugBuddyIssueTemplates.renderIssue(error, formatSelect.value, issueTemplates);
+    titleInput.value = issue.title;
+    bodyInput.value = issue.body;
+  };
+  
+  section.addEventListener('toggle', async () => {
+    if (!section.open || titleInput.value) return;
+    const { issueTracker } = await loadSettings();
+    if (issueTracker?.format) formatSelect.value = issueTracker.format;
+    await fillFromTemplate();
+  });
+  
+  formatSelect.addEventListener('change', fillFromTemplate);
+  
+  document.getElementById('copyIssueBtn').addEventListener('click', async () => {
+    await navigator.clipboard.writeText(`${titleInput.value}\n\n${bodyInput.value}`);
+    status.textContent = 'Copied to clipboard';
+  });
+  
+  sendBtn.addEventListener('click', async () => {
+    sendBtn.disabled = true;
+    status.textContent = 'Sending...';
+    
+    const response = await chrome.runtime.sendMessage({
+      type: 'FILE_ISSUE',
+      payload: { id: error.id, format: formatSelect.value, title: titleInput.value, body: bodyInput.value }
+    });
+    
+    sendBtn.disabled = false;
+    status.textContent = response?.success
+      ? `Issue filed${response.url ? `: ${response.url}` : ''}`
+      : `Failed to file issue: ${response?.error || 'unknown error'}`;
+  });
+  
+  if (draft) {
+    formatSelect.value = draft.format;
+    titleInput.value = draft.title;
+    bodyInput.value = draft.body;
+    section.open = true;
+    loadSettings();
+  }
+}
+
+/**
+ * Render a partially streamed analysis. The model answers in JSON, so
+ * pull out whichever string fields have started arriving.
+ */
+function renderStreamingAnalysis(text) {
+  const fields = extractPartialAnalysis(text);
+  const blocks = [
+    ['explanation', 'What happened?'],
+    ['cause', 'Root Cause'],
+    ['fix', 'Suggested Fix'],
+    ['prevention', 'Prevention']
+  ].filter(([key]) => fields[key]);
+  
+  if (blocks.length === 0) {
+    return `<div class="analyzing-indicator"><div class="spinner"></div><span>Analyzing error...</span></div>`;
+  }
+  
+  return blocks.map(([key, title]) => key === 'fix'
+    ? `<div class="analysis-block"><h4>${title}</h4><div class="code-block"><pre><code>${escapeHtml(fields[key])}</code></pre></div></div>`
+    : `<div class="analysis-block"><h4>${title}</h4><p>${escapeHtml(fields[key])}</p></div>`
+  ).join('') + '<span class="streaming-cursor"></span>';
+}
+
+function extractPartialAnalysis(text) {
+  const fields = {};
+  for (const key of ['severity', 'explanation', 'cause', 'fix', 'prevention']) {
+    const match = text.match(new RegExp(`"${key}"\\s*:\\s*"((?:[^"\\\\]|\\\\.)*)`));
+    if (match) {
+      fields[key] = match[1]
+        .replace(/\\n/g, '\n')
+        .replace(/\\t/g, '\t')
+        .replace(/\\"/g, '"')
+        .replace(/\\\\/g, '\\');
+    }
+  }
+  return fields;
+}
+
+function renderLocation(error) {
+  const original = error.originalLocation;
+  const location = original || error;
+  
+  let html = `<div class="location-info">
+    <span class="label">File:</span> ${escapeHtml(location.filename || 'Unknown')}
+    <span class="label">Line:</span> ${escapeHtml(location.lineno || 'Unknown')}
+    <span class="label">Column:</span> ${escapeHtml(location.colno || 'Unknown')}`;
+  
+  if (original) {
+    html += `<div class="generated-location"><span class="label">Generated:</span> ${escapeHtml(`${error.filename || 'Unknown'}:${error.lineno || '?'}:${error.colno || '?'}`)}</div>`;
+  }
+  
+  return html + '</div>';
+}
+
+function renderResolvedStack(error) {
+  const frames = error.resolvedFrames.map(frame => {
+    const original = frame.original;
+    const name = original?.name || frame.functionName;
+    const position = original
+      ? `${original.source}:${original.line}:${original.column}`
+      : `${frame.file}:${frame.lineno}:${frame.colno}`;
+    
+    let html = `<div class="stack-frame ${original ? 'resolved' : ''}"><div class="stack-frame-location">at ${escapeHtml(name)} (${escapeHtml(position)})</div>`;
+    if (original?.context) {
+      html += renderSourceContext(original.context);
+    }
+    return html + '</div>';
+  }).join('');
+  
+  return `<div class="stack-trace resolved-stack">${frames}</div>
+    <details class="raw-stack"><summary>Generated stack trace</summary><pre class="stack-trace">${escapeHtml(error.stack || '')}</pre></details>`;
+}
+
+function renderSourceContext(context) {
+  const lines = context.lines.map((text, i) => {
+    const lineNumber = context.startLine + i;
+    const highlight = lineNumber === context.highlightLine ? ' highlight' : '';
+    return `<div class="source-line${highlight}"><span class="source-line-number">${escapeHtml(lineNumber)}</span><span class="source-line-text">${escapeHtml(text)}</span></div>`;
+  }).join('');
+  
+  return `<div class="source-context">${lines}</div>`;
+}
+
+function renderAnalysis(error) {
+  const analysis = error.analysis;
+  const cached = error.analysisCached
+    ? `<span class="cached-badge" title="Reused an analysis of the same error from ${escapeAttr(new Date(error.analysisCached.cachedAt).toLocaleString())}">cached · ${formatTime(error.analysisCached.cachedAt)}</span>`
+    : '';
+  const actions = error.imported
+    ? ''
+    : `<div class="analysis-actions">${cached}<button class="btn btn-ghost" id="reanalyzeBtn" title="Ask the provider again instead of reusing a cached answer">Re-analyze</button></div>`;
+  
+  let html = `<div class="detail-section analysis-section"><div class="analysis-header"><h3>AI Analysis</h3>${actions || cached}</div>`;
+  
+  // The response never matched the schema: show what came back as-is
+  if (analysis.unstructured) {
+    html += `<div class="analysis-unstructured"><span class="unstructured-badge" title="${escapeAttr((analysis.validationErrors || []).join('\n'))}">unstructured</span><span>The response didn't match the expected format, so it is shown as received.</span></div>`;
+  } else {
+    const confidence = typeof analysis.confidence === 'number'
+      ? `<span class="severity-label">Confidence:</span><span class="severity-value">${Math.round(analysis.confidence * 100)}%</span>`
+      : '';
+    const severity = String(analysis.severity || 'medium');
+    html += `<div class="analysis-severity ${escapeAttr(severity)}"><span class="severity-label">Severity:</span><span class="severity-value">${escapeHtml(severity.toUpperCase())}</span>${confidence}</div>`;
+  }
+  
+  if (analysis.explanation) {
+    html += analysis.unstructured && !analysis.cause
+      ? `<div class="analysis-block"><pre class="analysis-raw">${escapeHtml(analysis.explanation)}</pre></div>`
+      : `<div class="analysis-block"><h4>What happened?</h4><p>${escapeHtml(analysis.explanation)}</p></div>`;
+  }
+  
+  if (analysis.cause) {
+    html += `<div class="analysis-block"><h4>Root Cause</h4><p>${escapeHtml(analysis.cause)}</p></div>`;
+  }
+  
+  if (analysis.fixes?.length > 1) {
+    html += `<div class="analysis-block"><h4>Suggested Fixes</h4>${analysis.fixes.map(fix => `
+      <div class="fix-option">
+        <div class="fix-title">${escapeHtml(fix.title || 'Fix')}${fix.language ? ` <span class="fix-language">${escapeHtml(fix.language)}</span>` : ''}</div>
+        ${renderCodeBlock(fix.code)}
+      </div>`).join('')}</div>`;
+  } else if (analysis.fix) {
+    const language = analysis.fixes?.[0]?.language;
+    html += `<div class="analysis-block"><h4>Suggested Fix${language ? ` <span class="fix-language">${escapeHtml(language)}</span>` : ''}</h4>${renderCodeBlock(analysis.fix)}</div>`;
+  }
+  
+  if (analysis.prevention) {
+    html += `<div class="analysis-block"><h4>Prevention</h4><p>${escapeHtml(analysis.prevention)}</p></div>`;
+  }
+  
+  if (analysis.links?.length) {
+    html += `<div class="analysis-block"><h4>Learn More</h4><ul class="analysis-links">${analysis.links.map(link =>
+      `<li><a href="${escapeAttr(link.url)}" target="_blank" rel="noopener noreferrer">${escapeHtml(link.title || link.url)}</a></li>`
+    ).join('')}</ul></div>`;
+  }
+  
+  html += '</div>';
+  return html;
+}
+
+function renderCodeBlock(code) {
+  return `<div class="code-block"><button class="copy-btn" data-copy="${escapeAttr(code)}"><svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><rect x="9" y="9" width="13" height="13" rx="2" ry="2"/><path d="M5 15H4a2 2 0 01-2-2V4a2 2 0 012-2h9a2 2 0 012 2v1"/></svg>Copy Fix</button><pre><code>${escapeHtml(code)}</code></pre></div>`;
+}
+
+function renderConversation(error, { readOnly = false } = {}) {
+  const turns = (error.conversation || []).map(turn => {
+    const failed = turn.failed ? `<div class="chat-error">${escapeHtml(turn.error || 'Failed to send')}</div>` : '';
+    return `<div class="chat-message ${escapeAttr(turn.role)}${turn.failed ? ' failed' : ''}">${renderChatContent(turn.content)}${failed}</div>`;
+  }).join('');
+  
+  const pending = error.followUpPending
+    ? `<div class="chat-message assistant" id="followUpStreaming">${state.followUpText[error.id] ? renderChatContent(state.followUpText[error.id]) : '<div class="spinner-small"></div>'}</div>`
+    : '';
+  
+  if (readOnly) {
+    return turns
+      ? `<div class="detail-section conversation-section"><h3>Follow-up</h3><div class="chat-thread">${turns}</div></div>`
+      : '';
+  }
+  
+  const clearBtn = error.conversation?.length
+    ? '<button class="btn btn-ghost" id="clearConversationBtn">Clear thread</button>'
+    : '';
+  
+  return `<div class="detail-section conversation-section">
+    <div class="analysis-header"><h3>Follow-up</h3>${clearBtn}</div>
+    <div class="chat-thread">${turns}${pending}</div>
+    <div class="chat-input">
+      <textarea id="followUpInput" class="textarea" rows="2" placeholder="Ask a follow-up, e.g. &quot;that variable comes from a React hook, try again&quot;" ${error.followUpPending ? 'disabled' : ''}></textarea>
+      <button class="btn btn-primary" id="sendFollowUpBtn" ${error.followUpPending ? 'disabled' : ''}>Send</button>
+    </div>
+  </div>`;
+}
+
+/**
+ * Render chat text with fenced code blocks; everything else is escaped text
+ */
+function renderChatContent(text) {
+  return text.split(/```[\w-]*\n?/).map((part, i) => i % 2 === 1
+    ? `<div class="code-block"><pre><code>${escapeHtml(part.replace(/\n$/, ''))}</code></pre></div>`
+    : (part.trim() ? `<p>${escapeHtml(part.trim())}</p>` : '')
+  ).join('');
+}
+
+function setupConversation(error, draft) {
+  const input = document.getElementById('followUpInput');
+  const sendBtn = document.getElementById('sendFollowUpBtn');
+  if (!input || !sendBtn) return;
+  
+  input.value = draft;
+  
+  const send = async () => {
+    const message = input.value.trim();
+    if (!message) return;
+    
+    input.disabled = true;
+    sendBtn.disabled = true;
+    const response = await chrome.runtime.sendMessage({ type: 'SEND_FOLLOW_UP', id: error.id, message });
+    
+    // Failures after the question was recorded show up in the thread itself
+    if (!response?.success && !response?.failedTurn) {
+      alert(response?.error || 'Failed to send follow-up');
+      input.disabled = false;
+      sendBtn.disabled = false;
+    }
+  };
+  
+  sendBtn.addEventListener('click', send);
+  input.addEventListener('keydown', (e) => {
+    if (e.key === 'Enter' && (e.metaKey || e.ctrlKey)) {
+      e.preventDefault();
+      send();
+    }
+  });
+  
+  document.getElementById('clearConversationBtn')?.addEventListener('click', async () => {
+    await chrome.runtime.sendMessage({ type: 'CLEAR_CONVERSATION', id: error.id });
+  });
+}
+
+function setupCopyButtons() {
+  const copyBtns = document.querySelectorAll('.copy-btn');
+  copyBtns.forEach(btn => {
+    btn.addEventListener('click', async (e) => {
+      e.stopPropagation();
+      const text = btn.dataset.copy;
+      
+      try {
+        await navigator.clipboard.writeText(text);
+        const originalHtml = btn.innerHTML;
+        btn.innerHTML = `<svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><polyline points="20 6 9 17 4 12"/></svg>Copied!`;
+        btn.classList.add('copied');
+        setTimeout(() => {
+          btn.innerHTML = originalHtml;
+          btn.classList.remove('copied');
+        }, 2000);
+      } catch (err) {
+        console.error('Failed to copy:', err);
+      }
+    });
+  });
+}
+
+// ============================================
+// SEARCH & FILTERS
+// ============================================
+
+// Qualifiers understood by the search bar, e.g. `type:network status:5xx`
+const SEARCH_QUALIFIERS = {
+  type: (error, value) => matchesPattern(error.type, value) || matchesPattern(error.category, value),
+  status: (error, value) => matchesHttpStatus(error.metadata?.status, value),
+  domain: (error, value) => matchesPattern(getErrorDomain(error), value),
+  severity: (error, value) => matchesPattern(error.analysis?.severity, value),
+  is: (error, value) => matchesPattern(error.status, value),
+  file: (error, value) => matchesPattern(error.filename, value),
+  source: (error, value) => matchesPattern(error.source, value),
+  context: (error, value) => matchesPattern(error.context || 'page', value)
+};
+
+const TIME_RANGES = {
+  '15m': 15 * 60 * 1000,
+  '1h': 60 * 60 * 1000,
+  '24h': 24 * 60 * 60 * 1000,
+  '7d': 7 * 24 * 60 * 60 * 1000
+};
+
+function setupSearch() {
+  let searchTimer = null;
+  elements.searchInput.addEventListener('input', () => {
+    clearTimeout(searchTimer);
+    searchTimer = setTimeout(() => {
+      state.search.query = elements.searchInput.value;
+      applyFilters();
+    }, 150);
+  });
+  
+  elements.toggleFilters.addEventListener('click', () => {
+    elements.searchFilters.classList.toggle('hidden');
+    refreshDomainOptions();
+  });
+  
+  elements.domainFilter.addEventListener('change', () => {
+    state.search.domain = elements.domainFilter.value;
+    applyFilters();
+  });
+  
+  elements.timeFilter.addEventListener('change', () => {
+    state.search.timeRange = elements.timeFilter.value;
+    applyFilters();
+  });
+  
+  elements.analysisFilter.addEventListener('change', () => {
+    state.search.analysis = elements.analysisFilter.value;
+    applyFilters();
+  });
+  
+  elements.groupBySelect.addEventListener('change', () => {
+    state.search.groupBy = elements.groupBySelect.value;
+    applyFilters();
+  });
+  
+  elements.currentTabFilter.addEventListener('change', async () => {
+    state.search.currentTabOnly = elements.currentTabFilter.checked;
+    if (state.search.currentTabOnly) {
+      const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+      state.activeTab = tab ? { id: tab.id, url: tab.url || '' } : null;
+    }
+    applyFilters();
+  });
+  
+  elements.showMutedFilter.addEventListener('change', () => {
+    state.search.showMuted = elements.showMutedFilter.checked;
+    applyFilters();
+  });
+  
+  elements.presetSelect.addEventListener('change', () => {
+    const preset = state.presets.find(p => p.name === elements.presetSelect.value);
+    if (preset) applyPreset(preset);
+  });
+  
+  elements.savePresetBtn.addEventListener('click', savePreset);
+  elements.deletePresetBtn.addEventListener('click', deletePreset);
+}
+
+/**
+ * Re-render with the current filters and pull in more pages if the
+ * filtered list no longer fills the panel
+ */
+function applyFilters() {
+  state.parsedQuery = parseSearchQuery(state.search.query);
+  renderErrors();
+  if (state.nextCursor && elements.errorList.scrollHeight <= elements.errorList.clientHeight) {
+    loadNextPage();
+  }
+}
+
+/**
+ * Split a query into qualifiers (`key:value`, `-key:value` to exclude)
+ * and free-text terms; double quotes keep phrases together
+ */
+function parseSearchQuery(query) {
+  const parsed = { qualifiers: [], terms: [], excludedTerms: [] };
+  const tokenPattern = /(-?)(?:([a-z]+):)?(?:"([^"]*)"?|(\S+))/gi;
+  let match;
+  
+  while ((match = tokenPattern.exec(query)) !== null) {
+    const [, negate, key, phrase, word] = match;
+    const value = (phrase ?? word ?? '').trim();
+    const qualifier = key?.toLowerCase();
+    
+    if (qualifier && SEARCH_QUALIFIERS[qualifier]) {
+      if (value) parsed.qualifiers.push({ key: qualifier, value, negate: Boolean(negate) });
+      continue;
+    }
+    
+    // Unknown prefixes (e.g. "http:") are part of the text
+    const text = key ? `${key}:${value}` : value;
+    if (!text) continue;
+    (negate ? parsed.excludedTerms : parsed.terms).push(text.toLowerCase());
+  }
+  
+  return parsed;
+}
+
+function matchesSearch(error) {
+  const { domain, timeRange, analysis, currentTabOnly, showMuted } = state.search;
+  
+  if (!showMuted && error.mutedBy) return false;
+  if (domain && getErrorDomain(error) !== domain) return false;
+  if (analysis && error.status !== analysis) return false;
+  if (timeRange && (error.lastSeen || error.timestamp) < Date.now() - TIME_RANGES[timeRange]) return false;
+  if (currentTabOnly && !isFromActiveTab(error)) return false;
+  
+  const parsed = state.parsedQuery;
+  if (!parsed) return true;
+  
+  for (const { key, value, negate } of parsed.qualifiers) {
+    if (SEARCH_QUALIFIERS[key](error, value) === negate) return false;
+  }
+  
+  if (parsed.terms.length === 0 && parsed.excludedTerms.length === 0) return true;
+  
+  const haystack = [error.message, error.filename, error.stack, error.url, error.analysis?.explanation]
+    .filter(Boolean)
+    .join('\n')
+    .toLowerCase();
+  
+  return parsed.terms.every(term => haystack.includes(term)) &&
+    !parsed.excludedTerms.some(term => haystack.includes(term));
+}
+
+/**
+ * Case-insensitive match; `*` is a wildcard, otherwise a substring match
+ */
+function matchesPattern(actual, pattern) {
+  if (actual === undefined || actual === null || actual === '') return false;
+  
+  const value = String(actual).toLowerCase();
+  const lowerPattern = pattern.toLowerCase();
+  
+  if (!lowerPattern.includes('*')) {
+    return value.includes(lowerPattern);
+  }
+  
+  const regex = new RegExp('^' + lowerPattern.split('*').map(escapeRegExp).join('.*') + '$');
+  return regex.test(value);
+}
+
+// Exact status, or a class such as 4xx / 5xx
+function matchesHttpStatus(status, pattern) {
+  if (!status) return false;
+  
+  const classMatch = pattern.match(/^([1-5])xx$/i);
+  if (classMatch) {
+    return String(status).startsWith(classMatch[1]);
+  }
+  return String(status) === pattern;
+}
+
+function isFromActiveTab(error) {
+  if (!state.activeTab) return false;
+  if (error.tabId === state.activeTab.id) return true;
+  return (error.affectedUrls || []).includes(state.activeTab.url);
+}
+
+function getErrorDomain(error) {
+  if (error.domain) return error.domain;
+  try {
+    return new URL(error.tabUrl || error.url).hostname;
+  } catch (e) {
+    return '';
+  }
+}
+
+function refreshDomainOptions() {
+  const domains = [...new Set(state.errors.map(getErrorDomain).filter(Boolean))].sort();
+  const selected = state.search.domain;
+  
+  elements.domainFilter.innerHTML = '';
+  elements.domainFilter.appendChild(new Option('All domains', ''));
+  domains.forEach(domain => elements.domainFilter.appendChild(new Option(domain, domain)));
+  if (selected && !domains.includes(selected)) {
+    elements.domainFilter.appendChild(new Option(selected, selected));
+  }
+  elements.domainFilter.value = selected;
+}
+
+/**
+ * Escape text and wrap free-text search matches in <mark>. Long text is
+ * cut to a window that keeps the first match visible.
+ */
+function highlightMatches(text, terms, maxLength = Infinity) {
+  let value = text || '';
+  
+  if (value.length > maxLength) {
+    const lower = value.toLowerCase();
+    const firstMatch = Math.min(...terms.map(term => lower.indexOf(term)).filter(i => i >= 0));
+    const start = Number.isFinite(firstMatch) && firstMatch > maxLength / 2
+      ? Math.min(firstMatch - 20, value.length - maxLength)
+      : 0;
+    value = (start > 0 ? '...' : '') + value.substring(start, start + maxLength) +
+      (start + maxLength < value.length ? '...' : '');
+  }
+  
+  if (terms.length === 0) {
+    return escapeHtml(value);
+  }
+  
+  const pattern = new RegExp(`(${terms.map(escapeRegExp).join('|')})`, 'gi');
+  return value
+    .split(pattern)
+    .map((part, i) => i % 2 === 1 ? `<mark>${escapeHtml(part)}</mark>` : escapeHtml(part))
+    .join('');
+}
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// ============================================
+// FILTER PRESETS
+// ============================================
+
+async function loadPresets() {
+  const { filterPresets = [] } = await chrome.storage.sync.get(['filterPresets']);
+  state.presets = filterPresets;
+  renderPresetOptions();
+}
+
+function renderPresetOptions(selectedName = '') {
+  elements.presetSelect.innerHTML = '';
+  elements.presetSelect.appendChild(new Option('Saved filters...', ''));
+  state.presets.forEach(preset => elements.presetSelect.appendChild(new Option(preset.name, preset.name)));
+  elements.presetSelect.value = selectedName;
+}
+
+async function savePreset() {
+  const name = prompt('Name this filter preset:', elements.presetSelect.value || '');
+  if (!name?.trim()) return;
+  
+  const preset = {
+    name: name.trim(),
+    filter: state.currentFilter,
+    search: { ...state.search }
+  };
+  state.presets = [...state.presets.filter(p => p.name !== preset.name), preset];
+  await chrome.storage.sync.set({ filterPresets: state.presets });
+  renderPresetOptions(preset.name);
+}
+
+async function deletePreset() {
+  const name = elements.presetSelect.value;
+  if (!name) return;
+  
+  state.presets = state.presets.filter(p => p.name !== name);
+  await chrome.storage.sync.set({ filterPresets: state.presets });
+  renderPresetOptions();
+}
+
+async function applyPreset(preset) {
+  state.currentFilter = preset.filter || 'all';
+  state.search = { ...state.search, ...preset.search };
+  
+  elements.filterTabs.forEach(tab => tab.classList.toggle('active', tab.dataset.filter === state.currentFilter));
+  elements.searchInput.value = state.search.query;
+  refreshDomainOptions();
+  elements.timeFilter.value = state.search.timeRange;
+  elements.analysisFilter.value = state.search.analysis;
+  elements.groupBySelect.value = state.search.groupBy || '';
+  elements.currentTabFilter.checked = state.search.currentTabOnly;
+  elements.showMutedFilter.checked = state.search.showMuted;
+  
+  if (state.search.currentTabOnly) {
+    const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+    state.activeTab = tab ? { id: tab.id, url: tab.url || '' } : null;
+  }
+  applyFilters();
+}
+
+// ============================================
+// EXPORT & IMPORT
+// ============================================
+
+const EXPORT_FORMAT = 'debug-buddy-errors';
+const EXPORT_VERSION = 1;
+const NETWORK_TYPES = ['network_error', 'network_slow', 'network_timeout'];
+
+function setupExport() {
+  elements.exportBtn.addEventListener('click', (e) => {
+    e.stopPropagation();
+    const count = state.selectedIds.size;
+    elements.exportScope.textContent = count > 0
+      ? `${count} selected error${count === 1 ? '' : 's'}`
+      : 'All errors matching the current filters';
+    elements.exportMenu.classList.toggle('hidden');
+  });
+  
+  document.addEventListener('click', (e) => {
+    if (!elements.exportMenu.contains(e.target)) {
+      elements.exportMenu.classList.add('hidden');
+    }
+  });
+  
+  elements.exportMenu.addEventListener('click', async (e) => {
+    const btn = e.target.closest('[data-export]');
+    if (!btn) return;
+    
+    elements.exportMenu.classList.add('hidden');
+    if (btn.dataset.export === 'import') {
+      elements.importInput.click();
+    } else {
+      await exportErrors(btn.dataset.export);
+    }
+  });
+  
+  elements.importInput.addEventListener('change', importBundle);
+  elements.closeImport.addEventListener('click', closeImport);
+}
+
+function toggleSelection(errorId, card) {
+  if (state.selectedIds.has(errorId)) {
+    state.selectedIds.delete(errorId);
+  } else {
+    state.selectedIds.add(errorId);
+  }
+  card.classList.toggle('selected', state.selectedIds.has(errorId));
+}
+
+/**
+ * Selected cards if any, otherwise every stored error that passes the
+ * current filters (loading the remaining pages first)
+ */
+async function getExportRecords() {
+  if (state.selectedIds.size > 0) {
+    return state.errors.filter(e => state.selectedIds.has(e.id));
+  }
+  
+  while (state.nextCursor && !state.imported) {
+    const cursor = state.nextCursor;
+    await loadNextPage();
+    if (state.nextCursor === cursor) break; // Page failed to load
+  }
+  return filterErrors(state.errors);
+}
+
+async function exportErrors(format) {
+  const records = await getExportRecords();
+  if (records.length === 0) {
+    alert('No errors to export.');
+    return;
+  }
+  
+  const stamp = new Date().toISOString().slice(0, 19).replace(/[:T]/g, '-');
+  
+  switch (format) {
+    case 'json':
+      downloadFile(`debug-buddy-${stamp}.json`, JSON.stringify(buildJsonBundle(records), null, 2), 'application/json');
+      break;
+    case 'markdown':
+      downloadFile(`debug-buddy-${stamp}.md`, buildMarkdownReport(records), 'text/markdown');
+      break;
+    case 'sarif':
+      downloadFile(`debug-buddy-${stamp}.sarif`, JSON.stringify(buildSarifLog(records), null, 2), 'application/sarif+json');
+      break;
+    case 'har': {
+      const networkRecords = records.filter(e => NETWORK_TYPES.includes(e.type));
+      if (networkRecords.length === 0) {
+        alert('None of these errors are network requests.');
+        return;
+      }
+      downloadFile(`debug-buddy-${stamp}.har`, JSON.stringify(buildHarLog(networkRecords), null, 2), 'application/json');
+      break;
+    }
+  }
+}
+
+function buildJsonBundle(records) {
+  return {
+    format: EXPORT_FORMAT,
+    version: EXPORT_VERSION,
+    exportedAt: new Date().toISOString(),
+    extensionVersion: chrome.runtime.getManifest().version,
+    errors: records.map(({ imported, ...record }) => record)
+  };
+}
+
+function buildMarkdownReport(records) {
+  const sections = records.map(error => {
+    const location = error.originalLocation || error;
+    const lines = [
+      `## ${getTypeLabel(error.type)}: ${error.message.split('\n')[0]}`,
+      '',
+      `- **Type:** ${error.type}`,
+      `- **Severity:** ${error.analysis?.severity || 'not analyzed'}`,
+      `- **Occurrences:** ${error.count || 1} (first ${formatIsoTime(error.firstSeen || error.timestamp)}, last ${formatIsoTime(error.lastSeen || error.timestamp)})`,
+      `- **Page:** ${error.tabUrl || error.url || 'unknown'}`
+    ];
+    
+    if (location.filename) {
+      const position = location.lineno > 0 ? `:${location.lineno}:${location.colno || '?'}` : '';
+      lines.push(`- **Location:** \`${location.filename}${position}\``);
+    }
+    
+    if (error.metadata && Object.keys(error.metadata).length > 0) {
+      lines.push('', '### Details', '');
+      for (const [key, value] of Object.entries(error.metadata)) {
+        lines.push(`- **${key}:** ${value}`);
+      }
+    }
+    
+    const stack = error.symbolicatedStack || error.stack;
+    if (stack) {
+      lines.push('', '### Stack Trace', '', '```', stack, '```');
+    }
+    
+    if (error.breadcrumbs?.length) {
+      lines.push('', '### Breadcrumbs', '', '```');
+      error.breadcrumbs.forEach(crumb => lines.push(`${formatIsoTime(crumb.timestamp)} [${crumb.type}] ${crumb.message}`));
+      lines.push('```');
+    }
+    
+    const analysis = error.analysis;
+    if (error.status === 'completed' && analysis) {
+      lines.push('', '### Analysis', '');
+      if (analysis.explanation) lines.push(analysis.explanation, '');
+      if (analysis.cause) lines.push(`**Root cause:** ${analysis.cause}`, '');
+      if (analysis.fixes?.length > 1) {
+        analysis.fixes.forEach(fix => lines.push(`**${fix.title || 'Fix'}:**`, '', `\`\`\`${fix.language || ''}`, fix.code, '```', ''));
+      } else if (analysis.fix) {
+        lines.push('**Suggested fix:**', '', `\`\`\`${analysis.fixes?.[0]?.language || ''}`, analysis.fix, '```', '');
+      }
+      if (analysis.prevention) lines.push(`**Prevention:** ${analysis.prevention}`, '');
+      if (analysis.links?.length) lines.push(...analysis.links.map(link => `- [${link.title || link.url}](${link.url})`));
+    }
+    
+    return lines.join('\n').trimEnd();
+  });
+  
+  return `# Debug Buddy Report\n\nExported ${formatIsoTime(Date.now())} · ${records.length} error${records.length === 1 ? '' : 's'}\n\n${sections.join('\n\n---\n\n')}\n`;
+}
+
+/**
+ * SARIF 2.1.0 log with one rule per error type and one result per group
+ */
+function buildSarifLog(records) {
+  const ruleIds = [...new Set(records.map(e => e.type))];
+  
+  return {
+    $schema: 'https://json.schemastore.org/sarif-2.1.0.json',
+    version: '2.1.0',
+    runs: [{
+      tool: {
+        driver: {
+          name: 'Debug Buddy',
+          version: chrome.runtime.getManifest().version,
+          rules: ruleIds.map(id => ({
+            id,
+            name: getTypeLabel(id).replace(/\s+/g, ''),
+            shortDescription: { text: getTypeLabel(id) }
+          }))
+        }
+      },
+      results: records.map(error => {
+        const location = error.originalLocation || error;
+        const result = {
+          ruleId: error.type,
+          ruleIndex: ruleIds.indexOf(error.type),
+          level: getSarifLevel(error),
+          message: { text: error.message },
+          partialFingerprints: { debugBuddyFingerprint: error.fingerprint || error.id },
+          properties: {
+            occurrences: error.count || 1,
+            firstSeen: formatIsoTime(error.firstSeen || error.timestamp),
+            lastSeen: formatIsoTime(error.lastSeen || error.timestamp),
+            pageUrl: error.tabUrl || error.url || ''
+          }
+        };
+        
+        if (location.filename) {
+          const region = {};
+          if (location.lineno > 0) region.startLine = location.lineno;
+          if (location.lineno > 0 && location.colno > 0) region.startColumn = location.colno;
+          
+          result.locations = [{
+            physicalLocation: {
+              artifactLocation: { uri: location.filename },
+              ...(region.startLine ? { region } : {})
+            }
+          }];
+        }
+        
+        if (error.status === 'completed' && error.analysis) {
+          result.properties.severity = error.analysis.severity;
+          result.properties.explanation = error.analysis.explanation;
+          result.properties.suggestedFix = error.analysis.fix;
+        }
+        
+        return result;
+      })
+    }]
+  };
+}
+
+function getSarifLevel(error) {
+  const severity = error.analysis?.severity;
+  if (severity === 'critical' || severity === 'high') return 'error';
+  if (severity === 'medium') return 'warning';
+  if (severity === 'low') return 'note';
+  
+  return DebugBuddyErrorTypes.isWarningType(error.type) ? 'warning' : 'error';
+}
+
+/**
+ * HAR 1.2 log for network errors. Headers and bodies are included when
+ * network capture recorded them (already redacted); sizes are -1.
+ */
+function buildHarLog(records) {
+  return {
+    log: {
+      version: '1.2',
+      creator: { name: 'Debug Buddy', version: chrome.runtime.getManifest().version },
+      entries: records.map(error => {
+        const metadata = error.metadata || {};
+        const url = metadata.url || error.filename || '';
+        const duration = metadata.duration || 0;
+        const request = error.network?.request;
+        const response = error.network?.response;
+        
+        return {
+          startedDateTime: formatIsoTime(error.lastSeen || error.timestamp),
+          time: duration,
+          request: {
+            method: metadata.method || 'GET',
+            url,
+            httpVersion: '',
+            cookies: [],
+            headers: toHarHeaders(request?.headers),
+            queryString: getQueryString(url),
+            ...(request?.body && { postData: { mimeType: request.headers?.['content-type'] || '', text: request.body } }),
+            headersSize: -1,
+            bodySize: -1
+          },
+          response: {
+            status: metadata.status || 0,
+            statusText: metadata.statusText || metadata.error || '',
+            httpVersion: '',
+            cookies: [],
+            headers: toHarHeaders(response?.headers),
+            content: response?.body
+              ? { size: response.body.length, mimeType: response.contentType || '', text: response.body }
+              : { size: -1, mimeType: response?.contentType || '' },
+            redirectURL: '',
+            headersSize: -1,
+            bodySize: -1
+          },
+          cache: {},
+          timings: { send: 0, wait: duration, receive: 0 },
+          comment: `${getTypeLabel(error.type)} (x${error.count || 1}): ${error.message}`
+        };
+      })
+    }
+  };
+}
+
+function toHarHeaders(headers) {
+  return Object.entries(headers || {}).map(([name, value]) => ({ name, value }));
+}
+
+function getQueryString(url) {
+  try {
+    return [...new URL(url).searchParams].map(([name, value]) => ({ name, value }));
+  } catch (e) {
+    return [];
+  }
+}
+
+function formatIsoTime(timestamp) {
+  return timestamp ? new Date(timestamp).toISOString() : '';
+}
+
+function downloadFile(fileName, content, mimeType) {
+  const url = URL.createObjectURL(new Blob([content], { type: mimeType }));
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = fileName;
+  link.click();
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+/**
+ * Load an exported JSON bundle into the panel as a read-only snapshot
+ */
+async function importBundle() {
+  const file = elements.importInput.files[0];
+  elements.importInput.value = '';
+  if (!file) return;
+  
+  let bundle;
+  try {
+    bundle = JSON.parse(await file.text());
+  } catch (error) {
+    alert(`Could not read ${file.name}: ${error.message}`);
+    return;
+  }
+  
+  if (bundle?.format !== EXPORT_FORMAT || !Array.isArray(bundle.errors)) {
+    alert(`${file.name} is not a Debug Buddy JSON export.`);
+    return;
+  }
+  
+  const errors = bundle.errors
+    .filter(e => e && typeof e.id === 'string' && typeof e.type === 'string' && typeof e.message === 'string')
+    .map(sanitizeImportedError);
+  
+  state.imported = { fileName: file.name };
+  state.errors = errors;
+  state.nextCursor = null;
+  state.selectedIds.clear();
+  
+  elements.importLabel.textContent = `Viewing ${errors.length} imported error${errors.length === 1 ? '' : 's'} from ${file.name}`;
+  elements.importBanner.classList.remove('hidden');
+  renderErrors();
+  updateStats();
+}
+
+const IMPORT_SEVERITIES = ['low', 'medium', 'high', 'critical'];
+const IMPORT_ROLES = ['user', 'assistant'];
+
+function toNumber(value) {
+  const number = Number(value);
+  return Number.isFinite(number) ? number : 0;
+}
+
+/**
+ * Imported files are untrusted: coerce the fields rendered as numbers and
+ * keep enumerated ones (severity, chat roles) to their allowed values
+ */
+function sanitizeImportedError(error) {
+  const sanitized = {
+    ...error,
+    lineno: toNumber(error.lineno),
+    colno: toNumber(error.colno),
+    count: toNumber(error.count) || 1,
+    timestamp: toNumber(error.timestamp),
+    occurrences: Array.isArray(error.occurrences) ? error.occurrences.map(toNumber) : undefined,
+    imported: true
+  };
+  
+  if (error.originalLocation) {
+    sanitized.originalLocation = {
+      ...error.originalLocation,
+      lineno: toNumber(error.originalLocation.lineno),
+      colno: toNumber(error.originalLocation.colno)
+    };
+  }
+  
+  const sanitizeContext = context => ({
+    ...context,
+    lines: Array.isArray(context.lines) ? context.lines.map(String) : [],
+    startLine: toNumber(context.startLine),
+    highlightLine: toNumber(context.highlightLine),
+    colno: toNumber(context.colno)
+  });
+  
+  if (Array.isArray(error.codeContext)) {
+    sanitized.codeContext = error.codeContext.filter(Boolean).map(sanitizeContext);
+  }
+  
+  if (Array.isArray(error.resolvedFrames)) {
+    sanitized.resolvedFrames = error.resolvedFrames.filter(Boolean).map(frame => ({
+      ...frame,
+      original: frame.original?.context
+        ? { ...frame.original, context: sanitizeContext(frame.original.context) }
+        : frame.original
+    }));
+  }
+  
+  if (error.analysis && typeof error.analysis === 'object' && !IMPORT_SEVERITIES.includes(error.analysis.severity)) {
+    sanitized.analysis = { ...error.analysis };
+    delete sanitized.analysis.severity;
+  }
+  
+  if (Array.isArray(error.conversation)) {
+    sanitized.conversation = error.conversation.filter(turn => IMPORT_ROLES.includes(turn?.role));
+  }
+  
+  return sanitized;
+}
+
+async function closeImport() {
+  state.imported = null;
+  state.selectedIds.clear();
+  elements.importBanner.classList.add('hidden');
+  elements.errorModal.classList.add('hidden');
+  state.selectedErrorId = null;
+  await loadErrors();
+}
+
+// ============================================
+// SETTINGS
+// ============================================
+
+async function saveSettings() {
+  const apiKey = elements.apiKeyInput.value.trim();
+  const domains = elements.domainsInput.value
+    .split('\n')
+    .map(d => d.trim())
+    .filter(d => d.length > 0);
+  const enabled = elements.enabledToggle.checked;
+  
+  try {
+    await chrome.storage.sync.set({
+      apiKey: apiKey || 'YOUR_API_KEY_HERE',
+      domains: domains.length > 0 ? domains : ['localhost', '127.0.0.1'],
+      enabled
+    });
+    
+    if (apiKey && apiKey !== 'YOUR_API_KEY_HERE') {
+      elements.apiKeyWarning.classList.add('hidden');
+    } else {
+      elements.apiKeyWarning.classList.remove('hidden');
+    }
+    
+    elements.saveSettings.textContent = 'Saved!';
+    elements.saveSettings.classList.add('success');
+    
+    setTimeout(() => {
+      elements.saveSettings.textContent = 'Save Settings';
+      elements.saveSettings.classList.remove('success');
+      elements.settingsPanel.classList.add('hidden');
+    }, 1500);
+    
+  } catch (error) {
+    console.error('[Debug Buddy] Failed to save settings:', error);
+    alert('Failed to save settings. Please try again.');
+  }
+}
+
+async function loadSourceMaps() {
+  try {
+    const response = await chrome.runtime.sendMessage({ type: 'GET_SOURCE_MAPS' });
+    if (response?.success) {
+      renderSourceMapList(response.sourceMaps);
+    }
+  } catch (error) {
+    console.error('[Debug Buddy] Failed to load source maps:', error);
+  }
+}
+
+async function uploadSourceMaps() {
+  const files = [...elements.sourceMapInput.files];
+  
+  for (const file of files) {
+    const content = await file.text();
+    const response = await chrome.runtime.sendMessage({
+      type: 'UPLOAD_SOURCE_MAP',
+      payload: { name: file.name, content }
+    });
+    if (!response?.success) {
+      alert(`${file.name}: ${response?.error || 'Upload failed'}`);
+    }
+  }
+  
+  elements.sourceMapInput.value = '';
+  await loadSourceMaps();
+}
+
+function renderSourceMapList(sourceMaps) {
+  if (sourceMaps.length === 0) {
+    elements.sourceMapList.innerHTML = '<li class="settings-hint">No source maps uploaded</li>';
+    return;
+  }
+  
+  elements.sourceMapList.innerHTML = sourceMaps.map(map => `
+    <li class="source-map-item">
+      <span class="source-map-name" title="${escapeAttr(map.file)}">${escapeHtml(map.name)}</span>
+      <span class="source-map-size">${Math.round(map.size / 1024)} KB</span>
+      <button class="btn btn-ghost" data-remove-map="${escapeAttr(map.name)}" title="Remove">✕</button>
+    </li>
+  `).join('');
+}
+
+// ============================================
+// UTILITIES
+// ============================================
+
+let statsTimer = null;
+
+/**
+ * Refresh the stats bar from store-wide totals (only some pages are
+ * loaded), coalescing bursts of updates into one request
+ */
+function updateStats() {
+  clearTimeout(statsTimer);
+  
+  if (state.imported) {
+    const stats = { types: {}, statuses: {}, suppressed: 0 };
+    for (const error of state.errors) {
+      if (error.mutedBy) {
+        stats.suppressed += error.count || 1;
+        continue;
+      }
+      stats.types[error.type] = (stats.types[error.type] || 0) + 1;
+      stats.statuses[error.status] = (stats.statuses[error.status] || 0) + 1;
+    }
+    renderStats(stats);
+    return;
+  }
+  
+  statsTimer = setTimeout(async () => {
+    try {
+      const response = await chrome.runtime.sendMessage({ type: 'GET_ERROR_STATS' });
+      if (response?.success) {
+        renderStats(response.stats);
+      }
+    } catch (error) {
+      console.error('[Debug Buddy] Failed to load stats:', error);
+    }
+  }, STATS_REFRESH_MS);
+}
+
+function renderStats({ types, statuses, suppressed = 0 }) {
+  const countTypes = (list) => list.reduce((sum, type) => sum + (types[type] || 0), 0);
+  
+  elements.errorCount.textContent = countTypes([
+    'error', 'exception', 'promise_rejection', 'warning', 'deprecation', 'dom_error', 'csp_violation', 'worker_error'
+  ]);
+  elements.networkCount.textContent = countTypes([
+    'network_error', 'network_slow', 'network_timeout', 'resource_error'
+  ]);
+  elements.perfCount.textContent = countTypes([
+    'performance_longtask', 'performance_cls', 'performance_lcp', 'performance_inp',
+    'performance_fcp', 'performance_ttfb', 'network_slow'
+  ]);
+  elements.analyzedCount.textContent = statuses.completed || 0;
+  elements.mutedCount.textContent = suppressed;
+}
+
+async function loadQueueStatus() {
+  try {
+    const response = await chrome.runtime.sendMessage({ type: 'GET_QUEUE_STATUS' });
+    if (response?.success) {
+      renderQueueStatus(response);
+    }
+  } catch (error) {
+    console.error('[Debug Buddy] Failed to load queue status:', error);
+  }
+}
+
+let queueCountdown = null;
+
+/**
+ * One-line summary of the analysis queue, hidden while it is idle. Ticks
+ * every second while a retry is scheduled.
+ */
+function renderQueueStatus(status) {
+  state.queue = status;
+  clearTimeout(queueCountdown);
+  
+  const { active = 0, queued = 0, retrying = 0, nextRetryAt = null } = status;
+  const parts = [];
+  if (active) parts.push(`Analyzing ${active}`);
+  if (queued) parts.push(`${queued} queued`);
+  if (retrying) {
+    const seconds = Math.max(0, Math.ceil((nextRetryAt - Date.now()) / 1000));
+    parts.push(`${retrying} waiting to retry (next in ${seconds}s)`);
+    queueCountdown = setTimeout(() => renderQueueStatus(state.queue), 1000);
+  }
+  
+  elements.queueStatus.textContent = parts.join(' · ');
+  elements.queueStatus.classList.toggle('hidden', parts.length === 0);
+}
+
+const VITAL_LABELS = { lcp: 'LCP', inp: 'INP', cls: 'CLS', fcp: 'FCP', ttfb: 'TTFB' };
+
+async function loadVitals() {
+  try {
+    const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+    const response = await chrome.runtime.sendMessage({ type: 'GET_VITALS', url: tab?.url || '' });
+    if (response?.success) {
+      renderVitals(response.key, response.page);
+    }
+  } catch (error) {
+    console.error('[Debug Buddy] Failed to load vitals:', error);
+  }
+}
+
+// The card follows the active tab
+function setupVitalsTracking() {
+  chrome.tabs.onActivated.addListener(() => loadVitals());
+  chrome.tabs.onUpdated.addListener((tabId, changeInfo, tab) => {
+    if (tab.active && changeInfo.url) loadVitals();
+  });
+}
+
+/**
+ * Latest value of each metric for the page, colored against the budget it
+ * was measured with, plus its trend over earlier loads. Attribution is in
+ * the tooltips.
+ */
+function renderVitals(key, page) {
+  state.vitals = { key, page };
+  const loads = page?.loads || [];
+  elements.vitalsCard.classList.toggle('hidden', loads.length === 0);
+  if (loads.length === 0) return;
+  
+  const latest = loads[loads.length - 1];
+  const tiles = Object.entries(VITAL_LABELS).map(([metric, label]) => {
+    const value = latest.values[metric];
+    const budget = latest.budgets?.[metric];
+    const rating = value === undefined ? 'none' : budget !== undefined && value > budget ? 'poor' : 'good';
+    const history = loads.map(load => load.values[metric]).filter(Number.isFinite);
+    const title = [
+      budget !== undefined ? `Budget: ${formatVital(metric, budget)}` : '',
+      ...Object.entries(latest.attribution?.[metric] || {}).filter(([, v]) => v !== '').map(([k, v]) => `${k}: ${v}`)
+    ].filter(Boolean).join('\n');
+    
+    return `
+      <div class="vital ${rating}" title="${escapeAttr(title)}">
+        <span class="vital-label">${label}</span>
+        <span class="vital-value">${value === undefined ? '–' : formatVital(metric, value)}</span>
+        ${renderTrendline(history)}
+      </div>
+    `;
+  }).join('');
+  
+  let path = page.url;
+  try {
+    path = new URL(page.url).pathname;
+  } catch (e) {}
+  
+  elements.vitalsCard.innerHTML = `
+    <div class="vitals-header">
+      <span class="vitals-title" title="${escapeAttr(page.url)}">Web Vitals · ${escapeHtml(path)}</span>
+      <span class="vitals-loads">${loads.length} load${loads.length === 1 ? '' : 's'}</span>
+    </div>
+    <div class="vitals-grid">${tiles}</div>
+  `;
+}
+
+function formatVital(metric, value) {
+  if (metric === 'cls') return value.toFixed(3);
+  return value >= 1000 ? `${(value / 1000).toFixed(1)}s` : `${Math.round(value)}ms`;
+}
+
+/**
+ * Values in load order, scaled to their own range
+ */
+function renderTrendline(values, width = 48, height = 14) {
+  if (values.length < 2) return '';
+  
+  const min = Math.min(...values);
+  const range = Math.max(Math.max(...values) - min, 1e-6);
+  const step = width / (values.length - 1);
+  const points = values
+    .map((value, i) => `${(i * step).toFixed(1)},${(height - 1 - ((value - min) / range) * (height - 2)).toFixed(1)}`)
+    .join(' ');
+  
+  return `<svg class="sparkline" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}"><polyline points="${points}" fill="none" stroke="currentColor" stroke-width="1.5"/></svg>`;
+}
+
+function showNotification() {
+  document.body.classList.add('new-error');
+  setTimeout(() => document.body.classList.remove('new-error'), 300);
 }
 
 function getTypeIcon(type) {
@@ -517,9 +2254,10 @@ function getTypeIcon(type) {
     performance_longtask: `<svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><path d="M13 2L3 14h9l-1 8 10-12h-9l1-8z"/></svg>`,
     performance_cls: `<svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><rect x="3" y="3" width="18" height="18" rx="2"/><path d="M3 9h18"/><path d="M9 21V9"/></svg>`,
     deprecation: `<svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><circle cx="12" cy="12" r="10"/><line x1="12" y1="8" x2="12" y2="12"/><line x1="12" y1="16" x2="12.01" y2="16"/></svg>`,
-    intervention: `<svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><path d="M4 15s1-1 4-1 5 2 8 2 4-1 4-1V3s-1 1-4 1-5-2-8-2-4 1-4 1z"/><line x1="4" y1="22" x2="4" y2="15"/></svg>`
+    intervention: `<svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><path d="M4 15s1-1 4-1 5 2 8 2 4-1 4-1V3s-1 1-4 1-5-2-8-2-4 1-4 1z"/><line x1="4" y1="22" x2="4" y2="15"/></svg>`,
+    worker_error: `<svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><rect x="4" y="4" width="16" height="16" rx="2"/><rect x="9" y="9" width="6" height="6"/><line x1="9" y1="1" x2="9" y2="4"/><line x1="15" y1="1" x2="15" y2="4"/><line x1="9" y1="20" x2="9" y2="23"/><line x1="15" y1="20" x2="15" y2="23"/></svg>`
   };
-  return icons[type] || icons.error;
+  return icons[type] || (type.startsWith('performance_') ? icons.performance_longtask : icons.error);
 }
 
 function getTypeLabel(type) {
@@ -537,7 +2275,12 @@ function getTypeLabel(type) {
     performance_longtask: 'Long Task',
     performance_cls: 'Layout Shift',
     deprecation: 'Deprecation Warning',
-    intervention: 'Browser Intervention'
+    intervention: 'Browser Intervention',
+    worker_error: 'Worker Error',
+    performance_lcp: 'Slow Largest Paint',
+    performance_inp: 'Slow Interaction',
+    performance_fcp: 'Slow First Paint',
+    performance_ttfb: 'Slow Server Response'
   };
   return labels[type] || 'Error';
 }
@@ -552,6 +2295,30 @@ function getStatusIndicator(status) {
   return indicators[status] || indicators.pending;
 }
 
+/**
+ * Render occurrence timestamps as a small inline SVG sparkline, bucketed
+ * between the first and last occurrence
+ */
+function renderSparkline(occurrences, width = 48, height = 14) {
+  if (!occurrences || occurrences.length < 2) return '';
+  
+  const buckets = new Array(16).fill(0);
+  const first = occurrences[0];
+  const span = Math.max(occurrences[occurrences.length - 1] - first, 1);
+  occurrences.forEach(time => {
+    const index = Math.min(buckets.length - 1, Math.floor(((time - first) / span) * buckets.length));
+    buckets[index]++;
+  });
+  
+  const max = Math.max(...buckets);
+  const step = width / (buckets.length - 1);
+  const points = buckets
+    .map((value, i) => `${(i * step).toFixed(1)},${(height - 1 - (value / max) * (height - 2)).toFixed(1)}`)
+    .join(' ');
+  
+  return `<svg class="sparkline" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}"><polyline points="${points}" fill="none" stroke="currentColor" stroke-width="1.5"/></svg>`;
+}
+
 function formatTime(timestamp) {
   const seconds = Math.floor((Date.now() - timestamp) / 1000);
   if (seconds < 60) return 'Just now';
@@ -560,10 +2327,6 @@ function formatTime(timestamp) {
   return new Date(timestamp).toLocaleDateString();
 }
 
-function truncateText(text, maxLength) {
-  return text.length <= maxLength ? text : text.substring(0, maxLength) + '...';
-}
-
 function getFileName(path) {
   return path ? path.split('/').pop() : '';
 }